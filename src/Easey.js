@@ -10,7 +10,9 @@
 // - Interactive bezier curve editor with visual handles
 // - Shift+drag axis constraint for precise editing
 // - Multi-attribute keyframe support (apply to multiple layers/properties at once)
-// - Preset management with alphabetical sorting
+// - Preset library with folders, tags, favorites and a filter field
+// - Preset browser with curve thumbnails (click to load, double-click to apply)
+// - Shared preset library files (read-only or read-write), reloaded when they change
 // - Context menu integration for keyframe analysis
 // - Persistent preset storage with proper deletion handling
 //
@@ -58,20 +60,34 @@
 // 7. Use context menu items to copy keyframe duration, values, and easing info
 
 // Import modules
-import { DEFAULT_PRESETS, DEFAULT_EASING, GRAPH_CONFIG, DEFAULT_SPEED_EASING } from './modules/constants.js';
+import { DEFAULT_PRESETS, DEFAULT_EASING, GRAPH_CONFIG, DEFAULT_SPEED_EASING, DEFAULT_SPRING, COMPOUND_EASINGS, FIT_TOLERANCE, FIT_PREVIEW_FRAMES, DEFAULT_FIT_FUNCTION, PRESET_BROWSER_CONFIG, PRESET_LIBRARY_POLL_INTERVAL } from './modules/constants.js';
 import { checkForUpdate } from './modules/updateChecker.js';
-import { getCompositionFrameRate } from './modules/conversions.js';
-import { drawCurve, drawSpeedCurve } from './modules/graphRenderer.js';
-import { setupValueGraphHandlers, setupSpeedGraphHandlers } from './modules/mouseHandlers.js';
-import { getEasingFromKeyframes, applyEasingToKeyframes, fixHoldPaths, setClampHoldsEnabled, copyKeyframeDuration, copyKeyframeValues, copyAllKeyframeInfo } from './modules/keyframeOps.js';
+import { getCompositionFrameRate, speedToCubicBezier, getSpeedScale, getSpeedUnit, cubicBezierToRealSpeed, realSpeedToCubicBezier } from './modules/conversions.js';
+import { drawCurve, drawSpeedCurve, getSpeedAxisRange, drawRealSpeedCurve, getRealSpeedAxisMax, drawSpeedTimeline, getSpeedTimelineAxisMax, drawValueView, getValueViewRange, getValueViewBox, drawResponseCurve, drawPresetThumbnail } from './modules/graphRenderer.js';
+import { setupValueGraphHandlers, setupSpeedGraphHandlers, setupSpeedTimelineHandlers } from './modules/mouseHandlers.js';
+import { getEasingFromKeyframes, getEasingSegments, getSpeedContext, getSpeedTimeline, getValueView, applyEasingToKeyframes, applyContinuousVelocityToKeyframes, applyEasingToTimeline, applyEasingSequenceToKeyframes, applyEasingChainToKeyframes, beginApplyTransaction, endApplyTransaction, revertLastApply, canRevertLastApply, fixHoldPaths, setClampHoldsEnabled, copyKeyframeDuration, copyKeyframeValues, copyAllKeyframeInfo, copyKeyframeInfoAs, copyAnimationSpec } from './modules/keyframeOps.js';
+import { CODE_FORMATS, SPEC_FORMATS } from './modules/codeExport.js';
+import { PRESET_EXPORT_FORMATS } from './modules/presetFormats.js';
 import { 
     savePreset, renamePreset, deletePreset, deleteAllPresets,
-    exportPresets, importPresets, savePresetsToPreferences, loadPresetsFromPreferences,
+    setPresetFolder, setPresetTags, togglePresetFavorite,
+    exportPresets, exportPresetsAs, importPresets, importPresetsFromFile, savePresetsToPreferences, loadPresetsFromPreferences,
     saveApplyOnDragSetting, loadApplyOnDragSetting,
     saveClampIdenticalSetting, loadClampIdenticalSetting,
+    saveSegmentModeSetting, loadSegmentModeSetting,
+    saveGhostCurveSetting, loadGhostCurveSetting,
+    saveRealSpeedUnitsSetting, loadRealSpeedUnitsSetting,
+    saveSpeedTimelineSetting, loadSpeedTimelineSetting,
+    saveContinuousVelocitySetting, loadContinuousVelocitySetting,
+    saveValueViewSetting, loadValueViewSetting,
+    savePresetLibrariesSetting, loadPresetLibrariesSetting,
     saveLastSelectedTab, loadLastSelectedTab,
-    populatePresetDropdown, copyCubicBezierToClipboard
+    populatePresetDropdown, getPresetSections, copyCubicBezierToClipboard, parseEasingSequence
 } from './modules/presetManager.js';
+import { createPresetLibrary, reloadPresetLibrary, writePresetLibrary, mergePresetLibraries } from './modules/presetLibraries.js';
+import { sampleSpring, fitSpringChain } from './modules/springEasing.js';
+import { sampleCompoundEasing, fitCompoundChain } from './modules/compoundEasing.js';
+import { parseEasingFunction, fitCubicBezier, fitEasingChain, sampleEasingFunction, sampleEasingChain } from './modules/curveFitter.js';
 import { initializeAssets, getAssetPath } from './modules/embeddedAssets.js';
 
 // Initialize embedded assets (writes icons to temp folder if needed)
@@ -101,6 +117,13 @@ var currentEasing = Object.assign({}, DEFAULT_EASING);
 // Speed graph state
 var speedEasing = Object.assign({}, DEFAULT_SPEED_EASING);
 
+// Curve generator state (curves baked as intermediate keyframes)
+var generatorMode = null;          // null, "spring", "fit" or a COMPOUND_EASINGS name
+var springSettings = Object.assign({}, DEFAULT_SPRING);
+var compoundSettings = null;
+var fitTarget = null;              // {fn, samples, single, chain} for the fitted easing function
+var lastFitText = DEFAULT_FIT_FUNCTION;
+
 // Graph dimensions (mutable for resize)
 var graphWidth = GRAPH_CONFIG.width;
 var graphHeight = GRAPH_CONFIG.height;
@@ -124,13 +147,60 @@ var axisConstraint = null;
 var speedDragging = false;
 var speedDragHandle = null;
 
+// Drag state for speed timeline
+var timelineDragging = false;
+var timelineDragHandle = null;
+
 // Settings
 var applyOnDragEnabled = false;
 var clampHoldsEnabled = true;
+var segmentModeEnabled = false;
+var continuousVelocityEnabled = false;
+
+// Segment mode state (per-pair easing read by Get)
+var easingSegments = [];
+var activeSegmentIndex = 0;
+
+// Comparison overlays
+var showGhostCurve = true;
+var ghostEasing = null;            // Easing read by the last Get, drawn dimmed behind the edited curve
+var comparePresetName = null;      // Preset drawn as a second reference
+
+// Shared preset library files, listed next to the personal presets
+var presetLibraries = [];
+var allPresets = {};               // Personal and library presets by listed name (see mergePresetLibraries)
+var presetSources = {};            // Listed name -> {library, name} for library presets
+
+// Preset dropdown entries: label ("★ Folder / name") -> listed preset name, from populatePresetDropdown
+var presetEntryNames = {};
+
+// Preset browser
+var presetBrowserPage = 0;
+var loadedPresetName = null;       // Preset last loaded from the dropdown or browser, outlined in the browser
+
+// Speed graph in real units
+var realSpeedUnitsEnabled = false;
+var speedContext = null;           // {attrId, valueDelta, frameCount, frameRate} of the pair the speeds are measured on
+var realSpeedAxisMax = null;       // Top of the speed axis in units per second, held while dragging
+var speedAxisRange = null;         // {min, max} of the normalized speed axis, held while dragging
+
+// Speed timeline (every selected keyframe of one attribute on the speed graph)
+var speedTimelineEnabled = false;
+var speedTimeline = null;          // From getSpeedTimeline; segment easings are edited in place
+var speedTimelineAxisMax = null;
+
+// Value view (the selected keyframes in real values on the value graph)
+var valueViewEnabled = false;
+var valueView = null;              // From getValueView
+var valueViewRange = null;         // {min, max} of the value axis, held while dragging
+
+// Last curve list entered for Apply Curve Sequence
+var lastSequenceText = "cubic-out; linear; cubic-in";
 
 // Flags
 var isUpdatingFromPreset = false;
 var isUpdatingTextInput = false;
+var isUpdatingSpeedFields = false;
 var isInitializingTab = false;
 
 // ============================================================================
@@ -144,6 +214,27 @@ graphCanvas.setSize(graphWidth, graphHeight);
 var speedGraphCanvas = new ui.Draw();
 speedGraphCanvas.setSize(speedGraphWidth, speedGraphHeight);
 
+var speedTimelineCanvas = new ui.Draw();
+speedTimelineCanvas.setSize(speedGraphWidth, speedGraphHeight);
+
+// Preset browser thumbnails and page stepper
+var presetThumbnails = [];
+for (var thumbnailIndex = 0; thumbnailIndex < PRESET_BROWSER_CONFIG.columns * PRESET_BROWSER_CONFIG.rows; thumbnailIndex++) {
+    var thumbnail = new ui.Draw();
+    thumbnail.setSize(PRESET_BROWSER_CONFIG.width, PRESET_BROWSER_CONFIG.height);
+    presetThumbnails.push(thumbnail);
+}
+
+var prevPresetPageButton = new ui.Button("◀");
+prevPresetPageButton.setSize(18, 18);
+prevPresetPageButton.setToolTip("Previous page");
+
+var nextPresetPageButton = new ui.Button("▶");
+nextPresetPageButton.setSize(18, 18);
+nextPresetPageButton.setToolTip("Next page");
+
+var presetPageLabel = new ui.Label("");
+
 // Main action buttons
 var applyButton = new ui.ImageButton(getAssetPath("icon-apply"));
 applyButton.setToolTip("Apply easing");
@@ -163,6 +254,79 @@ mainContextButton.setSize(18, 18);
 var bezierInput = new ui.LineEdit();
 bezierInput.setText("0.25, 0.1, 0.25, 1.0");
 
+// Segment stepper (visible when Get has read a segment list)
+var prevSegmentButton = new ui.Button("◀");
+prevSegmentButton.setSize(18, 18);
+prevSegmentButton.setToolTip("Previous segment");
+
+var nextSegmentButton = new ui.Button("▶");
+nextSegmentButton.setSize(18, 18);
+nextSegmentButton.setToolTip("Next segment");
+
+var segmentLabel = new ui.Label("");
+
+// Spring generator fields (shown under the value graph in spring mode)
+var springMassField = new ui.NumericField(springSettings.mass);
+var springStiffnessField = new ui.NumericField(springSettings.stiffness);
+var springDampingField = new ui.NumericField(springSettings.damping);
+var springVelocityField = new ui.NumericField(springSettings.velocity);
+springMassField.setType(1);
+springStiffnessField.setType(1);
+springDampingField.setType(1);
+springVelocityField.setType(1);
+springMassField.setMin(0.01);
+springStiffnessField.setMin(0.01);
+springDampingField.setMin(0);
+
+var springMassLabel = new ui.Label("Mass");
+var springStiffnessLabel = new ui.Label("Stiffness");
+var springDampingLabel = new ui.Label("Damping");
+var springVelocityLabel = new ui.Label("Velocity");
+
+var springWidgets = [
+    springMassLabel, springMassField, springStiffnessLabel, springStiffnessField,
+    springDampingLabel, springDampingField, springVelocityLabel, springVelocityField
+];
+
+// Compound easing fields (shown under the value graph for bounce/elastic/back)
+var compoundAmplitudeField = new ui.NumericField(1);
+var compoundPeriodField = new ui.NumericField(0.3);
+compoundAmplitudeField.setType(1);
+compoundPeriodField.setType(1);
+compoundAmplitudeField.setMin(0);
+compoundPeriodField.setMin(0.01);
+
+var compoundAmplitudeLabel = new ui.Label("Amplitude");
+var compoundPeriodLabel = new ui.Label("Period");
+
+// Real speed fields (shown under the speed graph when it plots units per second)
+var outSpeedField = new ui.NumericField(0);
+var outInfluenceField = new ui.NumericField(33.3);
+var inSpeedField = new ui.NumericField(0);
+var inInfluenceField = new ui.NumericField(33.3);
+outSpeedField.setType(1);
+outInfluenceField.setType(1);
+inSpeedField.setType(1);
+inInfluenceField.setType(1);
+outInfluenceField.setMin(0.1);
+outInfluenceField.setMax(100);
+inInfluenceField.setMin(0.1);
+inInfluenceField.setMax(100);
+
+var outSpeedLabel = new ui.Label("Out");
+var outInfluenceLabel = new ui.Label("Influence %");
+var inSpeedLabel = new ui.Label("In");
+var inInfluenceLabel = new ui.Label("Influence %");
+
+var speedFieldWidgets = [
+    outSpeedLabel, outSpeedField, outInfluenceLabel, outInfluenceField,
+    inSpeedLabel, inSpeedField, inInfluenceLabel, inInfluenceField
+];
+
+// Preset filter (matches name, folder and tags)
+var presetFilterInput = new ui.LineEdit();
+presetFilterInput.setPlaceholder("Filter presets (name, folder or tag)");
+
 // Preset dropdown
 var presetList = new ui.DropDown();
 
@@ -194,7 +358,11 @@ var sharedState = {
     get speedDragging() { return speedDragging; },
     set speedDragging(v) { speedDragging = v; },
     get speedDragHandle() { return speedDragHandle; },
-    set speedDragHandle(v) { speedDragHandle = v; }
+    set speedDragHandle(v) { speedDragHandle = v; },
+    get timelineDragging() { return timelineDragging; },
+    set timelineDragging(v) { timelineDragging = v; },
+    get timelineDragHandle() { return timelineDragHandle; },
+    set timelineDragHandle(v) { timelineDragHandle = v; }
 };
 
 // Get current graph config
@@ -254,10 +422,359 @@ function updateFromTextInput() {
     }
 }
 
+// Dimmed reference curves: the curve read by Get and the preset picked in Compare to Preset
+function getReferenceCurves() {
+    var references = [];
+    if (showGhostCurve && ghostEasing) {
+        references.push({ kind: "ghost", easing: ghostEasing });
+    }
+    if (comparePresetName && allPresets[comparePresetName]) {
+        references.push({ kind: "compare", easing: allPresets[comparePresetName] });
+    }
+    return references;
+}
+
 // Redraw both graphs
 function redrawGraphs() {
-    drawCurve(graphCanvas, currentEasing, getGraphConfig());
-    drawSpeedCurve(speedGraphCanvas, currentEasing, speedEasing, getSpeedGraphConfig());
+    var references = getReferenceCurves();
+    
+    if (generatorMode === "spring") {
+        drawResponseCurve(graphCanvas, sampleSpring(springSettings, 100), getGraphConfig());
+    } else if (generatorMode === "fit") {
+        var target = { kind: "target", samples: fitTarget.samples };
+        if (fitTarget.single.error <= FIT_TOLERANCE) {
+            drawCurve(graphCanvas, currentEasing, getGraphConfig(), references.concat([target]));
+        } else {
+            drawResponseCurve(graphCanvas, sampleEasingChain(fitTarget.chain, 100), getGraphConfig(), [target]);
+        }
+    } else if (generatorMode) {
+        drawResponseCurve(graphCanvas, sampleCompoundEasing(compoundSettings, 100), getGraphConfig());
+    } else if (valueViewEnabled && valueView) {
+        drawValueView(graphCanvas, valueView, currentEasing, getGraphConfig(), getValueViewAxis());
+    } else {
+        drawCurve(graphCanvas, currentEasing, getGraphConfig(), references);
+    }
+    
+    var showTimeline = speedTimelineEnabled && speedTimeline !== null;
+    speedGraphCanvas.setHidden(showTimeline);
+    speedTimelineCanvas.setHidden(!showTimeline);
+    if (showTimeline) {
+        drawSpeedTimeline(speedTimelineCanvas, speedTimeline, getSpeedGraphConfig(), getTimelineAxisMax());
+        updateSpeedFields(null);
+        return;
+    }
+    
+    var realSpeedUnits = getRealSpeedUnits();
+    if (realSpeedUnits) {
+        drawRealSpeedCurve(speedGraphCanvas, currentEasing, speedEasing, getSpeedGraphConfig(), realSpeedUnits, references);
+    } else {
+        drawSpeedCurve(speedGraphCanvas, currentEasing, speedEasing, getSpeedGraphConfig(), references, getSpeedGraphAxis());
+    }
+    updateSpeedFields(realSpeedUnits);
+}
+
+// Top of the speed timeline axis, held while a handle is dragged
+function getTimelineAxisMax() {
+    if (!timelineDragging || speedTimelineAxisMax === null) {
+        speedTimelineAxisMax = getSpeedTimelineAxisMax(speedTimeline);
+    }
+    return speedTimelineAxisMax;
+}
+
+// Value axis of the value view, held while a handle is dragged
+function getValueViewAxis() {
+    if (!isDragging || valueViewRange === null) {
+        valueViewRange = getValueViewRange(valueView, currentEasing);
+    }
+    return valueViewRange;
+}
+
+// Box the value graph handles are dragged in: the edited pair in the value view, otherwise the whole graph
+function getValueCurveBox() {
+    if (generatorMode || !valueViewEnabled || !valueView) return null;
+    return getValueViewBox(valueView, getValueViewAxis(), getGraphConfig());
+}
+
+// Re-read the graphs drawn from the selected keyframes (speed timeline, value view) when they are shown
+function reloadKeyframeViews() {
+    if (speedTimelineEnabled) {
+        speedTimeline = getSpeedTimeline();
+    }
+    if (valueViewEnabled) {
+        valueView = getValueView(easingSegments.length > 0 ? easingSegments[activeSegmentIndex] : undefined);
+    }
+    redrawGraphs();
+}
+
+// Speed scale and axis for the real-unit speed graph, or null to draw normalized speeds
+function getRealSpeedUnits() {
+    if (!realSpeedUnitsEnabled || !speedContext || speedContext.valueDelta === 0) {
+        return null;
+    }
+    
+    var speedScale = getSpeedScale(speedContext.valueDelta, speedContext.frameCount, speedContext.frameRate);
+    // Keep the axis still while a handle is dragged so the handle stays under the mouse
+    if (!speedDragging || realSpeedAxisMax === null) {
+        realSpeedAxisMax = getRealSpeedAxisMax(currentEasing, speedScale);
+    }
+    return {
+        speedScale: speedScale,
+        axisMax: realSpeedAxisMax,
+        unit: getSpeedUnit(speedContext.attrId)
+    };
+}
+
+// Speeds at the bottom and top of the speed graph, held while a handle is dragged.
+// Real-unit handle heights are already a fraction of their own axis.
+function getSpeedGraphAxis() {
+    if (getRealSpeedUnits()) {
+        return { min: 0, max: 1 };
+    }
+    if (!speedDragging || speedAxisRange === null) {
+        speedAxisRange = getSpeedAxisRange(currentEasing);
+    }
+    return speedAxisRange;
+}
+
+// Read the value change of the pair the speed graph measures (active segment, else the first selected pair)
+function updateSpeedContext() {
+    if (!realSpeedUnitsEnabled) {
+        speedContext = null;
+        return;
+    }
+    speedContext = getSpeedContext(easingSegments.length > 0 ? easingSegments[activeSegmentIndex] : undefined);
+}
+
+// Show the keyframe speeds in the real speed fields (hidden for the normalized graph)
+function updateSpeedFields(realSpeedUnits) {
+    for (var i = 0; i < speedFieldWidgets.length; i++) {
+        speedFieldWidgets[i].setHidden(!realSpeedUnits);
+    }
+    if (!realSpeedUnits) return;
+    
+    var realSpeed = cubicBezierToRealSpeed(currentEasing.x1, currentEasing.y1, currentEasing.x2, currentEasing.y2, realSpeedUnits.speedScale);
+    isUpdatingSpeedFields = true;
+    outSpeedLabel.setText("Out " + realSpeedUnits.unit);
+    inSpeedLabel.setText("In " + realSpeedUnits.unit);
+    outSpeedField.setValue(realSpeed.outSpeed);
+    outInfluenceField.setValue(realSpeed.outInfluence);
+    inSpeedField.setValue(realSpeed.inSpeed);
+    inInfluenceField.setValue(realSpeed.inInfluence);
+    isUpdatingSpeedFields = false;
+}
+
+function updateFromSpeedFields() {
+    if (isUpdatingSpeedFields) return;
+    
+    var realSpeedUnits = getRealSpeedUnits();
+    if (!realSpeedUnits) return;
+    
+    var cubic = realSpeedToCubicBezier(outSpeedField.getValue(), outInfluenceField.getValue(),
+                                       inSpeedField.getValue(), inInfluenceField.getValue(), realSpeedUnits.speedScale);
+    currentEasing.x1 = cubic.x1;
+    currentEasing.y1 = cubic.y1;
+    currentEasing.x2 = cubic.x2;
+    currentEasing.y2 = cubic.y2;
+    
+    presetList.setText("Select a preset...");
+    updateTextInput();
+    redrawGraphs();
+}
+
+// Dragged speed handles to easing: handle heights are a fraction of the real speed axis when it is shown
+function getEasingFromSpeedHandles(state) {
+    var realSpeedUnits = getRealSpeedUnits();
+    if (!realSpeedUnits) {
+        return speedToCubicBezier(state.outInfluence, state.inInfluence, state.outSpeedY, state.inSpeedY);
+    }
+    return realSpeedToCubicBezier(state.outSpeedY * realSpeedUnits.axisMax, state.outInfluence,
+                                  state.inSpeedY * realSpeedUnits.axisMax, state.inInfluence, realSpeedUnits.speedScale);
+}
+
+// Show the active segment in the stepper row (hidden when there is no segment list)
+function updateSegmentRow() {
+    var hasSegments = easingSegments.length > 0;
+    prevSegmentButton.setHidden(!hasSegments);
+    nextSegmentButton.setHidden(!hasSegments);
+    segmentLabel.setHidden(!hasSegments);
+    
+    if (!hasSegments) return;
+    
+    var segment = easingSegments[activeSegmentIndex];
+    segmentLabel.setText((activeSegmentIndex + 1) + "/" + easingSegments.length + "  " +
+                         segment.attrId + "  " + segment.frames[0] + "–" + segment.frames[1]);
+    prevSegmentButton.setEnabled(activeSegmentIndex > 0);
+    nextSegmentButton.setEnabled(activeSegmentIndex < easingSegments.length - 1);
+}
+
+// Load a segment's easing into the editor
+function selectSegment(index) {
+    if (index < 0 || index >= easingSegments.length) return;
+    
+    activeSegmentIndex = index;
+    var easing = easingSegments[index].easing;
+    currentEasing.x1 = easing.x1;
+    currentEasing.y1 = easing.y1;
+    currentEasing.x2 = easing.x2;
+    currentEasing.y2 = easing.y2;
+    ghostEasing = Object.assign({}, easing);
+    updateSpeedContext();
+    if (valueViewEnabled) {
+        valueView = getValueView(easingSegments[index]);
+    }
+    
+    updateSegmentRow();
+    updateTextInput();
+    redrawGraphs();
+}
+
+function clearSegments() {
+    easingSegments = [];
+    activeSegmentIndex = 0;
+    updateSegmentRow();
+}
+
+// Show the fields for the active curve generator
+function updateGeneratorRows() {
+    for (var i = 0; i < springWidgets.length; i++) {
+        springWidgets[i].setHidden(generatorMode !== "spring");
+    }
+    
+    var isCompound = generatorMode !== null && COMPOUND_EASINGS[generatorMode] !== undefined;
+    var hasPeriod = isCompound && compoundSettings.family === "elastic";
+    compoundAmplitudeLabel.setHidden(!isCompound || compoundSettings.family === "bounce");
+    compoundAmplitudeField.setHidden(!isCompound || compoundSettings.family === "bounce");
+    compoundPeriodLabel.setHidden(!hasPeriod);
+    compoundPeriodField.setHidden(!hasPeriod);
+}
+
+// Switch between the bezier editor (null), the spring generator, the function fitter and compound easings
+function setGeneratorMode(mode) {
+    generatorMode = mode;
+    
+    if (mode && COMPOUND_EASINGS[mode]) {
+        compoundSettings = Object.assign({}, COMPOUND_EASINGS[mode]);
+        if (compoundSettings.amplitude !== undefined) {
+            compoundAmplitudeField.setValue(compoundSettings.amplitude);
+        }
+        if (compoundSettings.period !== undefined) {
+            compoundPeriodField.setValue(compoundSettings.period);
+        }
+    }
+    
+    updateGeneratorRows();
+    redrawGraphs();
+}
+
+function updateCompoundFromFields() {
+    if (!compoundSettings) return;
+    compoundSettings.amplitude = compoundAmplitudeField.getValue();
+    compoundSettings.period = compoundPeriodField.getValue();
+    redrawGraphs();
+}
+
+function updateSpringFromFields() {
+    springSettings.mass = springMassField.getValue();
+    springSettings.stiffness = springStiffnessField.getValue();
+    springSettings.damping = springDampingField.getValue();
+    springSettings.velocity = springVelocityField.getValue();
+    redrawGraphs();
+}
+
+// Bake the active generator's curve between the selected keyframes
+function applyGeneratorCurve() {
+    if (generatorMode === "fit" && fitTarget.single.error <= FIT_TOLERANCE) {
+        applyCurrentEasing();
+        return;
+    }
+    
+    applyEasingChainToKeyframes(function(frameCount) {
+        if (generatorMode === "spring") {
+            return fitSpringChain(springSettings, frameCount);
+        }
+        if (generatorMode === "fit") {
+            var chain = fitEasingChain(fitTarget.fn, frameCount);
+            console.log("Fitted with " + chain.frames.length + " keyframes over " + frameCount + " frames, max error " + formatFitError(chain.error));
+            return chain;
+        }
+        return fitCompoundChain(compoundSettings, frameCount);
+    });
+}
+
+function formatFitError(error) {
+    return (error * 100).toFixed(2) + "%";
+}
+
+// Fit an easing function entered as text: the best single curve is loaded into the editor,
+// and when it misses the tolerance Apply bakes a keyframe chain instead
+function fitEasingFunction(text) {
+    var fn = parseEasingFunction(text);
+    if (!fn) return;
+    
+    try {
+        var single = fitCubicBezier(fn);
+        fitTarget = {
+            fn: fn,
+            samples: sampleEasingFunction(fn, 100),
+            single: single,
+            chain: fitEasingChain(fn, FIT_PREVIEW_FRAMES)
+        };
+    } catch (e) {
+        console.log("Error fitting easing function:", e.message);
+        return;
+    }
+    lastFitText = text;
+    
+    currentEasing.x1 = single.easing.x1;
+    currentEasing.y1 = single.easing.y1;
+    currentEasing.x2 = single.easing.x2;
+    currentEasing.y2 = single.easing.y2;
+    
+    console.log("Best single curve: cubic-bezier(" + single.easing.x1.toFixed(3) + ", " + single.easing.y1.toFixed(3) + ", " +
+                single.easing.x2.toFixed(3) + ", " + single.easing.y2.toFixed(3) + "), max error " + formatFitError(single.error));
+    if (single.error > FIT_TOLERANCE) {
+        console.log("Apply will bake a keyframe chain (" + fitTarget.chain.frames.length + " keyframes over " +
+                    FIT_PREVIEW_FRAMES + " frames, max error " + formatFitError(fitTarget.chain.error) + ")");
+    }
+    
+    updateTextInput();
+    setGeneratorMode("fit");
+}
+
+// Re-read the curve from the keyframes after they changed outside the editor (e.g. a revert)
+function refreshFromKeyframes() {
+    if (easingSegments.length > 0) {
+        var segments = getEasingSegments();
+        if (segments) {
+            easingSegments = segments;
+            selectSegment(Math.min(activeSegmentIndex, segments.length - 1));
+        } else {
+            clearSegments();
+        }
+    } else if (!generatorMode && getEasingFromKeyframes(currentEasing)) {
+        ghostEasing = Object.assign({}, currentEasing);
+        updateSpeedContext();
+        updateTextInput();
+        redrawGraphs();
+    }
+    reloadKeyframeViews();
+}
+
+// Apply to the active segment in segment mode, otherwise to the keyframe selection (matching speeds
+// through interior keys when continuous velocity is on)
+function applyCurrentEasing() {
+    if (easingSegments.length > 0) {
+        var segment = easingSegments[activeSegmentIndex];
+        if (applyEasingToKeyframes(currentEasing, segment)) {
+            segment.easing = Object.assign({}, currentEasing);
+        }
+        return;
+    }
+    if (continuousVelocityEnabled) {
+        applyContinuousVelocityToKeyframes(currentEasing);
+        return;
+    }
+    applyEasingToKeyframes(currentEasing);
 }
 
 // Save tab preference wrapper
@@ -275,6 +792,7 @@ setupValueGraphHandlers({
     canvas: graphCanvas,
     state: sharedState,
     getConfig: getGraphConfig,
+    getCurveBox: getValueCurveBox,
     onUpdate: function() {
         updateTextInput();
         redrawGraphs();
@@ -282,8 +800,9 @@ setupValueGraphHandlers({
     onDragEnd: function() {
         presetList.setText("Select a preset...");
         if (applyOnDragEnabled) {
-            applyEasingToKeyframes(currentEasing);
+            applyCurrentEasing();
         }
+        reloadKeyframeViews();
         saveTabPreference();
     }
 });
@@ -292,23 +811,335 @@ setupSpeedGraphHandlers({
     canvas: speedGraphCanvas,
     state: sharedState,
     getConfig: getSpeedGraphConfig,
+    getEasingFromSpeed: getEasingFromSpeedHandles,
+    getSpeedAxis: getSpeedGraphAxis,
+    onDragStart: function() {
+        // Every apply made during the drag reverts as one
+        beginApplyTransaction();
+    },
     onUpdate: function() {
         updateTextInput();
         redrawGraphs();
         if (applyOnDragEnabled) {
-            applyEasingToKeyframes(currentEasing);
+            applyCurrentEasing();
         }
     },
+    onDragEnd: function() {
+        endApplyTransaction();
+        presetList.setText("Select a preset...");
+        redrawGraphs();
+        saveTabPreference();
+    }
+});
+
+setupSpeedTimelineHandlers({
+    canvas: speedTimelineCanvas,
+    state: sharedState,
+    getConfig: getSpeedGraphConfig,
+    getTimeline: function() { return speedTimeline; },
+    getAxisMax: getTimelineAxisMax,
+    onUpdate: function(segmentIndex) {
+        var easing = speedTimeline.segments[segmentIndex].easing;
+        currentEasing.x1 = easing.x1;
+        currentEasing.y1 = easing.y1;
+        currentEasing.x2 = easing.x2;
+        currentEasing.y2 = easing.y2;
+        updateTextInput();
+        redrawGraphs();
+    },
     onDragEnd: function() {
         presetList.setText("Select a preset...");
+        // Timeline handles edit the keyframes directly, like the After Effects graph editor
+        applyEasingToTimeline(speedTimeline);
+        reloadKeyframeViews();
         saveTabPreference();
     }
 });
 
+// Refill the preset dropdown and browser with the presets matching the filter field
+// Returns a message per preset whose name clashes with another one
+function refreshPresetList() {
+    var merged = mergePresetLibraries(presets, presetLibraries);
+    allPresets = merged.presets;
+    presetSources = merged.sources;
+    
+    presetEntryNames = populatePresetDropdown(presetList, allPresets, presetFilterInput.getText());
+    updatePresetBrowser();
+    return merged.clashes;
+}
+
+// Re-read the preset library files that changed on disk and report name clashes
+function reloadPresetLibraries() {
+    var changed = false;
+    presetLibraries.forEach(function(library) {
+        if (reloadPresetLibrary(library)) {
+            changed = true;
+        }
+    });
+    if (changed) {
+        refreshPresetList().forEach(function(message) {
+            console.log(message);
+        });
+    }
+}
+
+// List a library file next to the personal presets; a missing read-write library file is created empty
+function addPresetLibrary(path, readOnly) {
+    if (!path) return;
+    
+    for (var i = 0; i < presetLibraries.length; i++) {
+        if (presetLibraries[i].path === path) {
+            console.log("Preset library already added: " + path);
+            return;
+        }
+    }
+    
+    var library = createPresetLibrary(path, readOnly);
+    if (!api.filePathExists(path) && !readOnly && !writePresetLibrary(library)) return;
+    
+    presetLibraries.push(library);
+    savePresetLibrariesSetting(presetLibraries);
+    reloadPresetLibraries();
+    updatePresetLibraryPolling();
+}
+
+// Stop listing a library (the file is left on disk)
+function removePresetLibrary(library) {
+    presetLibraries = presetLibraries.filter(function(other) { return other !== library; });
+    savePresetLibrariesSetting(presetLibraries);
+    refreshPresetList();
+    updatePresetLibraryPolling();
+}
+
+// Poll library files for changes only while there are libraries to check
+function updatePresetLibraryPolling() {
+    if (presetLibraries.length > 0 && !presetLibraryTimer.isActive()) {
+        presetLibraryTimer.start();
+    } else if (presetLibraries.length === 0 && presetLibraryTimer.isActive()) {
+        presetLibraryTimer.stop();
+    }
+}
+
+// Copy a listed preset into a read-write library
+function copyPresetToLibrary(name, library) {
+    var preset = presetSources[name] ? presetSources[name].library.presets[presetSources[name].name] : presets[name];
+    var presetName = presetSources[name] ? presetSources[name].name : name;
+    if (!preset) return;
+    
+    if (library.presets[presetName]) {
+        console.log("Replaced \"" + presetName + "\" in preset library " + library.name);
+    }
+    library.presets[presetName] = Object.assign({}, preset);
+    // Refresh even if the write failed: a library changed on disk is reloaded without the copy
+    writePresetLibrary(library);
+    refreshPresetList().forEach(function(message) {
+        console.log(message);
+    });
+}
+
+// Presets shown in the browser, in dropdown order
+function getBrowserPresetNames() {
+    return [].concat.apply([], getPresetSections(allPresets, presetFilterInput.getText()));
+}
+
+// Draw the current page of preset thumbnails; unused thumbnails are left blank
+function updatePresetBrowser() {
+    var names = getBrowserPresetNames();
+    var pageSize = presetThumbnails.length;
+    var pageCount = Math.max(1, Math.ceil(names.length / pageSize));
+    presetBrowserPage = Math.max(0, Math.min(pageCount - 1, presetBrowserPage));
+    
+    for (var i = 0; i < pageSize; i++) {
+        var name = names[presetBrowserPage * pageSize + i];
+        if (name) {
+            drawPresetThumbnail(presetThumbnails[i], name, allPresets[name], PRESET_BROWSER_CONFIG, name === loadedPresetName);
+        } else {
+            presetThumbnails[i].clearPaths();
+            presetThumbnails[i].setBackgroundColor(ui.getThemeColor("Base"));
+            presetThumbnails[i].redraw();
+        }
+    }
+    
+    presetPageLabel.setText(names.length === 0 ? "No matching presets" : "Page " + (presetBrowserPage + 1) + " of " + pageCount);
+}
+
+// Preset under a browser thumbnail, or null
+function getThumbnailPresetName(index) {
+    return getBrowserPresetNames()[presetBrowserPage * presetThumbnails.length + index] || null;
+}
+
+// Load a preset into the editor and select it in the dropdown
+function loadPreset(name) {
+    var preset = allPresets[name];
+    if (!preset) return;
+    
+    isUpdatingFromPreset = true;
+    loadedPresetName = name;
+    
+    currentEasing.x1 = preset.x1;
+    currentEasing.y1 = preset.y1;
+    currentEasing.x2 = preset.x2;
+    currentEasing.y2 = preset.y2;
+    
+    var label = getPresetListLabel(name);
+    if (label && presetList.getText() !== label) {
+        presetList.setText(label);
+    }
+    
+    updateTextInput();
+    redrawGraphs();
+    updatePresetBrowser();
+    isUpdatingFromPreset = false;
+    
+    saveTabPreference();
+}
+
+// Name of the preset selected in the dropdown, or null
+function getSelectedPresetName() {
+    return presetEntryNames[presetList.getText()] || null;
+}
+
+// Dropdown label of a listed preset, or null if the filter hides it
+function getPresetListLabel(name) {
+    for (var label in presetEntryNames) {
+        if (presetEntryNames[label] === name) return label;
+    }
+    return null;
+}
+
+// Where a listed preset is stored: the personal presets or its library's presets.
+// Returns null (and says why) for a preset in a read-only library.
+function getEditablePreset(name) {
+    var source = presetSources[name];
+    if (!source) {
+        return { presets: presets, name: name, library: null };
+    }
+    if (source.library.readOnly) {
+        console.log("\"" + name + "\" is in the read-only preset library " + source.library.name);
+        return null;
+    }
+    return { presets: source.library.presets, name: source.name, library: source.library };
+}
+
+// Save edited presets (to preferences or the library file) and refill the dropdown, keeping the named preset selected
+// Returns the listed name of that preset
+function onPresetsChanged(target, selectedName) {
+    if (target.library) {
+        writePresetLibrary(target.library);
+    } else {
+        savePresetsToPreferences(presets);
+    }
+    refreshPresetList();
+    
+    var listedName = selectedName;
+    for (var name in presetSources) {
+        if (presetSources[name].library === target.library && presetSources[name].name === selectedName) {
+            listedName = name;
+        }
+    }
+    
+    var label = listedName ? getPresetListLabel(listedName) : null;
+    if (label) {
+        presetList.setText(label);
+    }
+    return listedName;
+}
+
+// Run a presetManager edit (togglePresetFavorite, setPresetFolder, setPresetTags) on a listed preset
+function editPreset(name, edit) {
+    var target = getEditablePreset(name);
+    if (!target) return;
+    
+    edit(target.presets, target.name, function() {
+        onPresetsChanged(target, target.name);
+    });
+}
+
+// Prompt for a name and save the current curve as a preset
+function saveCurrentAsPreset() {
+    savePreset(presets, currentEasing, function() {
+        refreshPresetList();
+        savePresetsToPreferences(presets);
+    });
+}
+
+// Prompt for a new name for a listed preset
+function renameListedPreset(name) {
+    var target = getEditablePreset(name);
+    if (!target) return;
+    
+    var newName = renamePreset(target.presets, target.name, function() {});
+    if (newName) {
+        var listedName = onPresetsChanged(target, newName);
+        if (loadedPresetName === name) {
+            loadedPresetName = listedName;
+            updatePresetBrowser();
+        }
+    }
+}
+
+// Confirm and delete a listed preset
+function deleteListedPreset(name) {
+    var target = getEditablePreset(name);
+    if (!target) return;
+    
+    deletePreset(target.presets, target.name, function() {
+        onPresetsChanged(target, null);
+    });
+}
+
 // ============================================================================
 // CONTEXT MENUS
 // ============================================================================
 
+// Right-click menu of a browser thumbnail (name is null on an empty thumbnail)
+function showThumbnailContextMenu(name) {
+    ui.clearContextMenu();
+
+    ui.addMenuItem({
+        name: "Load",
+        enabled: name !== null,
+        onMouseRelease: function() {
+            loadPreset(name);
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Apply",
+        enabled: name !== null,
+        onMouseRelease: function() {
+            loadPreset(name);
+            applyCurrentEasing();
+            reloadKeyframeViews();
+        }
+    });
+
+    ui.addMenuItem({ name: "" });
+
+    ui.addMenuItem({
+        name: "Save Current Curve as Preset...",
+        onMouseRelease: saveCurrentAsPreset
+    });
+
+    ui.addMenuItem({
+        name: "Rename Preset",
+        enabled: name !== null,
+        onMouseRelease: function() {
+            renameListedPreset(name);
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Delete Preset",
+        enabled: name !== null,
+        onMouseRelease: function() {
+            deleteListedPreset(name);
+        }
+    });
+
+    ui.showContextMenu();
+}
+
 function showPresetContextMenu() {
     ui.clearContextMenu();
 
@@ -316,12 +1147,7 @@ function showPresetContextMenu() {
     
     ui.addMenuItem({
         name: "Save Preset...",
-        onMouseRelease: function() {
-            savePreset(presets, currentEasing, function() {
-                populatePresetDropdown(presetList, presets);
-                savePresetsToPreferences(presets);
-            });
-        }
+        onMouseRelease: saveCurrentAsPreset
     });
     
     ui.addMenuItem(separatorItem);
@@ -329,25 +1155,118 @@ function showPresetContextMenu() {
     ui.addMenuItem({
         name: "Rename Preset",
         onMouseRelease: function() {
-            var selectedPreset = presetList.getText();
-            var newName = renamePreset(presets, selectedPreset, function() {
-                populatePresetDropdown(presetList, presets);
-                savePresetsToPreferences(presets);
-            });
-            if (newName) {
-                presetList.setText(newName);
-            }
+            renameListedPreset(getSelectedPresetName());
         }
     });
     
     ui.addMenuItem({
         name: "Delete Preset",
         onMouseRelease: function() {
-            var selectedPreset = presetList.getText();
-            deletePreset(presets, selectedPreset, function() {
-                populatePresetDropdown(presetList, presets);
-                savePresetsToPreferences(presets);
-            });
+            deleteListedPreset(getSelectedPresetName());
+        }
+    });
+
+    ui.addMenuItem(separatorItem);
+
+    var selectedName = getSelectedPresetName();
+
+    ui.addMenuItem({
+        name: selectedName && allPresets[selectedName].favorite ? "Remove from Favorites" : "Add to Favorites",
+        enabled: selectedName !== null,
+        onMouseRelease: function() {
+            editPreset(selectedName, togglePresetFavorite);
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Move Preset to Folder...",
+        enabled: selectedName !== null,
+        onMouseRelease: function() {
+            editPreset(selectedName, setPresetFolder);
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Edit Preset Tags...",
+        enabled: selectedName !== null,
+        onMouseRelease: function() {
+            editPreset(selectedName, setPresetTags);
+        }
+    });
+
+    var libraryMenu = new ui.Menu("Preset Libraries");
+    libraryMenu.addMenuItem({
+        name: "Add Library File...",
+        onMouseRelease: function() {
+            addPresetLibrary(api.presentOpenFile(api.getProjectPath(), "Add Preset Library", "Preset Library (*.json)"), false);
+        }
+    });
+    libraryMenu.addMenuItem({
+        name: "Add Read-Only Library File...",
+        onMouseRelease: function() {
+            addPresetLibrary(api.presentOpenFile(api.getProjectPath(), "Add Read-Only Preset Library", "Preset Library (*.json)"), true);
+        }
+    });
+    libraryMenu.addMenuItem({
+        name: "New Library File...",
+        onMouseRelease: function() {
+            addPresetLibrary(api.presentSaveFile(api.getProjectPath(), "New Preset Library", "Preset Library (*.json)", "Easings.json"), false);
+        }
+    });
+    presetLibraries.forEach(function(library) {
+        libraryMenu.addMenuItem({ name: "" });
+        libraryMenu.addMenuItem({
+            name: "Copy Preset to " + library.name,
+            enabled: !library.readOnly && selectedName !== null,
+            onMouseRelease: function() {
+                copyPresetToLibrary(selectedName, library);
+            }
+        });
+        libraryMenu.addMenuItem({
+            name: "Remove " + library.name + (library.readOnly ? " (read-only)" : ""),
+            onMouseRelease: function() {
+                removePresetLibrary(library);
+            }
+        });
+    });
+    ui.addSubMenu(libraryMenu);
+    
+    ui.addMenuItem(separatorItem);
+
+    ui.addMenuItem({
+        name: "Apply Curve Sequence...",
+        onMouseRelease: function() {
+            var modal = new ui.Modal();
+            var text = modal.showStringInput("Apply Curve Sequence", "Presets or x1, y1, x2, y2 in pair order, separated by ;", lastSequenceText);
+            if (!text) return;
+            
+            var easings = parseEasingSequence(text, allPresets);
+            if (easings) {
+                lastSequenceText = text;
+                applyEasingSequenceToKeyframes(easings);
+            }
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Fit Easing Function...",
+        onMouseRelease: function() {
+            var modal = new ui.Modal();
+            var text = modal.showStringInput("Fit Easing Function", "CSS linear(...), a list of values or a function like t => t * t\n" +
+                                             "Functions run as JavaScript with full script access: only paste code you trust.", lastFitText);
+            if (!text) return;
+            
+            fitEasingFunction(text);
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Revert Last Apply",
+        enabled: canRevertLastApply(),
+        onMouseRelease: function() {
+            if (revertLastApply()) {
+                refreshFromKeyframes();
+            }
         }
     });
     
@@ -358,7 +1277,17 @@ function showPresetContextMenu() {
         onMouseRelease: function() {
             importPresets(presets, function() {
                 savePresetsToPreferences(presets);
-                populatePresetDropdown(presetList, presets);
+                refreshPresetList();
+            });
+        }
+    });
+    
+    ui.addMenuItem({
+        name: "Import Presets from File...",
+        onMouseRelease: function() {
+            importPresetsFromFile(presets, function() {
+                savePresetsToPreferences(presets);
+                refreshPresetList();
             });
         }
     });
@@ -369,12 +1298,24 @@ function showPresetContextMenu() {
             exportPresets(presets);
         }
     });
+
+    // Every listed preset, including shared library presets
+    var exportMenu = new ui.Menu("Export Presets as");
+    PRESET_EXPORT_FORMATS.forEach(function(target) {
+        exportMenu.addMenuItem({
+            name: target.name + "...",
+            onMouseRelease: function() {
+                exportPresetsAs(allPresets, target);
+            }
+        });
+    });
+    ui.addSubMenu(exportMenu);
     
     ui.addMenuItem({
         name: "Delete All Presets",
         onMouseRelease: function() {
             deleteAllPresets(presets, function() {
-                populatePresetDropdown(presetList, presets);
+                refreshPresetList();
                 savePresetsToPreferences(presets);
             });
         }
@@ -410,6 +1351,26 @@ function showPresetContextMenu() {
         }
     });
 
+    var copyAsMenu = new ui.Menu("Copy Keyframe Info as...");
+    CODE_FORMATS.forEach(function(target) {
+        copyAsMenu.addMenuItem({
+            name: target.name,
+            onMouseRelease: function() {
+                copyKeyframeInfoAs(target);
+            }
+        });
+    });
+    ui.addSubMenu(copyAsMenu);
+
+    SPEC_FORMATS.forEach(function(target) {
+        ui.addMenuItem({
+            name: "Copy Animation Spec as " + target.name,
+            onMouseRelease: function() {
+                copyAnimationSpec(target);
+            }
+        });
+    });
+
     ui.addMenuItem(separatorItem);
     
     ui.addMenuItem({
@@ -420,6 +1381,115 @@ function showPresetContextMenu() {
         }
     });
 
+    ui.addMenuItem({
+        name: "Spring generator" + (generatorMode === "spring" ? " ✓" : ""),
+        onMouseRelease: function() {
+            setGeneratorMode(generatorMode === "spring" ? null : "spring");
+        }
+    });
+
+    var compoundMenu = new ui.Menu("Compound easing");
+    Object.keys(COMPOUND_EASINGS).forEach(function(name) {
+        compoundMenu.addMenuItem({
+            name: name + (generatorMode === name ? " ✓" : ""),
+            onMouseRelease: function() {
+                setGeneratorMode(generatorMode === name ? null : name);
+            }
+        });
+    });
+    ui.addSubMenu(compoundMenu);
+
+    if (generatorMode === "fit") {
+        ui.addMenuItem({
+            name: "Fitted easing preview ✓",
+            onMouseRelease: function() {
+                setGeneratorMode(null);
+            }
+        });
+    }
+
+    ui.addMenuItem({
+        name: "Show fetched curve" + (showGhostCurve ? " ✓" : ""),
+        onMouseRelease: function() {
+            showGhostCurve = !showGhostCurve;
+            saveGhostCurveSetting(showGhostCurve);
+            redrawGraphs();
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Speed graph in real units" + (realSpeedUnitsEnabled ? " ✓" : ""),
+        onMouseRelease: function() {
+            realSpeedUnitsEnabled = !realSpeedUnitsEnabled;
+            saveRealSpeedUnitsSetting(realSpeedUnitsEnabled);
+            updateSpeedContext();
+            if (realSpeedUnitsEnabled && !getRealSpeedUnits()) {
+                console.log("Select a keyframe pair with different values to show speeds in real units");
+            }
+            redrawGraphs();
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Speed graph shows all selected keyframes" + (speedTimelineEnabled ? " ✓" : ""),
+        onMouseRelease: function() {
+            speedTimelineEnabled = !speedTimelineEnabled;
+            saveSpeedTimelineSetting(speedTimelineEnabled);
+            speedTimeline = null;
+            reloadKeyframeViews();
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Value graph in real values" + (valueViewEnabled ? " ✓" : ""),
+        onMouseRelease: function() {
+            valueViewEnabled = !valueViewEnabled;
+            saveValueViewSetting(valueViewEnabled);
+            valueView = null;
+            reloadKeyframeViews();
+        }
+    });
+
+    var compareMenu = new ui.Menu("Compare to Preset");
+    compareMenu.addMenuItem({
+        name: "None" + (comparePresetName === null ? " ✓" : ""),
+        onMouseRelease: function() {
+            comparePresetName = null;
+            redrawGraphs();
+        }
+    });
+    Object.keys(allPresets).sort(function(a, b) {
+        return a.toLowerCase().localeCompare(b.toLowerCase());
+    }).forEach(function(name) {
+        compareMenu.addMenuItem({
+            name: name + (comparePresetName === name ? " ✓" : ""),
+            onMouseRelease: function() {
+                comparePresetName = name;
+                redrawGraphs();
+            }
+        });
+    });
+    ui.addSubMenu(compareMenu);
+
+    ui.addMenuItem({
+        name: "Get easing per segment" + (segmentModeEnabled ? " ✓" : ""),
+        onMouseRelease: function() {
+            segmentModeEnabled = !segmentModeEnabled;
+            saveSegmentModeSetting(segmentModeEnabled);
+            if (!segmentModeEnabled) {
+                clearSegments();
+            }
+        }
+    });
+
+    ui.addMenuItem({
+        name: "Continuous velocity through keyframes" + (continuousVelocityEnabled ? " ✓" : ""),
+        onMouseRelease: function() {
+            continuousVelocityEnabled = !continuousVelocityEnabled;
+            saveContinuousVelocitySetting(continuousVelocityEnabled);
+        }
+    });
+
     ui.addMenuItem({
         name: "Automatically clamp paths" + (clampHoldsEnabled ? " ✓" : ""),
         onMouseRelease: function() {
@@ -464,18 +1534,53 @@ function showPresetContextMenu() {
 // ============================================================================
 
 applyButton.onClick = function() {
-    applyEasingToKeyframes(currentEasing);
+    if (generatorMode) {
+        applyGeneratorCurve();
+    } else {
+        applyCurrentEasing();
+    }
+    reloadKeyframeViews();
     saveTabPreference();
 };
 
 getButton.onClick = function() {
-    if (getEasingFromKeyframes(currentEasing)) {
+    if (segmentModeEnabled) {
+        var segments = getEasingSegments();
+        if (segments) {
+            easingSegments = segments;
+            selectSegment(0);
+        } else {
+            clearSegments();
+        }
+    } else if (getEasingFromKeyframes(currentEasing)) {
+        ghostEasing = Object.assign({}, currentEasing);
+        updateSpeedContext();
         updateTextInput();
         redrawGraphs();
     }
+    reloadKeyframeViews();
     saveTabPreference();
 };
 
+springMassField.onValueChanged = updateSpringFromFields;
+springStiffnessField.onValueChanged = updateSpringFromFields;
+springDampingField.onValueChanged = updateSpringFromFields;
+springVelocityField.onValueChanged = updateSpringFromFields;
+compoundAmplitudeField.onValueChanged = updateCompoundFromFields;
+compoundPeriodField.onValueChanged = updateCompoundFromFields;
+outSpeedField.onValueChanged = updateFromSpeedFields;
+outInfluenceField.onValueChanged = updateFromSpeedFields;
+inSpeedField.onValueChanged = updateFromSpeedFields;
+inInfluenceField.onValueChanged = updateFromSpeedFields;
+
+prevSegmentButton.onClick = function() {
+    selectSegment(activeSegmentIndex - 1);
+};
+
+nextSegmentButton.onClick = function() {
+    selectSegment(activeSegmentIndex + 1);
+};
+
 mainContextButton.onClick = function() {
     showPresetContextMenu();
 };
@@ -494,26 +1599,47 @@ bezierInput.onValueChanged = function() {
     }
 };
 
+presetFilterInput.onValueChanged = function() {
+    refreshPresetList();
+};
+
 presetList.onValueChanged = function() {
-    var selectedPreset = presetList.getText();
+    var selectedPreset = getSelectedPresetName();
     
-    if (selectedPreset === "Select a preset...") return;
+    if (selectedPreset && allPresets[selectedPreset]) {
+        loadPreset(selectedPreset);
+    }
+};
+
+// Preset browser: click loads a preset, double-click applies it, right-click edits it
+presetThumbnails.forEach(function(thumbnail, index) {
+    thumbnail.onMousePress = function(position, button) {
+        var name = getThumbnailPresetName(index);
+        if (button === "right") {
+            showThumbnailContextMenu(name);
+        } else if (button === "left" && name) {
+            loadPreset(name);
+        }
+    };
     
-    if (selectedPreset && presets[selectedPreset]) {
-        isUpdatingFromPreset = true;
-        var preset = presets[selectedPreset];
-        
-        currentEasing.x1 = preset.x1;
-        currentEasing.y1 = preset.y1;
-        currentEasing.x2 = preset.x2;
-        currentEasing.y2 = preset.y2;
+    thumbnail.onMouseDoubleClick = function(position, button) {
+        var name = getThumbnailPresetName(index);
+        if (button !== "left" || !name) return;
         
-        updateTextInput();
-        redrawGraphs();
-        isUpdatingFromPreset = false;
-        
-        saveTabPreference();
-    }
+        loadPreset(name);
+        applyCurrentEasing();
+        reloadKeyframeViews();
+    };
+});
+
+prevPresetPageButton.onClick = function() {
+    presetBrowserPage--;
+    updatePresetBrowser();
+};
+
+nextPresetPageButton.onClick = function() {
+    presetBrowserPage++;
+    updatePresetBrowser();
 };
 
 // ============================================================================
@@ -530,8 +1656,45 @@ applyOnDragEnabled = loadApplyOnDragSetting();
 clampHoldsEnabled = loadClampIdenticalSetting();
 setClampHoldsEnabled(clampHoldsEnabled);
 
-// Populate preset dropdown
-populatePresetDropdown(presetList, presets);
+// Load segment mode setting
+segmentModeEnabled = loadSegmentModeSetting();
+
+// Load continuous velocity setting
+continuousVelocityEnabled = loadContinuousVelocitySetting();
+
+// Load ghost curve setting
+showGhostCurve = loadGhostCurveSetting();
+
+// Load real speed units setting (speeds are measured on the first selected pair)
+realSpeedUnitsEnabled = loadRealSpeedUnitsSetting();
+updateSpeedContext();
+
+// Load speed timeline setting (the timeline is read on the next Get)
+speedTimelineEnabled = loadSpeedTimelineSetting();
+
+// Load value view setting (the curve is read on the next Get)
+valueViewEnabled = loadValueViewSetting();
+
+// Load shared preset library files
+presetLibraries = loadPresetLibrariesSetting().map(function(saved) {
+    return createPresetLibrary(saved.path, saved.readOnly);
+});
+presetLibraries.forEach(reloadPresetLibrary);
+
+// Populate preset dropdown, reporting library presets whose names are taken
+refreshPresetList().forEach(function(message) {
+    console.log(message);
+});
+
+// Reload preset library files when they change on disk
+var presetLibraryTimer = new api.Timer({
+    onTimeout: function() {
+        reloadPresetLibraries();
+    }
+});
+presetLibraryTimer.setInterval(PRESET_LIBRARY_POLL_INTERVAL);
+presetLibraryTimer.setRepeating(true);
+updatePresetLibraryPolling();
 
 // ============================================================================
 // UI LAYOUT
@@ -542,6 +1705,11 @@ var mainLayout = new ui.VLayout();
 mainLayout.setSpaceBetween(0);
 mainLayout.setMargins(3, 3, 3, 3);
 
+// Preset filter row
+var presetFilterRow = new ui.HLayout();
+presetFilterRow.add(presetFilterInput);
+presetFilterRow.setMargins(0, 4, 0, 0);
+
 // Preset row
 var presetRow = new ui.HLayout();
 presetRow.add(presetList);
@@ -556,6 +1724,34 @@ var valueTabLayout = new ui.VLayout();
 valueTabLayout.setSpaceBetween(0);
 valueTabLayout.setMargins(0, 0, 0, 0);
 valueTabLayout.add(graphCanvas);
+
+var springRow1 = new ui.HLayout();
+springRow1.add(springMassLabel);
+springRow1.add(springMassField);
+springRow1.add(springStiffnessLabel);
+springRow1.add(springStiffnessField);
+springRow1.setSpaceBetween(4);
+springRow1.setMargins(0, 4, 0, 0);
+valueTabLayout.add(springRow1);
+
+var springRow2 = new ui.HLayout();
+springRow2.add(springDampingLabel);
+springRow2.add(springDampingField);
+springRow2.add(springVelocityLabel);
+springRow2.add(springVelocityField);
+springRow2.setSpaceBetween(4);
+springRow2.setMargins(0, 4, 0, 0);
+valueTabLayout.add(springRow2);
+
+var compoundRow = new ui.HLayout();
+compoundRow.add(compoundAmplitudeLabel);
+compoundRow.add(compoundAmplitudeField);
+compoundRow.add(compoundPeriodLabel);
+compoundRow.add(compoundPeriodField);
+compoundRow.setSpaceBetween(4);
+compoundRow.setMargins(0, 4, 0, 0);
+valueTabLayout.add(compoundRow);
+
 valueTabLayout.addStretch();
 
 // SPEED TAB
@@ -563,11 +1759,56 @@ var speedTabLayout = new ui.VLayout();
 speedTabLayout.setSpaceBetween(0);
 speedTabLayout.setMargins(0, 0, 0, 0);
 speedTabLayout.add(speedGraphCanvas);
+speedTabLayout.add(speedTimelineCanvas);
+
+var speedFieldRow1 = new ui.HLayout();
+speedFieldRow1.add(outSpeedLabel);
+speedFieldRow1.add(outSpeedField);
+speedFieldRow1.add(outInfluenceLabel);
+speedFieldRow1.add(outInfluenceField);
+speedFieldRow1.setSpaceBetween(4);
+speedFieldRow1.setMargins(0, 4, 0, 0);
+speedTabLayout.add(speedFieldRow1);
+
+var speedFieldRow2 = new ui.HLayout();
+speedFieldRow2.add(inSpeedLabel);
+speedFieldRow2.add(inSpeedField);
+speedFieldRow2.add(inInfluenceLabel);
+speedFieldRow2.add(inInfluenceField);
+speedFieldRow2.setSpaceBetween(4);
+speedFieldRow2.setMargins(0, 4, 0, 0);
+speedTabLayout.add(speedFieldRow2);
+
 speedTabLayout.addStretch();
 
+// PRESETS TAB
+var presetTabLayout = new ui.VLayout();
+presetTabLayout.setSpaceBetween(4);
+presetTabLayout.setMargins(0, 4, 0, 0);
+
+for (var row = 0; row < PRESET_BROWSER_CONFIG.rows; row++) {
+    var thumbnailRow = new ui.HLayout();
+    thumbnailRow.setSpaceBetween(4);
+    for (var column = 0; column < PRESET_BROWSER_CONFIG.columns; column++) {
+        thumbnailRow.add(presetThumbnails[row * PRESET_BROWSER_CONFIG.columns + column]);
+    }
+    thumbnailRow.addStretch();
+    presetTabLayout.add(thumbnailRow);
+}
+
+var presetPageRow = new ui.HLayout();
+presetPageRow.add(prevPresetPageButton);
+presetPageRow.add(presetPageLabel);
+presetPageRow.add(nextPresetPageButton);
+presetPageRow.setSpaceBetween(4);
+presetTabLayout.add(presetPageRow);
+
+presetTabLayout.addStretch();
+
 // Add tabs (Speed first to match After Effects workflow)
 tabView.add("Speed", speedTabLayout);
 tabView.add("Value", valueTabLayout);
+tabView.add("Presets", presetTabLayout);
 
 // Add to main layout
 mainLayout.add(tabView);
@@ -580,6 +1821,16 @@ buttonRow.add(applyButton);
 buttonRow.setSpaceBetween(4);
 buttonRow.setMargins(0, 4, 0, 0);
 mainLayout.add(buttonRow);
+
+// Segment row
+var segmentRow = new ui.HLayout();
+segmentRow.add(prevSegmentButton);
+segmentRow.add(segmentLabel);
+segmentRow.add(nextSegmentButton);
+segmentRow.setSpaceBetween(4);
+segmentRow.setMargins(0, 4, 0, 0);
+mainLayout.add(segmentRow);
+mainLayout.add(presetFilterRow);
 mainLayout.add(presetRow);
 mainLayout.addStretch();
 
@@ -589,6 +1840,8 @@ ui.setBackgroundColor(ui.getThemeColor("Base"));
 
 // Initialize display
 updateTextInput();
+updateSegmentRow();
+updateGeneratorRows();
 redrawGraphs();
 
 // Tab change handler
@@ -619,6 +1872,7 @@ ui.onResize = function() {
     
     graphCanvas.setSize(graphWidth, graphHeight);
     speedGraphCanvas.setSize(speedGraphWidth, speedGraphHeight);
+    speedTimelineCanvas.setSize(speedGraphWidth, speedGraphHeight);
     
     redrawGraphs();
 };
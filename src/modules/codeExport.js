@@ -0,0 +1,304 @@
+// Code export module
+// Formats keyframe info (from getKeyframeInfo) as animation code for other platforms
+
+/**
+ * Round to at most 3 decimals for code output
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Easing numbers from the keyframe info's "x1,y1,x2,y2" string
+ * @param {Object} info - Keyframe info
+ * @returns {number[]} [x1, y1, x2, y2]
+ */
+function getEasingValues(info) {
+    return info.easing.split(',').map(function(v) { return round(parseFloat(v)); });
+}
+
+function getCubicBezierText(info) {
+    return "cubic-bezier(" + getEasingValues(info).join(", ") + ")";
+}
+
+/**
+ * Attribute id as an identifier, e.g. "position.x" -> "positionX" or "position-x"
+ * @param {string} attrId - Attribute id
+ * @param {string} separator - "" for camelCase, "-" or "_" for lower case words
+ * @returns {string}
+ */
+function toIdentifier(attrId, separator) {
+    var words = attrId.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(function(w) { return w !== ''; });
+    return words.map(function(word, i) {
+        word = word.toLowerCase();
+        if (separator === "" && i > 0) {
+            return word.charAt(0).toUpperCase() + word.slice(1);
+        }
+        return word;
+    }).join(separator);
+}
+
+function getComment(info) {
+    return info.propertyName + ": " + info.startValue + " > " + info.endValue + " (" + info.duration + "ms)";
+}
+
+/**
+ * CSS property and values for an attribute; Cavalry's y axis points up and opacity is 0-100.
+ * Attributes without a CSS equivalent are written as a custom property.
+ * @param {Object} info - Keyframe info
+ * @returns {{ property: string, from: string, to: string }}
+ */
+function getCssProperty(info) {
+    var mappings = {
+        'position.x': { property: 'transform', format: function(v) { return 'translateX(' + round(v) + 'px)'; } },
+        'position.y': { property: 'transform', format: function(v) { return 'translateY(' + round(-v) + 'px)'; } },
+        'scale.x': { property: 'transform', format: function(v) { return 'scaleX(' + round(v) + ')'; } },
+        'scale.y': { property: 'transform', format: function(v) { return 'scaleY(' + round(v) + ')'; } },
+        'rotation': { property: 'transform', format: function(v) { return 'rotate(' + round(-v) + 'deg)'; } },
+        'rotation.z': { property: 'transform', format: function(v) { return 'rotate(' + round(-v) + 'deg)'; } },
+        'opacity': { property: 'opacity', format: function(v) { return String(round(v / 100)); } }
+    };
+
+    var mapping = mappings[info.attrId] || {
+        property: '--' + toIdentifier(info.attrId, '-'),
+        format: function(v) { return String(round(v)); }
+    };
+
+    return {
+        property: mapping.property,
+        from: mapping.format(info.startValue),
+        to: mapping.format(info.endValue)
+    };
+}
+
+/**
+ * Android animator property and values (screen y points down, alpha is 0-1)
+ * @param {Object} info - Keyframe info
+ * @returns {{ property: string, from: number, to: number }}
+ */
+function getAndroidProperty(info) {
+    var mappings = {
+        'position.x': { property: 'translationX', scale: 1 },
+        'position.y': { property: 'translationY', scale: -1 },
+        'scale.x': { property: 'scaleX', scale: 1 },
+        'scale.y': { property: 'scaleY', scale: 1 },
+        'rotation': { property: 'rotation', scale: -1 },
+        'rotation.z': { property: 'rotation', scale: -1 },
+        'opacity': { property: 'alpha', scale: 0.01 }
+    };
+
+    var mapping = mappings[info.attrId] || { property: toIdentifier(info.attrId, ""), scale: 1 };
+    return {
+        property: mapping.property,
+        from: round(info.startValue * mapping.scale),
+        to: round(info.endValue * mapping.scale)
+    };
+}
+
+/**
+ * CSS transition shorthand
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatCssTransition(info) {
+    var css = getCssProperty(info);
+    return "/* " + getComment(info) + " */\n" +
+           "transition: " + css.property + " " + info.duration + "ms " + getCubicBezierText(info) + ";\n" +
+           css.property + ": " + css.to + ";";
+}
+
+/**
+ * CSS @keyframes rule and the animation that plays it
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatCssKeyframes(info) {
+    var css = getCssProperty(info);
+    var name = "easey-" + toIdentifier(info.attrId, '-');
+    return "/* " + getComment(info) + " */\n" +
+           "@keyframes " + name + " {\n" +
+           "  from { " + css.property + ": " + css.from + "; }\n" +
+           "  to { " + css.property + ": " + css.to + "; }\n" +
+           "}\n\n" +
+           "animation: " + name + " " + info.duration + "ms " + getCubicBezierText(info) + " both;";
+}
+
+/**
+ * Web Animations API call
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatWebAnimation(info) {
+    var css = getCssProperty(info);
+    var key = JSON.stringify(css.property);
+    return "// " + getComment(info) + "\n" +
+           "element.animate([\n" +
+           "  { " + key + ": " + JSON.stringify(css.from) + " },\n" +
+           "  { " + key + ": " + JSON.stringify(css.to) + " }\n" +
+           "], {\n" +
+           "  duration: " + info.duration + ",\n" +
+           "  easing: " + JSON.stringify(getCubicBezierText(info)) + ",\n" +
+           "  fill: \"both\"\n" +
+           "});";
+}
+
+/**
+ * SwiftUI timing curve animation
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatSwiftUI(info) {
+    var e = getEasingValues(info);
+    var name = toIdentifier(info.attrId, "");
+    return "// " + getComment(info) + "\n" +
+           ".animation(.timingCurve(" + e.join(", ") + ", duration: " + round(info.duration / 1000) + "), value: " + name + ")";
+}
+
+/**
+ * Jetpack Compose easing and tween spec
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatCompose(info) {
+    var e = getEasingValues(info).map(function(v) { return v + "f"; });
+    var name = toIdentifier(info.attrId, "");
+    return "// " + getComment(info) + "\n" +
+           "val " + name + "Easing = CubicBezierEasing(" + e.join(", ") + ")\n" +
+           "val " + name + " by animateFloatAsState(\n" +
+           "    targetValue = if (isActive) " + round(info.endValue) + "f else " + round(info.startValue) + "f,\n" +
+           "    animationSpec = tween(durationMillis = " + info.duration + ", easing = " + name + "Easing),\n" +
+           "    label = \"" + name + "\"\n" +
+           ")";
+}
+
+/**
+ * Android XML path interpolator and the object animator that uses it
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatAndroidXml(info) {
+    var e = getEasingValues(info);
+    var android = getAndroidProperty(info);
+    var name = "easey_" + toIdentifier(info.attrId, "_");
+    return "<!-- " + getComment(info) + " -->\n" +
+           "<!-- res/interpolator/" + name + ".xml -->\n" +
+           "<pathInterpolator xmlns:android=\"http://schemas.android.com/apk/res/android\"\n" +
+           "    android:controlX1=\"" + e[0] + "\"\n" +
+           "    android:controlY1=\"" + e[1] + "\"\n" +
+           "    android:controlX2=\"" + e[2] + "\"\n" +
+           "    android:controlY2=\"" + e[3] + "\" />\n\n" +
+           "<!-- res/animator/" + name + ".xml -->\n" +
+           "<objectAnimator xmlns:android=\"http://schemas.android.com/apk/res/android\"\n" +
+           "    android:propertyName=\"" + android.property + "\"\n" +
+           "    android:valueType=\"floatType\"\n" +
+           "    android:valueFrom=\"" + android.from + "\"\n" +
+           "    android:valueTo=\"" + android.to + "\"\n" +
+           "    android:duration=\"" + info.duration + "\"\n" +
+           "    android:interpolator=\"@interpolator/" + name + "\" />";
+}
+
+/**
+ * Lottie animated property with the easing as out ("o") and in ("i") tangents
+ * @param {Object} info - Keyframe info
+ * @returns {string}
+ */
+export function formatLottie(info) {
+    var e = getEasingValues(info);
+    var property = {
+        a: 1,
+        k: [
+            {
+                t: info.firstFrame,
+                s: [round(info.startValue)],
+                o: { x: [e[0]], y: [e[1]] },
+                i: { x: [e[2]], y: [e[3]] }
+            },
+            {
+                t: info.secondFrame,
+                s: [round(info.endValue)]
+            }
+        ]
+    };
+    return JSON.stringify(property);
+}
+
+// Targets listed in the "Copy as..." menu
+export var CODE_FORMATS = [
+    { name: "CSS transition", format: formatCssTransition },
+    { name: "CSS @keyframes", format: formatCssKeyframes },
+    { name: "Web Animations API", format: formatWebAnimation },
+    { name: "SwiftUI", format: formatSwiftUI },
+    { name: "Jetpack Compose", format: formatCompose },
+    { name: "Android XML", format: formatAndroidXml },
+    { name: "Lottie", format: formatLottie }
+];
+
+/**
+ * Animation spec (from getAnimationSpec) as a JSON handoff document
+ * @param {Object} spec - Animation spec
+ * @returns {string}
+ */
+export function formatSpecJson(spec) {
+    var document = {
+        frameRate: spec.frameRate,
+        startFrame: spec.startFrame,
+        animations: spec.animations.map(function(animation) {
+            return {
+                layer: animation.layer,
+                property: animation.property,
+                attribute: animation.attribute,
+                segments: animation.segments.map(function(segment) {
+                    var e = segment.easing;
+                    return {
+                        from: segment.startValue,
+                        to: segment.endValue,
+                        delay: segment.delay,
+                        duration: segment.duration,
+                        easing: "cubic-bezier(" + [e.x1, e.y1, e.x2, e.y2].map(round).join(", ") + ")"
+                    };
+                })
+            };
+        })
+    };
+    return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Animation spec (from getAnimationSpec) as a Markdown table, one row per segment
+ * @param {Object} spec - Animation spec
+ * @returns {string}
+ */
+export function formatSpecMarkdown(spec) {
+    function cell(value) {
+        var text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.replace(/\|/g, '\\|');
+    }
+
+    var lines = [
+        "| Layer | Property | From | To | Delay | Duration | Easing |",
+        "| --- | --- | --- | --- | --- | --- | --- |"
+    ];
+    spec.animations.forEach(function(animation) {
+        animation.segments.forEach(function(segment) {
+            var e = segment.easing;
+            lines.push("| " + [
+                cell(animation.layer),
+                cell(animation.property),
+                cell(segment.startValue),
+                cell(segment.endValue),
+                segment.delay + "ms",
+                segment.duration + "ms",
+                "`cubic-bezier(" + [e.x1, e.y1, e.x2, e.y2].map(round).join(", ") + ")`"
+            ].join(" | ") + " |");
+        });
+    });
+    return lines.join("\n") + "\n\n" + spec.frameRate + " fps, delays from frame " + spec.startFrame + " (composition start)";
+}
+
+// Formats listed under "Copy Animation Spec"
+export var SPEC_FORMATS = [
+    { name: "JSON", format: formatSpecJson },
+    { name: "Markdown", format: formatSpecMarkdown }
+];
@@ -0,0 +1,101 @@
+// Compound easing module
+// Penner bounce, elastic and back easings, which a single cubic-bezier cannot express
+
+import { fitEasingChain, sampleEasingFunction } from './curveFitter.js';
+
+/**
+ * Bounce (out) after Robert Penner
+ * @param {number} t - Normalized time
+ * @returns {number} Progress
+ */
+function bounceOut(t) {
+    var n1 = 7.5625;
+    var d1 = 2.75;
+    if (t < 1 / d1) {
+        return n1 * t * t;
+    } else if (t < 2 / d1) {
+        t -= 1.5 / d1;
+        return n1 * t * t + 0.75;
+    } else if (t < 2.5 / d1) {
+        t -= 2.25 / d1;
+        return n1 * t * t + 0.9375;
+    }
+    t -= 2.625 / d1;
+    return n1 * t * t + 0.984375;
+}
+
+/**
+ * Elastic (out) after Robert Penner
+ * @param {number} t - Normalized time
+ * @param {number} amplitude - Peak overshoot multiplier (values below 1 are treated as 1)
+ * @param {number} period - Oscillation period in normalized time
+ * @returns {number} Progress
+ */
+function elasticOut(t, amplitude, period) {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    var a = Math.max(1, amplitude);
+    var p = Math.max(0.01, period);
+    var s = p / (2 * Math.PI) * Math.asin(1 / a);
+    return a * Math.pow(2, -10 * t) * Math.sin((t - s) * (2 * Math.PI) / p) + 1;
+}
+
+/**
+ * Back (out) after Robert Penner
+ * @param {number} t - Normalized time
+ * @param {number} overshoot - Overshoot amount (1.70158 gives 10%)
+ * @returns {number} Progress
+ */
+function backOut(t, overshoot) {
+    var u = t - 1;
+    return 1 + (overshoot + 1) * u * u * u + overshoot * u * u;
+}
+
+/**
+ * Build the easing function for a compound easing definition
+ * @param {Object} compound - {family: "bounce"|"elastic"|"back", direction: "in"|"out"|"in-out", amplitude, period}
+ * @returns {(t: number) => number} Progress at normalized time
+ */
+export function getCompoundEasingFunction(compound) {
+    var out;
+    if (compound.family === 'bounce') {
+        out = bounceOut;
+    } else if (compound.family === 'elastic') {
+        out = function(t) { return elasticOut(t, compound.amplitude, compound.period); };
+    } else if (compound.family === 'back') {
+        out = function(t) { return backOut(t, compound.amplitude); };
+    } else {
+        throw new Error("Unknown compound easing: " + compound.family);
+    }
+
+    if (compound.direction === 'in') {
+        return function(t) { return 1 - out(1 - t); };
+    }
+    if (compound.direction === 'in-out') {
+        return function(t) {
+            return t < 0.5 ? (1 - out(1 - 2 * t)) / 2 : (1 + out(2 * t - 1)) / 2;
+        };
+    }
+    return out;
+}
+
+/**
+ * Sample a compound easing for drawing
+ * @param {Object} compound - Compound easing definition
+ * @param {number} sampleCount - Number of samples to take
+ * @returns {number[]} sampleCount + 1 progress values
+ */
+export function sampleCompoundEasing(compound, sampleCount) {
+    return sampleEasingFunction(getCompoundEasingFunction(compound), sampleCount);
+}
+
+/**
+ * Fit a compound easing (over frameCount frames) as a chain of eased keyframes
+ * @param {Object} compound - Compound easing definition
+ * @param {number} frameCount - Frames between the two keyframes
+ * @param {number} [tolerance] - Max error in normalized value (default 0.01)
+ * @returns {{ frames: number[], values: number[], easings: Object[], error: number }} See fitEasingChain
+ */
+export function fitCompoundChain(compound, frameCount, tolerance) {
+    return fitEasingChain(getCompoundEasingFunction(compound), frameCount, tolerance);
+}
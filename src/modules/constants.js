@@ -12,6 +12,14 @@ export var DEFAULT_PRESETS = {
     "expo-in": { x1: 0.95, y1: 0.05, x2: 0.795, y2: 0.035 }
 };
 
+// Value change below which two keyframes count as a hold
+export var IDENTICAL_VALUE_EPSILON = 0.001;
+
+// Preset library schema (stored under "easey_presetLibrary"; flat "easey_presets" data is migrated)
+export var PRESET_LIBRARY_VERSION = 2;
+export var PRESET_NAME_MAX_LENGTH = 60;
+export var PRESET_LIBRARY_POLL_INTERVAL = 10000;  // ms between checks of preset library files for changes (files are re-read: the API has no modification time)
+
 // Default easing values
 export var DEFAULT_EASING = {
     x1: 0.5,
@@ -35,3 +43,39 @@ export var DEFAULT_SPEED_EASING = {
     outSpeedY: 0,      // Left handle Y position (0 = baseline, 1 = top) -> maps to y1
     inSpeedY: 0        // Right handle Y position (0 = baseline, 1 = top) -> maps to (1 - y2)
 };
+
+// Spring generator defaults (iOS/Android style physical spring)
+export var DEFAULT_SPRING = {
+    mass: 1,
+    stiffness: 100,
+    damping: 10,
+    velocity: 0        // Initial velocity in start-to-end distances per second
+};
+
+// Compound easings (baked as intermediate keyframes; amplitude and period are editable)
+export var COMPOUND_EASINGS = {
+    "bounce-in": { family: "bounce", direction: "in" },
+    "bounce-out": { family: "bounce", direction: "out" },
+    "bounce-in-out": { family: "bounce", direction: "in-out" },
+    "elastic-in": { family: "elastic", direction: "in", amplitude: 1, period: 0.3 },
+    "elastic-out": { family: "elastic", direction: "out", amplitude: 1, period: 0.3 },
+    "elastic-in-out": { family: "elastic", direction: "in-out", amplitude: 1, period: 0.45 },
+    "back-in": { family: "back", direction: "in", amplitude: 1.70158 },
+    "back-out": { family: "back", direction: "out", amplitude: 1.70158 },
+    "back-in-out": { family: "back", direction: "in-out", amplitude: 1.70158 }
+};
+
+// Easing function fitter
+export var FIT_TOLERANCE = 0.01;       // Max error in normalized value before more keyframes are added
+export var FIT_PREVIEW_FRAMES = 60;    // Frame count used to preview a keyframe chain fit
+export var DEFAULT_FIT_FUNCTION = "t => 1 - Math.pow(1 - t, 4)";
+
+// Preset browser thumbnails (one page of columns x rows)
+export var PRESET_BROWSER_CONFIG = {
+    columns: 3,
+    rows: 4,
+    width: 72,
+    height: 72,
+    padding: 12,
+    handleRadius: 3
+};
@@ -21,6 +21,35 @@ export function getCompositionFrameRate() {
     }
 }
 
+/**
+ * Get the first frame of the active composition's frame range
+ * @returns {number} Start frame, or 0 if the composition's frame range can't be read
+ */
+export function getCompositionStartFrame() {
+    try {
+        var frameRange = api.get(api.getActiveComp(), "frameRange");
+        var startFrame = Array.isArray(frameRange) ? frameRange[0] : frameRange && frameRange.x;
+        return typeof startFrame === 'number' && isFinite(startFrame) ? startFrame : 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// Cubic-bezier <-> Cavalry handles
+//
+// Cavalry stores a pair's curve as handle offsets from each key: the first key's out handle (rightBez)
+// and the second key's in handle (leftBez), in frames and attribute units. These two functions are the
+// only place the mapping is done, and they keep these invariants:
+//   - x only depends on frameDiff, so for frameDiff > 0 x1 and x2 always round-trip, whatever the values do.
+//   - For any non-zero value change, rising or falling (valueDiff < 0), y1 and y2 round-trip: the y offsets
+//     are the curve's y scaled by valueDiff, so their ratio gives it back. This includes near-holds that
+//     keyframeOps treats as holds (IDENTICAL_VALUE_EPSILON); with clamping on Apply writes them flat, and
+//     they read back as the flat tangents they have.
+//   - When the value doesn't change at all (valueDiff = 0) every y offset is 0, so y1 and y2 are not stored
+//     anywhere on the keys and can't be recovered: they read back as 0 and 1 (flat tangents, no speed at
+//     either key) next to the recovered x1 and x2. Motion path keys carry the full curve in their velocity
+//     instead (see velocityToCubicBezier).
+
 /**
  * Convert cubic bezier to Cavalry format
  * @param {number} x1 - First control point X (0-1)
@@ -28,7 +57,7 @@ export function getCompositionFrameRate() {
  * @param {number} x2 - Second control point X (0-1)
  * @param {number} y2 - Second control point Y
  * @param {number} frameDiff - Frame difference between keyframes
- * @param {number} valueDiff - Value difference between keyframes
+ * @param {number} valueDiff - Value difference between keyframes (negative for a falling value)
  * @returns {Object} Cavalry handle values {outHandleX, outHandleY, inHandleX, inHandleY}
  */
 export function cubicBezierToCavalry(x1, y1, x2, y2, frameDiff, valueDiff) {
@@ -46,32 +75,31 @@ export function cubicBezierToCavalry(x1, y1, x2, y2, frameDiff, valueDiff) {
 }
 
 /**
- * Convert Cavalry format to cubic bezier
+ * Convert Cavalry format to cubic bezier (the inverse of cubicBezierToCavalry)
  * @param {number} outHandleX - Outgoing handle X offset
  * @param {number} outHandleY - Outgoing handle Y offset
  * @param {number} inHandleX - Incoming handle X offset (negative)
  * @param {number} inHandleY - Incoming handle Y offset (negative)
  * @param {number} frameDiff - Frame difference between keyframes
- * @param {number} valueDiff - Value difference between keyframes
+ * @param {number} valueDiff - Value difference between keyframes (negative for a falling value)
  * @returns {Object} Cubic bezier values {x1, y1, x2, y2}
  */
 export function cavalryToCubicBezier(outHandleX, outHandleY, inHandleX, inHandleY, frameDiff, valueDiff) {
-    var x1 = outHandleX / frameDiff;
-    var y1 = Math.abs(valueDiff) > 0.001 ? outHandleY / valueDiff : 0;
-    var x2 = (frameDiff + inHandleX) / frameDiff;
-    var y2 = Math.abs(valueDiff) > 0.001 ? 1 + (inHandleY / valueDiff) : 1;
+    var flat = valueDiff === 0;
     
     return {
-        x1: x1,
-        y1: y1,
-        x2: x2,
-        y2: y2
+        x1: outHandleX / frameDiff,
+        y1: flat ? 0 : outHandleY / valueDiff,
+        x2: 1 + inHandleX / frameDiff,
+        y2: flat ? 1 : 1 + inHandleY / valueDiff
     };
 }
 
 /**
  * Convert normalized cubic-bezier to Cavalry motion-path velocity (speed + influence).
  * Maps to setKeyframeVelocity: right* = outgoing from start key, left* = incoming at end key.
+ * Speeds are measured against the written influence, so speed * influence is the handle height
+ * and overshooting curves (y1 > x1) keep their height on the path. Speeds below 0 are not supported.
  * @param {number} x1
  * @param {number} y1
  * @param {number} x2
@@ -82,8 +110,6 @@ export function cubicBezierToVelocity(x1, y1, x2, y2) {
     var MIN_INFLUENCE = 0.01;
     var MAX_INFLUENCE = 1.0;
     var MIN_SPEED = 0.0;
-    var MAX_SPEED = 2.0;
-    var EPS = 0.0001;
 
     var nx1 = Math.max(0, Math.min(1, x1));
     var nx2 = Math.max(0, Math.min(1, x2));
@@ -92,20 +118,15 @@ export function cubicBezierToVelocity(x1, y1, x2, y2) {
     var leftInfluence = Math.max(MIN_INFLUENCE, Math.min(MAX_INFLUENCE, 1 - nx2));
 
     var rightSpeed = MIN_SPEED;
-    if (Math.abs(nx1) > EPS) {
-        var rs = y1 / nx1;
-        if (isFinite(rs)) {
-            rightSpeed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, rs));
-        }
+    var rs = y1 / rightInfluence;
+    if (isFinite(rs)) {
+        rightSpeed = Math.max(MIN_SPEED, rs);
     }
 
-    var oneMinusX2 = 1 - nx2;
     var leftSpeed = MIN_SPEED;
-    if (Math.abs(oneMinusX2) > EPS) {
-        var ls = (1 - y2) / oneMinusX2;
-        if (isFinite(ls)) {
-            leftSpeed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, ls));
-        }
+    var ls = (1 - y2) / leftInfluence;
+    if (isFinite(ls)) {
+        leftSpeed = Math.max(MIN_SPEED, ls);
     }
 
     return {
@@ -116,6 +137,25 @@ export function cubicBezierToVelocity(x1, y1, x2, y2) {
     };
 }
 
+/**
+ * Convert Cavalry motion-path velocity (speed + influence) back to a normalized cubic-bezier.
+ * The inverse of cubicBezierToVelocity for curves within its limits (x 0-1, influence at least 0.01, speed at least 0),
+ * so reading a path's velocity and applying it again writes the same velocity.
+ * @param {number} rightSpeed - Outgoing speed of the start key
+ * @param {number} rightInfluence - Outgoing influence of the start key (0-1)
+ * @param {number} leftSpeed - Incoming speed of the end key
+ * @param {number} leftInfluence - Incoming influence of the end key (0-1)
+ * @returns {Object} Cubic bezier values {x1, y1, x2, y2}
+ */
+export function velocityToCubicBezier(rightSpeed, rightInfluence, leftSpeed, leftInfluence) {
+    return {
+        x1: rightInfluence,
+        y1: rightSpeed * rightInfluence,
+        x2: 1 - leftInfluence,
+        y2: 1 - leftSpeed * leftInfluence
+    };
+}
+
 /**
  * Convert speed values to cubic-bezier
  * @param {number} outInfluence - Outgoing influence (0-100 percentage)
@@ -178,6 +218,56 @@ export function calculateVelocityAtTime(t, x1, y1, x2, y2) {
     return speed;
 }
 
+/**
+ * Evaluate a cubic-bezier easing curve: the value (y) at a given progress in time (x)
+ * @param {number} x1 - First control point X
+ * @param {number} y1 - First control point Y
+ * @param {number} x2 - Second control point X
+ * @param {number} y2 - Second control point Y
+ * @param {number} x - Progress in time (0-1)
+ * @returns {number} Eased value at x
+ */
+export function evaluateCubicBezier(x1, y1, x2, y2, x) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    
+    // Solve bezierX(t) = x with Newton's method, falling back to bisection
+    var t = x;
+    for (var i = 0; i < 8; i++) {
+        var oneMinusT = 1 - t;
+        var bx = 3 * oneMinusT * oneMinusT * t * x1 + 3 * oneMinusT * t * t * x2 + t * t * t;
+        var dx = 3 * oneMinusT * oneMinusT * x1 + 6 * oneMinusT * t * (x2 - x1) + 3 * t * t * (1 - x2);
+        if (Math.abs(bx - x) < 0.000001) break;
+        if (Math.abs(dx) < 0.000001) {
+            t = -1;
+            break;
+        }
+        t = t - (bx - x) / dx;
+        if (t < 0 || t > 1) {
+            t = -1;
+            break;
+        }
+    }
+    
+    if (t < 0) {
+        var lo = 0;
+        var hi = 1;
+        for (var j = 0; j < 40; j++) {
+            t = (lo + hi) / 2;
+            var mt = 1 - t;
+            var midX = 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t;
+            if (midX < x) {
+                lo = t;
+            } else {
+                hi = t;
+            }
+        }
+    }
+    
+    var u = 1 - t;
+    return 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t;
+}
+
 /**
  * Sample velocity curve at multiple points and return normalized values
  * @param {number} x1 - First control point X
@@ -209,6 +299,97 @@ export function sampleVelocityCurve(x1, y1, x2, y2, sampleCount) {
     return samples;
 }
 
+/**
+ * Units per second represented by a normalized slope of 1 on a keyframe pair
+ * @param {number} valueDelta - Value change between the keyframes
+ * @param {number} frameCount - Frames between the keyframes
+ * @param {number} frameRate - Frame rate (fps)
+ * @returns {number} Speed scale in units per second
+ */
+export function getSpeedScale(valueDelta, frameCount, frameRate) {
+    if (frameCount <= 0) return 0;
+    return Math.abs(valueDelta) * frameRate / frameCount;
+}
+
+/**
+ * Unit label for speeds of an attribute
+ * @param {string} attrId - Attribute id
+ * @returns {string} e.g. "px/s" or "°/s"
+ */
+export function getSpeedUnit(attrId) {
+    var root = attrId.split('.')[0];
+    if (root === 'position' || root === 'size' || root === 'width' || root === 'height' || root === 'radius') return "px/s";
+    if (root === 'rotation') return "°/s";
+    if (root === 'opacity') return "%/s";
+    return "units/s";
+}
+
+/**
+ * Convert cubic-bezier to keyframe speeds in real units (After Effects style velocity)
+ * @param {number} x1 - First control point X
+ * @param {number} y1 - First control point Y
+ * @param {number} x2 - Second control point X
+ * @param {number} y2 - Second control point Y
+ * @param {number} speedScale - Units per second for a slope of 1 (see getSpeedScale)
+ * @returns {Object} {outSpeed, outInfluence, inSpeed, inInfluence}, speeds in units per second, influences 0-100
+ */
+export function cubicBezierToRealSpeed(x1, y1, x2, y2, speedScale) {
+    var EPS = 0.0001;
+    var outSlope = x1 > EPS ? y1 / x1 : 0;
+    var inSlope = (1 - x2) > EPS ? (1 - y2) / (1 - x2) : 0;
+    return {
+        outSpeed: outSlope * speedScale,
+        outInfluence: x1 * 100,
+        inSpeed: inSlope * speedScale,
+        inInfluence: (1 - x2) * 100
+    };
+}
+
+/**
+ * Convert keyframe speeds in real units to cubic-bezier
+ * @param {number} outSpeed - Outgoing speed in units per second
+ * @param {number} outInfluence - Outgoing influence (0-100 percentage)
+ * @param {number} inSpeed - Incoming speed in units per second
+ * @param {number} inInfluence - Incoming influence (0-100 percentage)
+ * @param {number} speedScale - Units per second for a slope of 1 (see getSpeedScale)
+ * @returns {Object} Cubic bezier values {x1, y1, x2, y2}
+ */
+export function realSpeedToCubicBezier(outSpeed, outInfluence, inSpeed, inInfluence, speedScale) {
+    var x1 = outInfluence / 100;
+    var x2 = 1 - (inInfluence / 100);
+    var outSlope = speedScale > 0 ? outSpeed / speedScale : 0;
+    var inSlope = speedScale > 0 ? inSpeed / speedScale : 0;
+    return {
+        x1: x1,
+        y1: outSlope * x1,
+        x2: x2,
+        y2: 1 - inSlope * (1 - x2)
+    };
+}
+
+/**
+ * Sample the speed of an easing curve in real units against time
+ * @param {number} x1 - First control point X
+ * @param {number} y1 - First control point Y
+ * @param {number} x2 - Second control point X
+ * @param {number} y2 - Second control point Y
+ * @param {number} speedScale - Units per second for a slope of 1 (see getSpeedScale)
+ * @param {number} sampleCount - Number of samples to take
+ * @returns {{ x: number, speed: number }[]} Time (0-1) and speed in units per second for each sample
+ */
+export function sampleRealSpeedCurve(x1, y1, x2, y2, speedScale, sampleCount) {
+    var samples = [];
+    for (var i = 0; i <= sampleCount; i++) {
+        var t = i / sampleCount;
+        var u = 1 - t;
+        samples.push({
+            x: 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t,
+            speed: calculateVelocityAtTime(t, x1, y1, x2, y2) * speedScale
+        });
+    }
+    return samples;
+}
+
 /**
  * Convert frames to milliseconds
  * @param {number} frames - Number of frames
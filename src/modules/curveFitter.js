@@ -0,0 +1,418 @@
+// Curve fitting module
+// Approximates arbitrary easing functions with a cubic-bezier or a chain of bezier-eased keyframes
+
+import { evaluateCubicBezier } from './conversions.js';
+import { FIT_TOLERANCE } from './constants.js';
+
+var SETTLED_THRESHOLD = 0.005;
+var MAX_FIT_SLOPE = 20;
+var FIT_SAMPLES = 16;
+var FIT_STEPS = 25;
+var SLOPE_STEP = 0.0001;
+var BEZIER_FIT_SAMPLES = 50;
+var FUNCTION_CHECK_SAMPLES = 200;
+
+/**
+ * One-sided slope of an easing function in value per frame
+ * @param {(t: number) => number} fn - Easing function over normalized time
+ * @param {number} frame - Frame offset
+ * @param {number} frameCount - Total frames (t = frame / frameCount)
+ * @param {number} side - 1 for the slope leaving the frame, -1 for the slope arriving at it
+ * @returns {number} Slope
+ */
+function slopeAt(fn, frame, frameCount, side) {
+    var t = frame / frameCount;
+    var other = Math.max(0, Math.min(1, t + side * SLOPE_STEP));
+    if (other === t) return 0;
+    return (fn(other) - fn(t)) / (other - t) / frameCount;
+}
+
+/**
+ * Fit one sub-segment of an easing function with a cubic-bezier whose handles follow the
+ * function's slope at both ends; only the handle lengths are searched.
+ * @param {(t: number) => number} fn - Easing function over normalized time
+ * @param {number} frameCount - Total frames
+ * @param {number} startFrame
+ * @param {number} endFrame
+ * @returns {{ easing: Object, error: number, errorFrame: number }} Best easing and its max absolute error
+ */
+function fitSubSegment(fn, frameCount, startFrame, endFrame) {
+    var frameSpan = endFrame - startFrame;
+    var startValue = fn(startFrame / frameCount);
+    var endValue = fn(endFrame / frameCount);
+    var valueSpan = endValue - startValue;
+
+    var samples = [];
+    for (var s = 1; s < FIT_SAMPLES; s++) {
+        var frame = startFrame + (s / FIT_SAMPLES) * frameSpan;
+        samples.push({ x: s / FIT_SAMPLES, frame: frame, value: fn(frame / frameCount) });
+    }
+
+    if (Math.abs(valueSpan) < 0.000001) {
+        var flatError = 0;
+        var flatFrame = startFrame;
+        for (var f = 0; f < samples.length; f++) {
+            var flatDiff = Math.abs(samples[f].value - startValue);
+            if (flatDiff > flatError) {
+                flatError = flatDiff;
+                flatFrame = samples[f].frame;
+            }
+        }
+        return { easing: { x1: 1 / 3, y1: 0, x2: 2 / 3, y2: 1 }, error: flatError, errorFrame: flatFrame };
+    }
+
+    var startSlope = slopeAt(fn, startFrame, frameCount, 1) * frameSpan / valueSpan;
+    var endSlope = slopeAt(fn, endFrame, frameCount, -1) * frameSpan / valueSpan;
+    startSlope = Math.max(-MAX_FIT_SLOPE, Math.min(MAX_FIT_SLOPE, startSlope));
+    endSlope = Math.max(-MAX_FIT_SLOPE, Math.min(MAX_FIT_SLOPE, endSlope));
+
+    var best = null;
+    for (var a = 1; a <= FIT_STEPS; a++) {
+        for (var b = 1; b <= FIT_STEPS; b++) {
+            var outLength = a / FIT_STEPS;
+            var inLength = b / FIT_STEPS;
+            var easing = {
+                x1: outLength,
+                y1: startSlope * outLength,
+                x2: 1 - inLength,
+                y2: 1 - endSlope * inLength
+            };
+            var error = 0;
+            var errorFrame = startFrame;
+            for (var i = 0; i < samples.length; i++) {
+                var fitted = startValue + valueSpan * evaluateCubicBezier(easing.x1, easing.y1, easing.x2, easing.y2, samples[i].x);
+                var diff = Math.abs(fitted - samples[i].value);
+                if (diff > error) {
+                    error = diff;
+                    errorFrame = samples[i].frame;
+                }
+            }
+            if (!best || error < best.error) {
+                best = { easing: easing, error: error, errorFrame: errorFrame };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Fit an easing function (time-scaled to frameCount frames) as a chain of keyframes.
+ * Keys go on the frames nearest each turning point so every sub-segment is monotonic,
+ * then sub-segments are split until each fits its cubic-bezier within the tolerance.
+ * @param {(t: number) => number} fn - Easing function over normalized time, fn(0) = 0 and fn(1) = 1
+ * @param {number} frameCount - Frames between the two keyframes
+ * @param {number} [tolerance] - Max error in normalized value (default 0.01)
+ * @returns {{ frames: number[], values: number[], easings: Object[], error: number }}
+ *   Frame offsets (0..frameCount), normalized values, one easing per sub-segment and the max error
+ */
+export function fitEasingChain(fn, frameCount, tolerance) {
+    if (tolerance === undefined) tolerance = FIT_TOLERANCE;
+
+    function valueAt(frame) {
+        return fn(frame / frameCount);
+    }
+
+    // Turning points
+    var endValue = valueAt(frameCount);
+    var frames = [0];
+    for (var f = 1; f < frameCount; f++) {
+        var before = valueAt(f) - valueAt(f - 1);
+        var after = valueAt(f + 1) - valueAt(f);
+        if (before * after < 0 && Math.abs(valueAt(f) - endValue) > SETTLED_THRESHOLD) {
+            frames.push(f);
+        }
+    }
+    frames.push(frameCount);
+
+    // Split sub-segments that miss the tolerance
+    var chainFrames = [frames[0]];
+    var fits = [];
+    for (var k = 0; k < frames.length - 1; k++) {
+        var pending = [[frames[k], frames[k + 1]]];
+        while (pending.length > 0) {
+            var range = pending.shift();
+            var fit = fitSubSegment(fn, frameCount, range[0], range[1]);
+            var splitFrame = Math.round(fit.errorFrame);
+            if (fit.error > tolerance && splitFrame > range[0] && splitFrame < range[1]) {
+                pending.unshift([range[0], splitFrame], [splitFrame, range[1]]);
+                continue;
+            }
+            chainFrames.push(range[1]);
+            fits.push(fit);
+        }
+    }
+
+    // Drop keys whose neighbours can be joined by one bezier within the tolerance
+    var merged = true;
+    while (merged) {
+        merged = false;
+        for (var m = 1; m < chainFrames.length - 1; m++) {
+            var joined = fitSubSegment(fn, frameCount, chainFrames[m - 1], chainFrames[m + 1]);
+            if (joined.error <= tolerance) {
+                chainFrames.splice(m, 1);
+                fits.splice(m - 1, 2, joined);
+                merged = true;
+                break;
+            }
+        }
+    }
+
+    var easings = [];
+    var maxError = 0;
+    for (var e = 0; e < fits.length; e++) {
+        easings.push(fits[e].easing);
+        maxError = Math.max(maxError, fits[e].error);
+    }
+
+    var values = [];
+    for (var v = 0; v < chainFrames.length; v++) {
+        values.push(valueAt(chainFrames[v]));
+    }
+
+    return {
+        frames: chainFrames,
+        values: values,
+        easings: easings,
+        error: maxError
+    };
+}
+
+/**
+ * Sample an easing function at evenly spaced times
+ * @param {(t: number) => number} fn - Easing function over normalized time
+ * @param {number} sampleCount - Number of samples to take
+ * @returns {number[]} sampleCount + 1 values from t = 0 to t = 1
+ */
+export function sampleEasingFunction(fn, sampleCount) {
+    var samples = [];
+    for (var i = 0; i <= sampleCount; i++) {
+        samples.push(fn(i / sampleCount));
+    }
+    return samples;
+}
+
+/**
+ * Max absolute error of a cubic-bezier against an easing function
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {(t: number) => number} fn - Easing function over normalized time
+ * @returns {number} Max error over the sampled range
+ */
+function bezierError(easing, fn) {
+    var error = 0;
+    for (var i = 1; i < BEZIER_FIT_SAMPLES; i++) {
+        var t = i / BEZIER_FIT_SAMPLES;
+        var diff = Math.abs(evaluateCubicBezier(easing.x1, easing.y1, easing.x2, easing.y2, t) - fn(t));
+        error = Math.max(error, diff);
+    }
+    return error;
+}
+
+/**
+ * Find the single cubic-bezier closest to an easing function (minimizes the max error)
+ * @param {(t: number) => number} fn - Easing function over normalized time, fn(0) = 0 and fn(1) = 1
+ * @returns {{ easing: Object, error: number }} Best easing {x1, y1, x2, y2} and its max error
+ */
+export function fitCubicBezier(fn) {
+    // Start from the slope-matched fit, then refine all four values by pattern search
+    var best = fitSubSegment(fn, BEZIER_FIT_SAMPLES, 0, BEZIER_FIT_SAMPLES).easing;
+    var bestError = bezierError(best, fn);
+    var keys = ['x1', 'y1', 'x2', 'y2'];
+
+    for (var step = 0.1; step > 0.0005; step /= 2) {
+        var improved = true;
+        while (improved) {
+            improved = false;
+            for (var k = 0; k < keys.length; k++) {
+                for (var dir = -1; dir <= 1; dir += 2) {
+                    var candidate = { x1: best.x1, y1: best.y1, x2: best.x2, y2: best.y2 };
+                    candidate[keys[k]] += dir * step;
+                    if (candidate.x1 < 0 || candidate.x1 > 1 || candidate.x2 < 0 || candidate.x2 > 1) continue;
+
+                    var error = bezierError(candidate, fn);
+                    if (error < bestError - 0.000001) {
+                        best = candidate;
+                        bestError = error;
+                        improved = true;
+                    }
+                }
+            }
+        }
+    }
+
+    return { easing: best, error: bestError };
+}
+
+/**
+ * Piecewise-linear easing through evenly or explicitly spaced stops
+ * @param {{ t: number, value: number }[]} stops - Stops sorted by t (0-1)
+ * @returns {(t: number) => number}
+ */
+function piecewiseLinear(stops) {
+    return function(t) {
+        if (t <= stops[0].t) return stops[0].value;
+        for (var i = 1; i < stops.length; i++) {
+            if (t <= stops[i].t) {
+                var span = stops[i].t - stops[i - 1].t;
+                var local = span > 0 ? (t - stops[i - 1].t) / span : 1;
+                return stops[i - 1].value + local * (stops[i].value - stops[i - 1].value);
+            }
+        }
+        return stops[stops.length - 1].value;
+    };
+}
+
+/**
+ * Parse the stops of a CSS linear() easing, e.g. "linear(0, 0.25 30%, 1.1 70% 80%, 1)"
+ * @param {string} body - Text between the parentheses
+ * @returns {{ t: number, value: number }[]|null}
+ */
+function parseCssLinearStops(body) {
+    var stops = [];
+    var parts = body.split(',');
+    for (var i = 0; i < parts.length; i++) {
+        var tokens = parts[i].trim().split(/\s+/);
+        var value = parseFloat(tokens[0]);
+        if (isNaN(value)) return null;
+        if (tokens.length === 1) {
+            stops.push({ t: null, value: value });
+        }
+        for (var j = 1; j < tokens.length; j++) {
+            var pct = parseFloat(tokens[j]);
+            if (isNaN(pct) || tokens[j].indexOf('%') === -1) return null;
+            stops.push({ t: pct / 100, value: value });
+        }
+    }
+    if (stops.length < 2) return null;
+
+    // Per the CSS spec: first/last default to 0%/100%, positions never go backwards,
+    // and runs without a position are spread evenly between their neighbours
+    if (stops[0].t === null) stops[0].t = 0;
+    if (stops[stops.length - 1].t === null) stops[stops.length - 1].t = Math.max(1, stops[0].t);
+    var lastT = stops[0].t;
+    for (var k = 1; k < stops.length; k++) {
+        if (stops[k].t !== null) {
+            stops[k].t = Math.max(stops[k].t, lastT);
+            lastT = stops[k].t;
+        }
+    }
+    for (var a = 1; a < stops.length; a++) {
+        if (stops[a].t !== null) continue;
+        var b = a;
+        while (stops[b].t === null) b++;
+        var from = stops[a - 1].t;
+        var to = stops[b].t;
+        for (var c = a; c < b; c++) {
+            stops[c].t = from + (to - from) * (c - a + 1) / (b - a + 1);
+        }
+    }
+    return stops;
+}
+
+/**
+ * Parse an easing function from text and normalize it so f(0) = 0 and f(1) = 1.
+ * Accepts a CSS linear() string, a list of evenly spaced values ("0, 12, 48, 100")
+ * or a JavaScript function expression ("t => 1 - Math.pow(1 - t, 4)").
+ * Function expressions are run as JavaScript with the script's full access, so only trusted text should be passed.
+ * The function is checked across t = 0-1 and refused if it throws or gives a non-finite value anywhere on that grid.
+ * @param {string} text - Easing function text
+ * @returns {((t: number) => number)|null} Easing function, or null if the text could not be used
+ */
+export function parseEasingFunction(text) {
+    if (!text || text.trim() === "") {
+        console.log("No easing function entered");
+        return null;
+    }
+    text = text.trim();
+
+    var raw = null;
+    var cssMatch = /^linear\((.*)\)\s*;?$/i.exec(text);
+    if (cssMatch) {
+        var stops = parseCssLinearStops(cssMatch[1]);
+        if (!stops) {
+            console.log("Could not parse CSS linear() stops");
+            return null;
+        }
+        raw = piecewiseLinear(stops);
+    } else if (text.indexOf('=>') !== -1 || text.indexOf('function') === 0) {
+        try {
+            raw = new Function('return (' + text + ');')();
+        } catch (e) {
+            console.log("Invalid easing expression: " + e.message);
+            return null;
+        }
+        if (typeof raw !== 'function') {
+            console.log("Easing expression is not a function");
+            return null;
+        }
+    } else {
+        var values = text.replace(/^\[|\]$/g, '').split(/[\s,;]+/).filter(function(v) { return v !== ''; }).map(parseFloat);
+        if (values.length < 2 || !values.every(function(v) { return !isNaN(v); })) {
+            console.log("Expected linear(...), a list of values or a function like t => t * t");
+            return null;
+        }
+        var valueStops = values.map(function(v, i) { return { t: i / (values.length - 1), value: v }; });
+        raw = piecewiseLinear(valueStops);
+    }
+
+    for (var i = 0; i <= FUNCTION_CHECK_SAMPLES; i++) {
+        var t = i / FUNCTION_CHECK_SAMPLES;
+        var value;
+        try {
+            value = raw(t);
+        } catch (e) {
+            console.log("Error evaluating easing function at t = " + t + ": " + e.message);
+            return null;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            console.log("Easing function gives " + value + " at t = " + t + " instead of a finite number");
+            return null;
+        }
+    }
+
+    var startValue = raw(0);
+    var endValue = raw(1);
+    if (Math.abs(endValue - startValue) < 0.000001) {
+        console.log("Easing function must have different values at t = 0 and t = 1");
+        return null;
+    }
+
+    // Times between the checked ones can still fail; they read as 0 so fitting and drawing carry on
+    var reported = false;
+    return function(t) {
+        var value;
+        try {
+            value = (raw(t) - startValue) / (endValue - startValue);
+        } catch (e) {
+            if (!reported) {
+                console.log("Error evaluating easing function at t = " + t + ": " + e.message);
+                reported = true;
+            }
+            return 0;
+        }
+        return isFinite(value) ? value : 0;
+    };
+}
+
+/**
+ * Sample a fitted keyframe chain at evenly spaced times
+ * @param {{ frames: number[], values: number[], easings: Object[] }} chain - Chain from fitEasingChain
+ * @param {number} sampleCount - Number of samples to take
+ * @returns {number[]} sampleCount + 1 values from the first to the last key
+ */
+export function sampleEasingChain(chain, sampleCount) {
+    var firstFrame = chain.frames[0];
+    var lastFrame = chain.frames[chain.frames.length - 1];
+    var samples = [];
+    var k = 0;
+    for (var i = 0; i <= sampleCount; i++) {
+        var frame = firstFrame + (i / sampleCount) * (lastFrame - firstFrame);
+        while (k < chain.easings.length - 1 && frame > chain.frames[k + 1]) k++;
+
+        var span = chain.frames[k + 1] - chain.frames[k];
+        var local = span > 0 ? (frame - chain.frames[k]) / span : 1;
+        var easing = chain.easings[k];
+        var progress = evaluateCubicBezier(easing.x1, easing.y1, easing.x2, easing.y2, local);
+        samples.push(chain.values[k] + progress * (chain.values[k + 1] - chain.values[k]));
+    }
+    return samples;
+}
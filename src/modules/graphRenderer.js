@@ -1,26 +1,29 @@
 // Graph rendering module
 // Functions for drawing the value curve and speed curve on canvas elements
 
-import { cubicBezierToSpeed, sampleVelocityCurve } from './conversions.js';
+import { cubicBezierToSpeed, sampleVelocityCurve, cubicBezierToRealSpeed, sampleRealSpeedCurve } from './conversions.js';
+
+// Dimmed colors for reference curves drawn behind the editable one
+var REFERENCE_COLORS = {
+    ghost: "#6e6e6e",      // Easing read by Get
+    compare: "#9a7b4f",    // Preset picked in Compare to Preset
+    target: "#8a8a8a"      // Function being fitted
+};
+
+function getReferencePaint(reference) {
+    return {"color": REFERENCE_COLORS[reference.kind] || REFERENCE_COLORS.ghost, "stroke": true, "strokeWidth": 3};
+}
 
 /**
- * Draw the value (bezier) curve on the canvas
+ * Add the 10x10 background grid to the canvas
  * @param {Object} canvas - The ui.Draw canvas element
- * @param {Object} currentEasing - Current easing values {x1, y1, x2, y2}
  * @param {Object} config - Graph configuration {width, height, padding}
  */
-export function drawCurve(canvas, currentEasing, config) {
-    // Clear all paths
-    canvas.clearPaths();
-    
+function addGrid(canvas, config) {
     var width = config.width;
     var height = config.height;
     var padding = config.padding;
     
-    // Set background color
-    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
-    
-    // Create grid paths
     var gridPath = new cavalry.Path();
     
     // Vertical grid lines - extend to fill entire padded area
@@ -37,11 +40,98 @@ export function drawCurve(canvas, currentEasing, config) {
         gridPath.lineTo(width, y);
     }
     
-    // Add grid to canvas
     var gridPaint = {"color": "#3a3a3a", "stroke": true, "strokeWidth": 1};
     if (gridPath && gridPath.toObject) {
         canvas.addPath(gridPath.toObject(), gridPaint);
     }
+}
+
+/**
+ * Add a polyline through evenly spaced samples (0 = bottom, 1 = top of the padded area)
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {number[]} samples - Values from t = 0 to t = 1
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object} paint - Path paint
+ */
+function addSamplePath(canvas, samples, config, paint) {
+    var width = config.width;
+    var height = config.height;
+    var padding = config.padding;
+    
+    var startX = padding;
+    var endX = width - padding;
+    var bottomY = padding;
+    var topY = height - padding;
+    
+    var samplePath = new cavalry.Path();
+    var lastIndex = samples.length - 1;
+    for (var i = 0; i <= lastIndex; i++) {
+        var x = startX + (i / lastIndex) * (endX - startX);
+        // Keep overshoot visible within the padded area
+        var y = Math.max(0, Math.min(height, bottomY + samples[i] * (topY - bottomY)));
+        if (i === 0) {
+            samplePath.moveTo(x, y);
+        } else {
+            samplePath.lineTo(x, y);
+        }
+    }
+    
+    canvas.addPath(samplePath.toObject(), paint);
+}
+
+/**
+ * Add a cubic-bezier easing curve from the bottom-left to the top-right of the padded area
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object} paint - Path paint
+ */
+function addBezierPath(canvas, easing, config, paint) {
+    var startX = config.padding;
+    var bottomY = config.padding;
+    var endX = config.width - config.padding;
+    var topY = config.height - config.padding;
+    
+    var bezierPath = new cavalry.Path();
+    bezierPath.moveTo(startX, bottomY);
+    bezierPath.cubicTo(
+        startX + easing.x1 * (endX - startX), bottomY + easing.y1 * (topY - bottomY),
+        startX + easing.x2 * (endX - startX), bottomY + easing.y2 * (topY - bottomY),
+        endX, topY
+    );
+    canvas.addPath(bezierPath.toObject(), paint);
+}
+
+/**
+ * Add the dimmed reference curves for the value graph
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object[]|undefined} references - Curves {kind: "ghost"|"compare"|"target", easing} or {kind, samples}
+ * @param {Object} config - Graph configuration {width, height, padding}
+ */
+function addValueReferences(canvas, references, config) {
+    if (!references) return;
+    for (var i = 0; i < references.length; i++) {
+        var reference = references[i];
+        if (reference.samples) {
+            addSamplePath(canvas, reference.samples, config, getReferencePaint(reference));
+        } else if (reference.easing) {
+            addBezierPath(canvas, reference.easing, config, getReferencePaint(reference));
+        }
+    }
+}
+
+/**
+ * Add the edited bezier curve with its handles and control lines (shared by the value graph and preset thumbnails)
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {Object} config - Graph configuration {width, height, padding, handleRadius}
+ * @param {number} strokeWidth - Curve stroke width
+ */
+function addEditableCurve(canvas, easing, config, strokeWidth) {
+    var width = config.width;
+    var height = config.height;
+    var padding = config.padding;
+    var handleRadius = config.handleRadius || 6;
     
     // Create bezier curve path
     var curvePath = new cavalry.Path();
@@ -50,11 +140,11 @@ export function drawCurve(canvas, currentEasing, config) {
     var endX = width - padding;
     var endY = padding;
     
-    // Ensure currentEasing has valid values
-    var x1 = (currentEasing.x1 !== undefined) ? currentEasing.x1 : 0.25;
-    var y1 = (currentEasing.y1 !== undefined) ? currentEasing.y1 : 0.1;
-    var x2 = (currentEasing.x2 !== undefined) ? currentEasing.x2 : 0.25;
-    var y2 = (currentEasing.y2 !== undefined) ? currentEasing.y2 : 1.0;
+    // Ensure easing has valid values
+    var x1 = (easing.x1 !== undefined) ? easing.x1 : 0.25;
+    var y1 = (easing.y1 !== undefined) ? easing.y1 : 0.1;
+    var x2 = (easing.x2 !== undefined) ? easing.x2 : 0.25;
+    var y2 = (easing.y2 !== undefined) ? easing.y2 : 1.0;
     
     // Control points - both handles positioned correctly for easing curve
     var cp1X = startX + x1 * (endX - startX);
@@ -63,26 +153,27 @@ export function drawCurve(canvas, currentEasing, config) {
     var cp2Y = endY + y2 * (startY - endY);
     
     // Clamp handle positions for drawing (so they stay visible)
-    var visibleCp1X = Math.max(startX - 20, Math.min(endX + 20, cp1X));
-    var visibleCp1Y = Math.max(endY - 20, Math.min(startY + 20, cp1Y));
-    var visibleCp2X = Math.max(startX - 20, Math.min(endX + 20, cp2X));
-    var visibleCp2Y = Math.max(endY - 20, Math.min(startY + 20, cp2Y));
+    var margin = Math.min(20, padding);
+    var visibleCp1X = Math.max(startX - margin, Math.min(endX + margin, cp1X));
+    var visibleCp1Y = Math.max(endY - margin, Math.min(startY + margin, cp1Y));
+    var visibleCp2X = Math.max(startX - margin, Math.min(endX + margin, cp2X));
+    var visibleCp2Y = Math.max(endY - margin, Math.min(startY + margin, cp2Y));
     
     // Draw the bezier curve (from bottom-left to top-right)
     curvePath.moveTo(startX, endY);
     curvePath.cubicTo(cp1X, cp1Y, cp2X, cp2Y, endX, startY);
     
-    var curvePaint = {"color": "#ffffff", "stroke": true, "strokeWidth": 2};
+    var curvePaint = {"color": "#ffffff", "stroke": true, "strokeWidth": strokeWidth};
     if (curvePath && curvePath.toObject) {
         canvas.addPath(curvePath.toObject(), curvePaint);
     }
     
     // Create control handles (use visible positions for drawing)
     var handle1Path = new cavalry.Path();
-    handle1Path.addEllipse(visibleCp1X, visibleCp1Y, 6, 6);
+    handle1Path.addEllipse(visibleCp1X, visibleCp1Y, handleRadius, handleRadius);
     
     var handle2Path = new cavalry.Path();
-    handle2Path.addEllipse(visibleCp2X, visibleCp2Y, 6, 6);
+    handle2Path.addEllipse(visibleCp2X, visibleCp2Y, handleRadius, handleRadius);
     
     var handlePaint = {"color": ui.getThemeColor("Accent1"), "stroke": false};
     if (handle1Path && handle1Path.toObject) {
@@ -103,19 +194,276 @@ export function drawCurve(canvas, currentEasing, config) {
     if (controlPath && controlPath.toObject) {
         canvas.addPath(controlPath.toObject(), controlPaint);
     }
+}
+
+/**
+ * Draw the value (bezier) curve on the canvas
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} currentEasing - Current easing values {x1, y1, x2, y2}
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object[]} [references] - Dimmed curves drawn behind for comparison (see addValueReferences)
+ */
+export function drawCurve(canvas, currentEasing, config, references) {
+    // Clear all paths
+    canvas.clearPaths();
+    
+    // Set background color
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    
+    addGrid(canvas, config);
+    
+    addValueReferences(canvas, references, config);
+    
+    addEditableCurve(canvas, currentEasing, config, 2);
     
     // Trigger redraw
     canvas.redraw();
 }
 
+function formatAxisValue(value) {
+    return String(Math.abs(value) >= 100 ? Math.round(value) : Math.round(value * 100) / 100);
+}
+
+/**
+ * Value range shown by the value view: the sampled curve, its keyframes and the edited pair's bezier, with a margin
+ * @param {Object} view - Value view (from getValueView)
+ * @param {Object} currentEasing - Easing values {x1, y1, x2, y2} of the edited pair
+ * @returns {{ min: number, max: number }}
+ */
+export function getValueViewRange(view, currentEasing) {
+    var values = view.samples.map(function(sample) { return sample.value; });
+    view.keyframes.forEach(function(key) { values.push(key.value); });
+    
+    var v0 = view.keyframes[view.pairIndex].value;
+    var v1 = view.keyframes[view.pairIndex + 1].value;
+    for (var i = 0; i <= 50; i++) {
+        var t = i / 50;
+        var u = 1 - t;
+        var progress = 3 * u * u * t * currentEasing.y1 + 3 * u * t * t * currentEasing.y2 + t * t * t;
+        values.push(v0 + progress * (v1 - v0));
+    }
+    
+    var min = Math.min.apply(null, values);
+    var max = Math.max.apply(null, values);
+    if (max - min < 1e-6) {
+        return { min: min - 1, max: max + 1 };
+    }
+    var margin = (max - min) * 0.1;
+    return { min: min - margin, max: max + margin };
+}
+
+/**
+ * Canvas box of the edited pair in the value view: its 0-1 easing square stretched to frames and values
+ * @param {Object} view - Value view (from getValueView)
+ * @param {{ min: number, max: number }} range - Value range (from getValueViewRange)
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @returns {{ left: number, right: number, bottom: number, top: number }|null} bottom/top are the y of the start/end value; null for a hold
+ */
+export function getValueViewBox(view, range, config) {
+    var first = view.keyframes[view.pairIndex];
+    var second = view.keyframes[view.pairIndex + 1];
+    if (Math.abs(second.value - first.value) < 1e-6) return null;
+    
+    var startFrame = view.keyframes[0].frame;
+    var frameSpan = Math.max(1, view.keyframes[view.keyframes.length - 1].frame - startFrame);
+    var graphWidth = config.width - 2 * config.padding;
+    var graphHeight = config.height - 2 * config.padding;
+    
+    function toY(value) {
+        return config.padding + ((value - range.min) / (range.max - range.min)) * graphHeight;
+    }
+    
+    return {
+        left: config.padding + ((first.frame - startFrame) / frameSpan) * graphWidth,
+        right: config.padding + ((second.frame - startFrame) / frameSpan) * graphWidth,
+        bottom: toY(first.value),
+        top: toY(second.value)
+    };
+}
+
+/**
+ * Draw the selected keyframes in real values: the sampled attribute curve with frame ticks and a value axis,
+ * and the editable bezier over the edited pair
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} view - Value view (from getValueView)
+ * @param {Object} currentEasing - Easing values {x1, y1, x2, y2} of the edited pair
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {{ min: number, max: number }} range - Value range (from getValueViewRange)
+ */
+export function drawValueView(canvas, view, currentEasing, config, range) {
+    canvas.clearPaths();
+    
+    var width = config.width;
+    var height = config.height;
+    var padding = config.padding;
+    var graphWidth = width - 2 * padding;
+    var graphHeight = height - 2 * padding;
+    var startFrame = view.keyframes[0].frame;
+    var frameSpan = Math.max(1, view.keyframes[view.keyframes.length - 1].frame - startFrame);
+    
+    function toX(frame) {
+        return padding + ((frame - startFrame) / frameSpan) * graphWidth;
+    }
+    function toY(value) {
+        return padding + ((value - range.min) / (range.max - range.min)) * graphHeight;
+    }
+    
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    
+    // Frame ticks at the keyframes and the edited pair's start and end values (overshoot shows past these)
+    var gridPath = new cavalry.Path();
+    view.keyframes.forEach(function(key) {
+        gridPath.moveTo(toX(key.frame), 0);
+        gridPath.lineTo(toX(key.frame), height);
+    });
+    var first = view.keyframes[view.pairIndex];
+    var second = view.keyframes[view.pairIndex + 1];
+    [first.value, second.value].forEach(function(value) {
+        gridPath.moveTo(0, toY(value));
+        gridPath.lineTo(width, toY(value));
+    });
+    canvas.addPath(gridPath.toObject(), {"color": "#3a3a3a", "stroke": true, "strokeWidth": 1});
+    
+    // The attribute as it is now
+    var valuePath = new cavalry.Path();
+    view.samples.forEach(function(sample, i) {
+        if (i === 0) {
+            valuePath.moveTo(toX(sample.frame), toY(sample.value));
+        } else {
+            valuePath.lineTo(toX(sample.frame), toY(sample.value));
+        }
+    });
+    canvas.addPath(valuePath.toObject(), getReferencePaint({ kind: "ghost" }));
+    
+    view.keyframes.forEach(function(key) {
+        addLabel(canvas, String(key.frame), toX(key.frame) - 6, padding - 24);
+    });
+    addLabel(canvas, formatAxisValue(range.max), 4, height - padding + 4);
+    addLabel(canvas, formatAxisValue(range.min), 4, padding + 4);
+    
+    var box = getValueViewBox(view, range, config);
+    if (!box) {
+        canvas.redraw();
+        return;
+    }
+    
+    // Editable bezier over the edited pair
+    var cp1X = box.left + currentEasing.x1 * (box.right - box.left);
+    var cp1Y = box.bottom + currentEasing.y1 * (box.top - box.bottom);
+    var cp2X = box.left + currentEasing.x2 * (box.right - box.left);
+    var cp2Y = box.bottom + currentEasing.y2 * (box.top - box.bottom);
+    
+    var curvePath = new cavalry.Path();
+    curvePath.moveTo(box.left, box.bottom);
+    curvePath.cubicTo(cp1X, cp1Y, cp2X, cp2Y, box.right, box.top);
+    canvas.addPath(curvePath.toObject(), {"color": "#ffffff", "stroke": true, "strokeWidth": 2});
+    
+    // Clamped the same way as the mouse handlers' click targets
+    var minY = Math.min(box.bottom, box.top);
+    var maxY = Math.max(box.bottom, box.top);
+    var visibleCp1X = Math.max(box.left - 20, Math.min(box.right + 20, cp1X));
+    var visibleCp1Y = Math.max(minY - 20, Math.min(maxY + 20, cp1Y));
+    var visibleCp2X = Math.max(box.left - 20, Math.min(box.right + 20, cp2X));
+    var visibleCp2Y = Math.max(minY - 20, Math.min(maxY + 20, cp2Y));
+    
+    var handlePath = new cavalry.Path();
+    handlePath.addEllipse(visibleCp1X, visibleCp1Y, 6, 6);
+    handlePath.addEllipse(visibleCp2X, visibleCp2Y, 6, 6);
+    canvas.addPath(handlePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": false});
+    
+    var controlPath = new cavalry.Path();
+    controlPath.moveTo(box.left, box.bottom);
+    controlPath.lineTo(visibleCp1X, visibleCp1Y);
+    controlPath.moveTo(box.right, box.top);
+    controlPath.lineTo(visibleCp2X, visibleCp2Y);
+    canvas.addPath(controlPath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": true, "strokeWidth": 1});
+    
+    canvas.redraw();
+}
+
+/**
+ * Speeds drawn by the normalized speed graph: the velocity curve with its ends pinned to the speed handle heights
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {number} sampleCount - Number of steps from t = 0 to t = 1
+ * @returns {number[]} sampleCount + 1 speeds (1 = top of a 0-1 axis)
+ */
+function getSpeedPathValues(easing, sampleCount) {
+    var speed = cubicBezierToSpeed(easing.x1, easing.y1, easing.x2, easing.y2);
+    
+    // Clamp x values for velocity calculation
+    var x1Clamped = Math.min(0.999, Math.max(0.001, easing.x1));
+    var x2Clamped = Math.min(0.999, Math.max(0.001, easing.x2));
+    
+    var velocitySamples = sampleVelocityCurve(x1Clamped, easing.y1, x2Clamped, easing.y2, sampleCount);
+    var deltaStart = speed.outSpeedY - velocitySamples[0];
+    var deltaEnd = speed.inSpeedY - velocitySamples[sampleCount];
+    
+    var values = [speed.outSpeedY];
+    for (var i = 1; i <= sampleCount; i++) {
+        var t = i / sampleCount;
+        values.push(velocitySamples[i] + deltaStart + t * (deltaEnd - deltaStart));
+    }
+    return values;
+}
+
+/**
+ * Vertical axis of the normalized speed graph: 0-1, grown with a margin to fit handles and curve outside it
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @returns {{ min: number, max: number }}
+ */
+export function getSpeedAxisRange(easing) {
+    var values = getSpeedPathValues(easing, 50);
+    var min = Math.min(0, Math.min.apply(null, values));
+    var max = Math.max(1, Math.max.apply(null, values));
+    var margin = (max - min) * 0.1;
+    return {
+        min: min < 0 ? min - margin : 0,
+        max: max > 1 ? max + margin : 1
+    };
+}
+
+/**
+ * Add the velocity curve of an easing, with its ends pinned to the speed handle heights
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object} paint - Path paint
+ * @param {{ min: number, max: number }} [axis] - Speeds at the bottom and top of the graph (default 0-1)
+ */
+function addSpeedPath(canvas, easing, config, paint, axis) {
+    var startX = config.padding;
+    var endX = config.width - config.padding;
+    var endY = config.padding;
+    var graphHeight = config.height - 2 * config.padding;
+    var range = axis || { min: 0, max: 1 };
+    
+    var sampleCount = 50;
+    var values = getSpeedPathValues(easing, sampleCount);
+    
+    var curvePath = new cavalry.Path();
+    for (var i = 0; i <= sampleCount; i++) {
+        var sampleX = startX + (i / sampleCount) * (endX - startX);
+        var sampleY = endY + ((values[i] - range.min) / (range.max - range.min)) * graphHeight;
+        if (i === 0) {
+            curvePath.moveTo(sampleX, sampleY);
+        } else {
+            curvePath.lineTo(sampleX, sampleY);
+        }
+    }
+    
+    canvas.addPath(curvePath.toObject(), paint);
+}
+
 /**
  * Draw the speed curve on the speed graph canvas (velocity-based)
  * @param {Object} canvas - The ui.Draw canvas element
  * @param {Object} currentEasing - Current easing values {x1, y1, x2, y2}
  * @param {Object} speedEasing - Speed easing state to update
  * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object[]} [references] - Dimmed curves {kind, easing} drawn behind for comparison
+ * @param {{ min: number, max: number }} [axis] - Speeds at the bottom and top of the graph (default: getSpeedAxisRange)
  */
-export function drawSpeedCurve(canvas, currentEasing, speedEasing, config) {
+export function drawSpeedCurve(canvas, currentEasing, speedEasing, config, references, axis) {
     // Always sync speedEasing from currentEasing before drawing
     var speed = cubicBezierToSpeed(currentEasing.x1, currentEasing.y1, currentEasing.x2, currentEasing.y2);
     speedEasing.outInfluence = speed.outInfluence;
@@ -132,21 +480,7 @@ export function drawSpeedCurve(canvas, currentEasing, speedEasing, config) {
     canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
     
     // Draw grid
-    var gridPath = new cavalry.Path();
-    for (var i = 0; i <= 10; i++) {
-        var x = padding + (i * (width - 2 * padding) / 10);
-        gridPath.moveTo(x, 0);
-        gridPath.lineTo(x, height);
-    }
-    for (var i = 0; i <= 10; i++) {
-        var y = padding + (i * (height - 2 * padding) / 10);
-        gridPath.moveTo(0, y);
-        gridPath.lineTo(width, y);
-    }
-    var gridPaint = {"color": "#3a3a3a", "stroke": true, "strokeWidth": 1};
-    if (gridPath && gridPath.toObject) {
-        canvas.addPath(gridPath.toObject(), gridPaint);
-    }
+    addGrid(canvas, config);
     
     // Graph coordinates
     var startX = padding;
@@ -155,52 +489,42 @@ export function drawSpeedCurve(canvas, currentEasing, speedEasing, config) {
     var endY = padding;
     var midX = startX + (endX - startX) / 2;
     
-    // Get current cubic-bezier values
-    var x1 = currentEasing.x1;
-    var y1 = currentEasing.y1;
-    var x2 = currentEasing.x2;
-    var y2 = currentEasing.y2;
+    var graphHeight = startY - endY;
+    var range = axis || getSpeedAxisRange(currentEasing);
     
-    // Clamp x values for velocity calculation
-    var x1Clamped = Math.min(0.999, Math.max(0.001, x1));
-    var x2Clamped = Math.min(0.999, Math.max(0.001, x2));
+    function toY(speedY) {
+        return endY + ((speedY - range.min) / (range.max - range.min)) * graphHeight;
+    }
     
-    var graphHeight = startY - endY;
+    // When the axis has grown past 0-1, mark where 0 and 1 are and label its ends
+    if (range.min < 0 || range.max > 1) {
+        var boundsPath = new cavalry.Path();
+        [0, 1].forEach(function(speedY) {
+            boundsPath.moveTo(0, toY(speedY));
+            boundsPath.lineTo(width, toY(speedY));
+        });
+        canvas.addPath(boundsPath.toObject(), {"color": "#5a5a5a", "stroke": true, "strokeWidth": 1});
+        addLabel(canvas, formatAxisValue(range.max), 4, height - padding + 4);
+        addLabel(canvas, formatAxisValue(range.min), 4, padding + 4);
+    }
     
     // Calculate handle positions
     var outHandleX = startX + (speedEasing.outInfluence / 100) * (midX - startX);
     var inHandleX = endX - (speedEasing.inInfluence / 100) * (endX - midX);
-    var outHandleY = endY + (speedEasing.outSpeedY * graphHeight);
-    var inHandleY = endY + (speedEasing.inSpeedY * graphHeight);
-    
-    // Sample velocity curve
-    var sampleCount = 50;
-    var velocitySamples = sampleVelocityCurve(x1Clamped, y1, x2Clamped, y2, sampleCount);
-    
-    // Draw velocity curve
-    var curvePath = new cavalry.Path();
-    
-    var rawStartVal = velocitySamples[0];
-    var rawEndVal = velocitySamples[sampleCount];
-    var targetStartVal = speedEasing.outSpeedY;
-    var targetEndVal = speedEasing.inSpeedY;
-    var deltaStart = targetStartVal - rawStartVal;
-    var deltaEnd = targetEndVal - rawEndVal;
-    
-    var firstY = endY + (targetStartVal * graphHeight);
-    curvePath.moveTo(startX, firstY);
-    
-    for (var i = 1; i <= sampleCount; i++) {
-        var t = i / sampleCount;
-        var sampleX = startX + t * (endX - startX);
-        var shift = deltaStart + t * (deltaEnd - deltaStart);
-        var transformedVal = velocitySamples[i] + shift;
-        var sampleY = endY + (transformedVal * graphHeight);
-        curvePath.lineTo(sampleX, sampleY);
+    var outHandleY = toY(speedEasing.outSpeedY);
+    var inHandleY = toY(speedEasing.inSpeedY);
+    
+    if (references) {
+        for (var r = 0; r < references.length; r++) {
+            if (references[r].easing) {
+                addSpeedPath(canvas, references[r].easing, config, getReferencePaint(references[r]), range);
+            }
+        }
     }
     
+    // Draw velocity curve
     var curvePaint = {"color": "#ffffff", "stroke": true, "strokeWidth": 2};
-    canvas.addPath(curvePath.toObject(), curvePaint);
+    addSpeedPath(canvas, currentEasing, config, curvePaint, range);
     
     // Draw handles
     var handle1Path = new cavalry.Path();
@@ -225,3 +549,351 @@ export function drawSpeedCurve(canvas, currentEasing, speedEasing, config) {
     
     canvas.redraw();
 }
+
+/**
+ * Add text to the canvas
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ */
+function addLabel(canvas, text, x, y) {
+    var textPath = new cavalry.Path();
+    textPath.addText(text, 10, x, y);
+    canvas.addPath(textPath.toObject(), {"color": "#9a9a9a"});
+}
+
+function formatSpeed(speed, unit) {
+    var rounded = speed >= 100 ? Math.round(speed) : Math.round(speed * 10) / 10;
+    return rounded + " " + unit;
+}
+
+/**
+ * Add the speed curve of an easing in real units
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object} units - {speedScale, axisMax, unit}
+ * @param {Object} paint - Path paint
+ * @returns {{ x: number, speed: number }} Peak sample
+ */
+function addRealSpeedPath(canvas, easing, config, units, paint) {
+    var startX = config.padding;
+    var endX = config.width - config.padding;
+    var bottomY = config.padding;
+    var graphHeight = config.height - 2 * config.padding;
+    
+    var x1Clamped = Math.min(0.999, Math.max(0.001, easing.x1));
+    var x2Clamped = Math.min(0.999, Math.max(0.001, easing.x2));
+    var samples = sampleRealSpeedCurve(x1Clamped, easing.y1, x2Clamped, easing.y2, units.speedScale, 100);
+    
+    var curvePath = new cavalry.Path();
+    var peak = samples[0];
+    for (var i = 0; i < samples.length; i++) {
+        var sampleX = startX + samples[i].x * (endX - startX);
+        var sampleY = bottomY + Math.min(1, samples[i].speed / units.axisMax) * graphHeight;
+        if (i === 0) {
+            curvePath.moveTo(sampleX, sampleY);
+        } else {
+            curvePath.lineTo(sampleX, sampleY);
+        }
+        if (samples[i].speed > peak.speed) {
+            peak = samples[i];
+        }
+    }
+    
+    canvas.addPath(curvePath.toObject(), paint);
+    return peak;
+}
+
+/**
+ * Top of the real-unit speed axis for an easing: its peak speed plus headroom for dragging
+ * @param {Object} easing - Easing values {x1, y1, x2, y2}
+ * @param {number} speedScale - Units per second for a slope of 1
+ * @returns {number} Axis maximum in units per second
+ */
+export function getRealSpeedAxisMax(easing, speedScale) {
+    var x1Clamped = Math.min(0.999, Math.max(0.001, easing.x1));
+    var x2Clamped = Math.min(0.999, Math.max(0.001, easing.x2));
+    var samples = sampleRealSpeedCurve(x1Clamped, easing.y1, x2Clamped, easing.y2, speedScale, 100);
+    var peak = 0;
+    for (var i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, samples[i].speed);
+    }
+    return Math.max(peak, speedScale) * 1.25;
+}
+
+/**
+ * Draw the speed curve in real units (units per second) with the peak speed labelled.
+ * Speed handle heights are written to speedEasing as a fraction of units.axisMax.
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} currentEasing - Current easing values {x1, y1, x2, y2}
+ * @param {Object} speedEasing - Speed easing state to update
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object} units - {speedScale: units/s for a slope of 1, axisMax: units/s at the top, unit: label}
+ * @param {Object[]} [references] - Dimmed curves {kind, easing} drawn behind for comparison
+ */
+export function drawRealSpeedCurve(canvas, currentEasing, speedEasing, config, units, references) {
+    var realSpeed = cubicBezierToRealSpeed(currentEasing.x1, currentEasing.y1, currentEasing.x2, currentEasing.y2, units.speedScale);
+    speedEasing.outInfluence = realSpeed.outInfluence;
+    speedEasing.inInfluence = realSpeed.inInfluence;
+    speedEasing.outSpeedY = realSpeed.outSpeed / units.axisMax;
+    speedEasing.inSpeedY = realSpeed.inSpeed / units.axisMax;
+    
+    canvas.clearPaths();
+    
+    var width = config.width;
+    var height = config.height;
+    var padding = config.padding;
+    
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    addGrid(canvas, config);
+    
+    var startX = padding;
+    var endX = width - padding;
+    var bottomY = padding;
+    var midX = startX + (endX - startX) / 2;
+    var graphHeight = height - 2 * padding;
+    
+    if (references) {
+        for (var r = 0; r < references.length; r++) {
+            if (references[r].easing) {
+                addRealSpeedPath(canvas, references[r].easing, config, units, getReferencePaint(references[r]));
+            }
+        }
+    }
+    
+    var curvePaint = {"color": "#ffffff", "stroke": true, "strokeWidth": 2};
+    var peak = addRealSpeedPath(canvas, currentEasing, config, units, curvePaint);
+    
+    // Handles (same layout as the normalized speed graph)
+    var outHandleX = startX + (speedEasing.outInfluence / 100) * (midX - startX);
+    var inHandleX = endX - (speedEasing.inInfluence / 100) * (endX - midX);
+    var outHandleY = bottomY + speedEasing.outSpeedY * graphHeight;
+    var inHandleY = bottomY + speedEasing.inSpeedY * graphHeight;
+    
+    var handlePath = new cavalry.Path();
+    handlePath.addEllipse(outHandleX, outHandleY, 6, 6);
+    handlePath.addEllipse(inHandleX, inHandleY, 6, 6);
+    canvas.addPath(handlePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": false});
+    
+    var linePath = new cavalry.Path();
+    linePath.moveTo(startX, outHandleY);
+    linePath.lineTo(outHandleX, outHandleY);
+    linePath.moveTo(endX, inHandleY);
+    linePath.lineTo(inHandleX, inHandleY);
+    canvas.addPath(linePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": true, "strokeWidth": 2});
+    
+    // Axis and peak labels
+    addLabel(canvas, formatSpeed(units.axisMax, units.unit), 4, height - 12);
+    var peakX = startX + peak.x * (endX - startX);
+    var peakY = bottomY + Math.min(1, peak.speed / units.axisMax) * graphHeight;
+    addLabel(canvas, "Peak " + formatSpeed(peak.speed, units.unit),
+             Math.max(4, Math.min(width - 90, peakX - 30)), Math.min(height - 26, peakY + 8));
+    
+    canvas.redraw();
+}
+
+/**
+ * Top of the speed axis for a whole speed timeline
+ * @param {Object} timeline - Speed timeline (from getSpeedTimeline)
+ * @returns {number} Axis maximum in units per second
+ */
+export function getSpeedTimelineAxisMax(timeline) {
+    var axisMax = 0;
+    for (var i = 0; i < timeline.segments.length; i++) {
+        var segment = timeline.segments[i];
+        if (segment.speedScale > 0) {
+            axisMax = Math.max(axisMax, getRealSpeedAxisMax(segment.easing, segment.speedScale));
+        }
+    }
+    return axisMax > 0 ? axisMax : 1;
+}
+
+/**
+ * Canvas positions of a speed timeline's keyframes and influence handles.
+ * Segments are as wide as their frame span; 100% influence reaches the middle of a segment.
+ * @param {Object} timeline - Speed timeline (from getSpeedTimeline)
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {number} axisMax - Speed at the top of the graph (units per second)
+ * @returns {{ keyX: number[], handles: Object[] }} Handles are {segmentIndex, side: "out"|"in", keyX, x, y}
+ */
+export function getSpeedTimelineLayout(timeline, config, axisMax) {
+    var startX = config.padding;
+    var endX = config.width - config.padding;
+    var bottomY = config.padding;
+    var graphHeight = config.height - 2 * config.padding;
+    var firstFrame = timeline.frames[0];
+    var frameSpan = Math.max(1, timeline.frames[timeline.frames.length - 1] - firstFrame);
+    
+    var keyX = timeline.frames.map(function(frame) {
+        return startX + ((frame - firstFrame) / frameSpan) * (endX - startX);
+    });
+    
+    var handles = [];
+    for (var i = 0; i < timeline.segments.length; i++) {
+        var segment = timeline.segments[i];
+        if (!(segment.speedScale > 0)) continue;
+        
+        var e = segment.easing;
+        var realSpeed = cubicBezierToRealSpeed(e.x1, e.y1, e.x2, e.y2, segment.speedScale);
+        var halfWidth = (keyX[i + 1] - keyX[i]) / 2;
+        handles.push({
+            segmentIndex: i,
+            side: "out",
+            keyX: keyX[i],
+            x: keyX[i] + (realSpeed.outInfluence / 100) * halfWidth,
+            y: bottomY + Math.min(1, Math.max(0, realSpeed.outSpeed / axisMax)) * graphHeight
+        });
+        handles.push({
+            segmentIndex: i,
+            side: "in",
+            keyX: keyX[i + 1],
+            x: keyX[i + 1] - (realSpeed.inInfluence / 100) * halfWidth,
+            y: bottomY + Math.min(1, Math.max(0, realSpeed.inSpeed / axisMax)) * graphHeight
+        });
+    }
+    
+    return { keyX: keyX, handles: handles };
+}
+
+/**
+ * Draw the speed of every segment of a speed timeline side by side, with in/out influence handles at each keyframe
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {Object} timeline - Speed timeline (from getSpeedTimeline)
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {number} axisMax - Speed at the top of the graph (units per second)
+ */
+export function drawSpeedTimeline(canvas, timeline, config, axisMax) {
+    canvas.clearPaths();
+    
+    var width = config.width;
+    var height = config.height;
+    var padding = config.padding;
+    var bottomY = padding;
+    var topY = height - padding;
+    var graphHeight = height - 2 * padding;
+    
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    addGrid(canvas, config);
+    
+    var layout = getSpeedTimelineLayout(timeline, config, axisMax);
+    
+    // Keyframe markers
+    var keyPath = new cavalry.Path();
+    for (var k = 0; k < layout.keyX.length; k++) {
+        keyPath.moveTo(layout.keyX[k], bottomY);
+        keyPath.lineTo(layout.keyX[k], topY);
+    }
+    canvas.addPath(keyPath.toObject(), {"color": "#555555", "stroke": true, "strokeWidth": 1});
+    
+    var curvePath = new cavalry.Path();
+    var peak = { x: layout.keyX[0], speed: 0 };
+    for (var i = 0; i < timeline.segments.length; i++) {
+        var segment = timeline.segments[i];
+        var e = segment.easing;
+        var x1Clamped = Math.min(0.999, Math.max(0.001, e.x1));
+        var x2Clamped = Math.min(0.999, Math.max(0.001, e.x2));
+        var samples = sampleRealSpeedCurve(x1Clamped, e.y1, x2Clamped, e.y2, segment.speedScale, 50);
+        var segmentX = layout.keyX[i];
+        var segmentWidth = layout.keyX[i + 1] - segmentX;
+        
+        for (var j = 0; j < samples.length; j++) {
+            var sampleX = segmentX + samples[j].x * segmentWidth;
+            var sampleY = bottomY + Math.min(1, samples[j].speed / axisMax) * graphHeight;
+            if (i === 0 && j === 0) {
+                curvePath.moveTo(sampleX, sampleY);
+            } else {
+                curvePath.lineTo(sampleX, sampleY);
+            }
+            if (samples[j].speed > peak.speed) {
+                peak = { x: sampleX, speed: samples[j].speed };
+            }
+        }
+    }
+    canvas.addPath(curvePath.toObject(), {"color": "#ffffff", "stroke": true, "strokeWidth": 2});
+    
+    var handlePath = new cavalry.Path();
+    var linePath = new cavalry.Path();
+    for (var h = 0; h < layout.handles.length; h++) {
+        var handle = layout.handles[h];
+        handlePath.addEllipse(handle.x, handle.y, 6, 6);
+        linePath.moveTo(handle.keyX, handle.y);
+        linePath.lineTo(handle.x, handle.y);
+    }
+    canvas.addPath(linePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": true, "strokeWidth": 2});
+    canvas.addPath(handlePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": false});
+    
+    addLabel(canvas, formatSpeed(axisMax, timeline.unit), 4, height - 12);
+    addLabel(canvas, "Peak " + formatSpeed(peak.speed, timeline.unit),
+             Math.max(4, Math.min(width - 90, peak.x - 30)), Math.min(height - 26, bottomY + Math.min(1, peak.speed / axisMax) * graphHeight + 8));
+    
+    canvas.redraw();
+}
+
+/**
+ * Draw a sampled response curve (e.g. a spring) on the value graph canvas
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {number[]} samples - Evenly spaced progress values (0 = start, 1 = end, may overshoot)
+ * @param {Object} config - Graph configuration {width, height, padding}
+ * @param {Object[]} [references] - Dimmed curves drawn behind for comparison (see addValueReferences)
+ */
+export function drawResponseCurve(canvas, samples, config, references) {
+    canvas.clearPaths();
+    
+    var width = config.width;
+    var topY = config.height - config.padding;
+    
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    addGrid(canvas, config);
+    
+    // Target line
+    var targetPath = new cavalry.Path();
+    targetPath.moveTo(0, topY);
+    targetPath.lineTo(width, topY);
+    var targetPaint = {"color": ui.getThemeColor("Accent1"), "stroke": true, "strokeWidth": 1};
+    canvas.addPath(targetPath.toObject(), targetPaint);
+    
+    addValueReferences(canvas, references, config);
+    
+    var curvePaint = {"color": "#ffffff", "stroke": true, "strokeWidth": 2};
+    addSamplePath(canvas, samples, config, curvePaint);
+    
+    canvas.redraw();
+}
+
+/**
+ * Draw a preset thumbnail: its curve as on the value graph, its speed curve dimmed behind and its name
+ * @param {Object} canvas - The ui.Draw canvas element
+ * @param {string} name - Preset name
+ * @param {Object} preset - Easing values {x1, y1, x2, y2}
+ * @param {Object} config - Thumbnail configuration {width, height, padding, handleRadius}
+ * @param {boolean} selected - Outline the thumbnail as the loaded preset
+ */
+export function drawPresetThumbnail(canvas, name, preset, config, selected) {
+    canvas.clearPaths();
+    canvas.setBackgroundColor(ui.getThemeColor("AlternateBase"));
+    
+    addGrid(canvas, config);
+    
+    addSpeedPath(canvas, preset, config, {"color": REFERENCE_COLORS.ghost, "stroke": true, "strokeWidth": 1}, getSpeedAxisRange(preset));
+    
+    addEditableCurve(canvas, preset, config, 1.5);
+    
+    // Name along the top edge, shortened to fit
+    var maxChars = Math.max(4, Math.floor(config.width / 6));
+    var text = name.length > maxChars ? name.substring(0, maxChars - 1) + "…" : name;
+    addLabel(canvas, text, 3, config.height - 11);
+    
+    if (selected) {
+        var outlinePath = new cavalry.Path();
+        outlinePath.moveTo(1, 1);
+        outlinePath.lineTo(config.width - 1, 1);
+        outlinePath.lineTo(config.width - 1, config.height - 1);
+        outlinePath.lineTo(1, config.height - 1);
+        outlinePath.lineTo(1, 1);
+        canvas.addPath(outlinePath.toObject(), {"color": ui.getThemeColor("Accent1"), "stroke": true, "strokeWidth": 2});
+    }
+    
+    canvas.redraw();
+}
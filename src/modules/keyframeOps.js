@@ -1,16 +1,26 @@
 // Keyframe operations module
 // Functions for extracting and applying easing to keyframes
 
-import { cubicBezierToCavalry, cavalryToCubicBezier, cubicBezierToVelocity, getCompositionFrameRate, framesToMilliseconds } from './conversions.js';
+import { cubicBezierToCavalry, cavalryToCubicBezier, cubicBezierToVelocity, velocityToCubicBezier, getCompositionFrameRate, getCompositionStartFrame, framesToMilliseconds, getSpeedScale, getSpeedUnit } from './conversions.js';
+import { IDENTICAL_VALUE_EPSILON } from './constants.js';
 
 var DEFAULT_LEFT_SPEED = 0.0;
 var DEFAULT_LEFT_INFLUENCE = 0.333;
 var DEFAULT_RIGHT_SPEED = 1.0;
 var DEFAULT_RIGHT_INFLUENCE = 0.333;
-var IDENTICAL_VALUE_EPSILON = 0.001;
+var MAX_VALUE_VIEW_SAMPLES = 240;
+var MAX_MATCHED_SPEED = 3.0; // Handle slope cap (x pair slope) that keeps matched-speed pairs from overshooting
+var SINGLE_KEY_FRAME_SPAN = 30;   // Nominal pair a single keyframe's handles are scaled to
+var SINGLE_KEY_VALUE_SPAN = 100;
 
 var _clampHoldsEnabled = true;
 
+// Keyframe data captured before the last successful write, restored by revertLastApply
+var _lastSnapshot = null;
+
+// Open apply transaction (see beginApplyTransaction): { snapshot, applied }
+var _applyTransaction = null;
+
 /**
  * Set whether identical-value clamping is active (called from Easey.js when preference changes).
  */
@@ -134,8 +144,10 @@ function unlockKeyframePair(keyframeIdA, keyframeIdB, frameA, frameB, attrId, la
 
 /**
  * Apply easing via setKeyframeVelocity for a contiguous motion-path run (both position.x and position.y).
+ * @param {(j: number) => Object} easingAt - Easing for the pair starting at run index j
+ * @param {boolean} [matchSpeeds] - Give interior keys the same speed along the path on both sides
  */
-function applyVelocityToMotionPathGroup(layerId, keyframeIds, frames, currentEasing) {
+function applyVelocityToMotionPathGroup(layerId, keyframeIds, frames, easingAt, matchSpeeds) {
     var n = frames.length;
     if (n < 2 || keyframeIds.length !== n) {
         return;
@@ -183,11 +195,12 @@ function applyVelocityToMotionPathGroup(layerId, keyframeIds, frames, currentEas
             flattenHandlesBetweenPair(layerId, 'position.x', f0, f1);
             flattenHandlesBetweenPair(layerId, 'position.y', f0, f1);
         } else {
+            var pairEasing = easingAt(j);
             var v = cubicBezierToVelocity(
-                currentEasing.x1,
-                currentEasing.y1,
-                currentEasing.x2,
-                currentEasing.y2
+                pairEasing.x1,
+                pairEasing.y1,
+                pairEasing.x2,
+                pairEasing.y2
             );
             velocityByFrame[f0].rightSpeed = v.rightSpeed;
             velocityByFrame[f0].rightInfluence = v.rightInfluence;
@@ -195,6 +208,33 @@ function applyVelocityToMotionPathGroup(layerId, keyframeIds, frames, currentEas
             velocityByFrame[f1].leftInfluence = v.leftInfluence;
         }
     }
+    if (matchSpeeds) {
+        // Speeds are relative to each pair's average speed along the path (chord length / frames)
+        var chords = [];
+        var cappedFrames = [];
+        for (var c = 0; c < n - 1; c++) {
+            chords.push(Math.sqrt(Math.pow(valuesX[c + 1] - valuesX[c], 2) + Math.pow(valuesY[c + 1] - valuesY[c], 2)));
+        }
+        for (var m = 1; m < n - 1; m++) {
+            var keyVel = velocityByFrame[frames[m]];
+            keyVel.leftInfluence = DEFAULT_LEFT_INFLUENCE;
+            keyVel.rightInfluence = DEFAULT_RIGHT_INFLUENCE;
+            if (chords[m - 1] <= IDENTICAL_VALUE_EPSILON || chords[m] <= IDENTICAL_VALUE_EPSILON) {
+                keyVel.leftSpeed = 0;
+                keyVel.rightSpeed = 0;
+                continue;
+            }
+            var keySpeed = (chords[m - 1] + chords[m]) / (frames[m + 1] - frames[m - 1]);
+            var leftRatio = keySpeed / (chords[m - 1] / (frames[m] - frames[m - 1]));
+            var rightRatio = keySpeed / (chords[m] / (frames[m + 1] - frames[m]));
+            keyVel.leftSpeed = Math.min(MAX_MATCHED_SPEED, leftRatio);
+            keyVel.rightSpeed = Math.min(MAX_MATCHED_SPEED, rightRatio);
+            if (leftRatio > MAX_MATCHED_SPEED || rightRatio > MAX_MATCHED_SPEED) {
+                cappedFrames.push(frames[m]);
+            }
+        }
+        reportCappedSpeeds(layerId + '.position', cappedFrames);
+    }
     for (var k = 0; k < n; k++) {
         var fr = frames[k];
         var vel = velocityByFrame[fr];
@@ -216,9 +256,67 @@ function applyVelocityToMotionPathGroup(layerId, keyframeIds, frames, currentEas
                 }
             });
         } catch (e) {
-            console.log('Error setKeyframeVelocity at frame ' + fr + ':', e.message);
+            throw new Error('setKeyframeVelocity failed at frame ' + fr + ': ' + e.message);
+        }
+    }
+}
+
+/**
+ * Pair easings that keep the speed continuous through interior keyframes. Each interior key moves at the
+ * slope across its two neighbours (zero where the value turns around), with 1/3 influence on both sides and
+ * the slope capped so no pair overshoots. Where the cap applies the speed no longer matches on both sides of
+ * the key. Only the first key's out handle and the last key's in handle take the given easing.
+ * @param {number[]} values - Value at each keyframe
+ * @param {number[]} frames - Keyframe frames
+ * @param {Object} easing - Easing values {x1, y1, x2, y2} for the ends
+ * @param {number[]} [cappedFrames] - Receives the frames of interior keys whose speed was capped
+ * @returns {Object[]} Easing for each consecutive pair
+ */
+function getContinuousPairEasings(values, frames, easing, cappedFrames) {
+    var n = frames.length;
+    var slopes = [];
+    for (var i = 0; i < n - 1; i++) {
+        slopes.push(valuesAreIdentical(values[i], values[i + 1]) ? 0 : (values[i + 1] - values[i]) / (frames[i + 1] - frames[i]));
+    }
+    
+    var keySlopes = [];
+    for (var k = 1; k < n - 1; k++) {
+        keySlopes[k] = slopes[k - 1] * slopes[k] > 0 ? (values[k + 1] - values[k - 1]) / (frames[k + 1] - frames[k - 1]) : 0;
+        if (cappedFrames && keySlopes[k] !== 0 &&
+            (keySlopes[k] / slopes[k - 1] > MAX_MATCHED_SPEED || keySlopes[k] / slopes[k] > MAX_MATCHED_SPEED)) {
+            cappedFrames.push(frames[k]);
         }
     }
+    
+    var easings = [];
+    for (var j = 0; j < n - 1; j++) {
+        var pair = { x1: 1 / 3, y1: 0, x2: 2 / 3, y2: 1 };
+        if (j === 0) {
+            pair.x1 = easing.x1;
+            pair.y1 = easing.y1;
+        } else if (slopes[j] !== 0) {
+            pair.y1 = Math.min(MAX_MATCHED_SPEED, keySlopes[j] / slopes[j]) / 3;
+        }
+        if (j === n - 2) {
+            pair.x2 = easing.x2;
+            pair.y2 = easing.y2;
+        } else if (slopes[j] !== 0) {
+            pair.y2 = 1 - Math.min(MAX_MATCHED_SPEED, keySlopes[j + 1] / slopes[j]) / 3;
+        }
+        easings.push(pair);
+    }
+    return easings;
+}
+
+/**
+ * Log the interior keys whose matched speed hit MAX_MATCHED_SPEED, where the speed in and out differ
+ * @param {string} path - Attribute path, e.g. "basicShape#1.rotation"
+ * @param {number[]} cappedFrames - Frames of the capped keys
+ */
+function reportCappedSpeeds(path, cappedFrames) {
+    if (cappedFrames.length === 0) return;
+    console.log("Speed on " + path + " at frame" + (cappedFrames.length === 1 ? " " : "s ") + cappedFrames.join(", ") +
+        " was capped to avoid overshoot, so it does not match on both sides of the key" + (cappedFrames.length === 1 ? "" : "s"));
 }
 
 function velocityRunKey(layerId, frame) {
@@ -338,6 +436,7 @@ function applyEasingToKeyframePair(currentKeyId, nextKeyId, currentKeyData, next
                 }
             } catch (e2) {
                 console.log("Error: Alternative approach also failed:", e2.message);
+                return false;
             }
         }
         
@@ -353,13 +452,10 @@ function applyEasingToKeyframePair(currentKeyId, nextKeyId, currentKeyData, next
  */
 function applyEasingToSingleKeyframe(keyframeId, attrId, layerId, frame, value, currentEasing) {
     try {
-        var defaultFrameDiff = 30;
-        var defaultValueDiff = 100;
-        
         var cavalryHandles = cubicBezierToCavalry(
             currentEasing.x1, currentEasing.y1, 
             currentEasing.x2, currentEasing.y2, 
-            defaultFrameDiff, defaultValueDiff
+            SINGLE_KEY_FRAME_SPAN, SINGLE_KEY_VALUE_SPAN
         );
         
         var keyData = api.get(keyframeId, 'data');
@@ -414,6 +510,133 @@ function applyEasingToSingleKeyframe(keyframeId, attrId, layerId, frame, value,
     }
 }
 
+/**
+ * Keyframed components of a compound attribute (color, position, scale, vector arrays),
+ * e.g. "position" -> ["position.x", "position.y"] or "material.materialColor" -> [".r", ".g", ".b", ".a"]
+ * @param {string} layerId
+ * @param {string} attrId
+ * @returns {string[]|null} Component attribute ids with keyframes, or null if the attribute holds a single number
+ */
+function getAttributeComponents(layerId, attrId) {
+    var value = api.get(layerId, attrId);
+    if (value === null || typeof value !== 'object') {
+        return null;
+    }
+    
+    var keys = Array.isArray(value) ? value.map(function(v, i) { return String(i); }) : Object.keys(value);
+    return keys.map(function(key) {
+        return attrId + '.' + key;
+    }).filter(function(componentId) {
+        try {
+            var times = api.getKeyframeTimes(layerId, componentId);
+            return Array.isArray(times) && times.length > 0;
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Group selected keyframes by full attribute path (only attributes with 2+ selected keys).
+ * A compound attribute fans out to one group per keyframed component at the selected frames.
+ * Keyframe ids are looked up by frame, so keyframeIds[i] is always the key at frames[i] whatever
+ * order the keys were selected in.
+ * @param {Object} selectedKeyframes - Result of api.getSelectedKeyframes()
+ * @returns {Object} Map of attribute path -> { layerId, attrId, frames, keyframeIds }
+ */
+function collectAttributeGroups(selectedKeyframes) {
+    var attributeGroups = {};
+    
+    for (let [fullAttributePath, frames] of Object.entries(selectedKeyframes)) {
+        if (frames.length < 2) continue;
+        var hashIndex = fullAttributePath.indexOf('#');
+        if (hashIndex === -1) continue;
+        var dotAfterHash = fullAttributePath.indexOf('.', hashIndex);
+        if (dotAfterHash === -1) continue;
+        
+        var layerId = fullAttributePath.substring(0, dotAfterHash);
+        var attrId = fullAttributePath.substring(dotAfterHash + 1);
+        var sortedFrames = frames.slice().sort(function (a, b) { return a - b; });
+        
+        var components = getAttributeComponents(layerId, attrId);
+        if (components && components.length === 0) {
+            console.log("Error: " + fullAttributePath + " has no keyframed components");
+        }
+        (components || [attrId]).forEach(function(componentId) {
+            var idsByFrame = getKeyframeIdsByFrame(layerId, componentId);
+            var componentFrames = sortedFrames.filter(function(frame) { return idsByFrame[frame] !== undefined; });
+            if (componentFrames.length >= 2) {
+                attributeGroups[layerId + '.' + componentId] = {
+                    layerId: layerId,
+                    attrId: componentId,
+                    frames: componentFrames,
+                    keyframeIds: componentFrames.map(function(frame) { return idsByFrame[frame]; })
+                };
+            }
+        });
+    }
+    
+    return attributeGroups;
+}
+
+/**
+ * Curve of a motion path pair from the velocity its keys were given (see applyVelocityToMotionPathGroup)
+ * @param {Object} firstKeyData - Data of the pair's first key
+ * @param {Object} secondKeyData - Data of the pair's second key
+ * @returns {Object|null} Easing {x1, y1, x2, y2}, or null if the keys have no speed and influence
+ */
+function readMotionPathEasing(firstKeyData, secondKeyData) {
+    if (!firstKeyData || !secondKeyData) return null;
+    var fields = [firstKeyData.rightSpeed, firstKeyData.rightInfluence, secondKeyData.leftSpeed, secondKeyData.leftInfluence];
+    if (fields.some(function(value) { return typeof value !== 'number' || !isFinite(value); })) return null;
+    
+    return velocityToCubicBezier(firstKeyData.rightSpeed, firstKeyData.rightInfluence, secondKeyData.leftSpeed, secondKeyData.leftInfluence);
+}
+
+/**
+ * Read the cubic-bezier of one consecutive keyframe pair in an attribute group.
+ * Motion path pairs are read from their velocity, which is what Apply writes to them, so Get then
+ * Apply leaves a path unchanged. Other pairs are read from their handles; see cavalryToCubicBezier for
+ * what a hold's handles keep. Moves the playhead; callers restore it.
+ * @param {{ layerId: string, attrId: string, frames: number[], keyframeIds: string[] }} group
+ * @param {number} index - Index of the first keyframe of the pair
+ * @returns {Object|null} Cubic bezier {x1, y1, x2, y2} (linear if the keys have no handles), or null if the pair has no duration
+ */
+function readPairEasing(group, index) {
+    var firstFrame = group.frames[index];
+    var secondFrame = group.frames[index + 1];
+    var frameDiff = secondFrame - firstFrame;
+    
+    if (frameDiff <= 0) return null;
+    
+    api.setFrame(firstFrame);
+    var firstValue = api.get(group.layerId, group.attrId);
+    api.setFrame(secondFrame);
+    var secondValue = api.get(group.layerId, group.attrId);
+    
+    var firstKeyData = api.get(group.keyframeIds[index], 'data');
+    var secondKeyData = api.get(group.keyframeIds[index + 1], 'data');
+    
+    var siblingTimes = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
+    if (siblingTimes && isMotionPathPair(siblingTimes, firstFrame, secondFrame)) {
+        var pathEasing = readMotionPathEasing(firstKeyData, secondKeyData);
+        if (pathEasing) return pathEasing;
+    }
+    
+    if (!(firstKeyData && firstKeyData.rightBez) || !(secondKeyData && secondKeyData.leftBez)) {
+        return { x1: 0, y1: 0, x2: 1, y2: 1 };
+    }
+    
+    return cavalryToCubicBezier(
+        firstKeyData.rightBez.x,
+        firstKeyData.rightBez.y,
+        secondKeyData.leftBez.x,
+        secondKeyData.leftBez.y,
+        frameDiff,
+        secondValue - firstValue
+    );
+}
+
 /**
  * Get easing from selected keyframes
  * @param {Object} currentEasing - Current easing state to update
@@ -460,15 +683,12 @@ export function getEasingFromKeyframes(currentEasing) {
                 return true;
             }
             
-            var defaultFrameDiff = 30;
-            var defaultValueDiff = 100;
-            
             var outHandleX = keyData.rightBez.x;
             var outHandleY = keyData.rightBez.y;
             var inHandleX = -outHandleX;
             var inHandleY = -outHandleY;
             
-            var bezier = cavalryToCubicBezier(outHandleX, outHandleY, inHandleX, inHandleY, defaultFrameDiff, defaultValueDiff);
+            var bezier = cavalryToCubicBezier(outHandleX, outHandleY, inHandleX, inHandleY, SINGLE_KEY_FRAME_SPAN, SINGLE_KEY_VALUE_SPAN);
             
             currentEasing.x1 = bezier.x1;
             currentEasing.y1 = bezier.y1;
@@ -479,38 +699,7 @@ export function getEasingFromKeyframes(currentEasing) {
             return true;
         }
         
-        // Collect all attribute groups with 2+ keyframes
-        var attributeGroups = {};
-        
-        for (let [fullAttributePath, frames] of Object.entries(selectedKeyframes)) {
-            if (frames.length >= 2) {
-                var hashIndex = fullAttributePath.indexOf('#');
-                if (hashIndex === -1) continue;
-                
-                var dotAfterHash = fullAttributePath.indexOf('.', hashIndex);
-                if (dotAfterHash === -1) continue;
-                
-                var layerId = fullAttributePath.substring(0, dotAfterHash);
-                var attrId = fullAttributePath.substring(dotAfterHash + 1);
-                
-                var attributeKeyframeIds = [];
-                for (var i = 0; i < keyframeIds.length; i++) {
-                    var keyframeAttrPath = api.getAttributeFromKeyframeId(keyframeIds[i]);
-                    if (keyframeAttrPath === fullAttributePath) {
-                        attributeKeyframeIds.push(keyframeIds[i]);
-                    }
-                }
-                
-                if (attributeKeyframeIds.length >= 2) {
-                    attributeGroups[fullAttributePath] = {
-                        layerId: layerId,
-                        attrId: attrId,
-                        frames: frames.sort((a, b) => a - b),
-                        keyframeIds: attributeKeyframeIds
-                    };
-                }
-            }
-        }
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
         
         if (Object.keys(attributeGroups).length === 0) {
             console.log("Error: No valid attribute groups found with 2+ keyframes");
@@ -523,61 +712,14 @@ export function getEasingFromKeyframes(currentEasing) {
         
         for (let [attributePath, group] of Object.entries(attributeGroups)) {
             for (var i = 0; i < group.keyframeIds.length - 1; i++) {
-                var currentKeyId = group.keyframeIds[i];
-                var nextKeyId = group.keyframeIds[i + 1];
-                
-                var firstFrame = group.frames[i];
-                var secondFrame = group.frames[i + 1];
-                var frameDiff = secondFrame - firstFrame;
-                
-                if (frameDiff <= 0) continue;
-                
-                api.setFrame(firstFrame);
-                var firstValue = api.get(group.layerId, group.attrId);
-                api.setFrame(secondFrame);
-                var secondValue = api.get(group.layerId, group.attrId);
-                
-                var valueDiff = secondValue - firstValue;
-                
-                var firstKeyData = api.get(currentKeyId, 'data');
-                var secondKeyData = api.get(nextKeyId, 'data');
-                
-                var frameZeroData, frameEndData;
-                if (Math.abs(firstKeyData.numValue - firstValue) < 0.1) {
-                    frameZeroData = firstKeyData;
-                    frameEndData = secondKeyData;
-                } else {
-                    frameZeroData = secondKeyData;
-                    frameEndData = firstKeyData;
-                }
-                
-                var outHandleX = null, outHandleY = null;
-                var inHandleX = null, inHandleY = null;
-                
-                if (frameZeroData && frameZeroData.rightBez) {
-                    outHandleX = frameZeroData.rightBez.x;
-                    outHandleY = frameZeroData.rightBez.y;
-                }
+                var bezier = readPairEasing(group, i);
+                if (!bezier) continue;
                 
-                if (frameEndData && frameEndData.leftBez) {
-                    inHandleX = frameEndData.leftBez.x;
-                    inHandleY = frameEndData.leftBez.y;
-                }
-                
-                if (outHandleX !== null && inHandleX !== null) {
-                    var bezier = cavalryToCubicBezier(outHandleX, outHandleY, inHandleX, inHandleY, frameDiff, valueDiff);
-                    totalX1 += bezier.x1;
-                    totalY1 += bezier.y1;
-                    totalX2 += bezier.x2;
-                    totalY2 += bezier.y2;
-                    pairCount++;
-                } else {
-                    totalX1 += 0;
-                    totalY1 += 0;
-                    totalX2 += 1;
-                    totalY2 += 1;
-                    pairCount++;
-                }
+                totalX1 += bezier.x1;
+                totalY1 += bezier.y1;
+                totalX2 += bezier.x2;
+                totalY2 += bezier.y2;
+                pairCount++;
             }
         }
         
@@ -606,163 +748,1011 @@ export function getEasingFromKeyframes(currentEasing) {
 }
 
 /**
- * Apply easing to selected keyframes
- * @param {Object} currentEasing - Current easing values to apply
- * @returns {boolean} Success status
+ * Read every selected keyframe pair as its own segment (instead of averaging them)
+ * @returns {Object[]|null} Segments in attribute/frame order, each
+ *   { attributePath, layerId, attrId, frames: [a, b], keyframeIds: [a, b], easing: {x1, y1, x2, y2} },
+ *   or null on error
  */
-export function applyEasingToKeyframes(currentEasing) {
+export function getEasingSegments() {
     try {
         var selectedKeyframes = api.getSelectedKeyframes();
         var keyframeIds = api.getSelectedKeyframeIds();
         
-        if (keyframeIds.length < 1) {
-            console.log("Error: Please select at least 1 keyframe");
-            return false;
+        if (keyframeIds.length < 2) {
+            console.log("Error: Please select at least 2 keyframes");
+            return null;
         }
         
-        // Single keyframe case
-        if (keyframeIds.length === 1) {
-            var keyframeId = keyframeIds[0];
-            var attrPath = api.getAttributeFromKeyframeId(keyframeId);
-            
-            var hashIndex = attrPath.indexOf('#');
-            if (hashIndex === -1) {
-                console.log("Error: Invalid layer ID format");
-                return false;
-            }
-            
-            var dotAfterHash = attrPath.indexOf('.', hashIndex);
-            if (dotAfterHash === -1) {
-                console.log("Error: Could not parse attribute");
-                return false;
-            }
-            
-            var layerId = attrPath.substring(0, dotAfterHash);
-            var attrId = attrPath.substring(dotAfterHash + 1);
-            
-            var keyframeFrame = null;
-            for (let [path, frames] of Object.entries(selectedKeyframes)) {
-                if (path === attrPath && frames.length === 1) {
-                    keyframeFrame = frames[0];
-                    break;
-                }
-            }
-            
-            if (keyframeFrame === null) {
-                console.log("Error: Could not determine keyframe frame number");
-                return false;
-            }
-            
-            var currentFrame = api.getFrame();
-            api.setFrame(keyframeFrame);
-            var value = api.get(layerId, attrId);
-            
-            var success = applyEasingToSingleKeyframe(keyframeId, attrId, layerId, keyframeFrame, value, currentEasing);
-            
-            api.setFrame(currentFrame);
-            
-            if (success) {
-                console.log("Applied easing to single keyframe's incoming and outgoing handles");
-            }
-            
-            return success;
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return null;
         }
         
-        // Group keyframes by attribute path
-        var attributeGroups = {};
+        var segments = [];
+        var currentFrame = api.getFrame();
         
-        for (let [fullAttributePath, frames] of Object.entries(selectedKeyframes)) {
-            if (frames.length >= 2) {
-                var hashIndex = fullAttributePath.indexOf('#');
-                if (hashIndex === -1) continue;
-                
-                var dotAfterHash = fullAttributePath.indexOf('.', hashIndex);
-                if (dotAfterHash === -1) continue;
-                
-                var layerId = fullAttributePath.substring(0, dotAfterHash);
-                var attrId = fullAttributePath.substring(dotAfterHash + 1);
-                
-                var attributeKeyframeIds = [];
-                
-                for (var i = 0; i < keyframeIds.length; i++) {
-                    var keyframeAttrPath = api.getAttributeFromKeyframeId(keyframeIds[i]);
-                    
-                    if (keyframeAttrPath === fullAttributePath) {
-                        attributeKeyframeIds.push(keyframeIds[i]);
-                    }
-                }
+        for (let [attributePath, group] of Object.entries(attributeGroups)) {
+            for (var i = 0; i < group.keyframeIds.length - 1; i++) {
+                var bezier = readPairEasing(group, i);
+                if (!bezier) continue;
                 
-                if (attributeKeyframeIds.length >= 2) {
-                    attributeGroups[fullAttributePath] = {
-                        layerId: layerId,
-                        attrId: attrId,
-                        frames: frames.sort((a, b) => a - b),
-                        keyframeIds: attributeKeyframeIds
-                    };
-                }
+                segments.push({
+                    attributePath: attributePath,
+                    layerId: group.layerId,
+                    attrId: group.attrId,
+                    frames: [group.frames[i], group.frames[i + 1]],
+                    keyframeIds: [group.keyframeIds[i], group.keyframeIds[i + 1]],
+                    easing: bezier
+                });
             }
         }
         
-        if (Object.keys(attributeGroups).length === 0) {
-            console.log("Error: No valid attribute groups found with 2+ keyframes");
-            return false;
+        api.setFrame(currentFrame);
+        
+        if (segments.length === 0) {
+            console.log("Error: Could not extract easing data from any keyframe pairs");
+            return null;
         }
         
-        var totalProcessed = 0;
-        var currentFrameTime = api.getFrame();
-        var velocityApplied = new Set();
+        return segments;
+        
+    } catch (error) {
+        console.log("Error: " + error.message);
+        return null;
+    }
+}
 
-        // Pass 1: motion path segments use setKeyframeVelocity (both axes); avoids modifyKeyframeTangent on paths
-        for (let [attributePath, group] of Object.entries(attributeGroups)) {
-            try {
-                var isPositionAttr = group.attrId === 'position.x' || group.attrId === 'position.y';
-                if (!isPositionAttr) {
-                    continue;
-                }
-                var siblingSetForVelocity = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
-                if (!siblingSetForVelocity) {
-                    continue;
-                }
-                var motionRuns = findMotionPathRuns(group, siblingSetForVelocity);
-                for (var r = 0; r < motionRuns.length; r++) {
-                    var runStart = motionRuns[r].start;
-                    var runEnd = motionRuns[r].end;
-                    var skipRun = true;
-                    for (var fi = runStart; fi <= runEnd; fi++) {
-                        if (!velocityApplied.has(velocityRunKey(group.layerId, group.frames[fi]))) {
-                            skipRun = false;
-                            break;
-                        }
-                    }
-                    if (skipRun) {
-                        continue;
-                    }
-                    var idsSlice = group.keyframeIds.slice(runStart, runEnd + 1);
-                    var framesSlice = group.frames.slice(runStart, runEnd + 1);
-                    applyVelocityToMotionPathGroup(group.layerId, idsSlice, framesSlice, currentEasing);
-                    for (var fj = runStart; fj <= runEnd; fj++) {
-                        velocityApplied.add(velocityRunKey(group.layerId, group.frames[fj]));
-                    }
-                }
-            } catch (velocityGroupError) {
-                console.log('Error applying motion path velocity for ' + attributePath + ':', velocityGroupError.message);
-            }
+/**
+ * Value change, duration and frame rate of a keyframe pair, for plotting speed in real units
+ * @param {Object} [segment] - Segment from getEasingSegments; defaults to the first selected pair
+ * @returns {{ attrId: string, valueDelta: number, frameCount: number, frameRate: number }|null} Null if no pair is selected or on error
+ */
+export function getSpeedContext(segment) {
+    try {
+        var layerId, attrId, firstFrame, secondFrame;
+        if (segment) {
+            layerId = segment.layerId;
+            attrId = segment.attrId;
+            firstFrame = segment.frames[0];
+            secondFrame = segment.frames[1];
+        } else {
+            var attributeGroups = collectAttributeGroups(api.getSelectedKeyframes());
+            var paths = Object.keys(attributeGroups);
+            if (paths.length === 0) return null;
+            var group = attributeGroups[paths[0]];
+            layerId = group.layerId;
+            attrId = group.attrId;
+            firstFrame = group.frames[0];
+            secondFrame = group.frames[1];
         }
+        
+        if (secondFrame - firstFrame <= 0) return null;
+        
+        var currentFrame = api.getFrame();
+        var firstValue, secondValue;
+        try {
+            api.setFrame(firstFrame);
+            firstValue = api.get(layerId, attrId);
+            api.setFrame(secondFrame);
+            secondValue = api.get(layerId, attrId);
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        if (typeof firstValue !== 'number' || typeof secondValue !== 'number') return null;
+        
+        return {
+            attrId: attrId,
+            valueDelta: secondValue - firstValue,
+            frameCount: secondFrame - firstFrame,
+            frameRate: getCompositionFrameRate()
+        };
+        
+    } catch (error) {
+        console.log("Error: " + error.message);
+        return null;
+    }
+}
 
-        // Pass 2: standard tangent easing per pair (skip pairs that are motion path segments)
-        for (let [attributePath, group] of Object.entries(attributeGroups)) {
-            try {
-                var siblingSetForTangent = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
-
-                for (var i = 0; i < group.keyframeIds.length - 1; i++) {
-                    var currentKeyId = group.keyframeIds[i];
-                    var nextKeyId = group.keyframeIds[i + 1];
-
-                    var currentFrame = group.frames[i];
-                    var nextFrame = group.frames[i + 1];
-                    var frameDiff = nextFrame - currentFrame;
-
-                    if (siblingSetForTangent && isMotionPathPair(siblingSetForTangent, currentFrame, nextFrame)) {
+/**
+ * Sample the real attribute curve across the selected keyframes of one attribute for the value view
+ * @param {Object} [segment] - Segment (from getEasingSegments) to edit; defaults to the first selected pair
+ * @returns {Object|null} {attrId, keyframes: [{frame, value}], samples: [{frame, value}], pairIndex} or null on error.
+ *   pairIndex is the index in keyframes of the first key of the pair being edited.
+ */
+export function getValueView(segment) {
+    try {
+        var attributeGroups = collectAttributeGroups(api.getSelectedKeyframes());
+        var paths = Object.keys(attributeGroups);
+        var group = segment ? attributeGroups[segment.attributePath] : attributeGroups[paths[0]];
+        
+        if (!group) {
+            if (!segment) return null;
+            group = { layerId: segment.layerId, attrId: segment.attrId, frames: segment.frames.slice() };
+        }
+        
+        var pairIndex = segment ? group.frames.indexOf(segment.frames[0]) : 0;
+        if (pairIndex < 0 || pairIndex >= group.frames.length - 1) {
+            pairIndex = 0;
+        }
+        
+        var firstFrame = group.frames[0];
+        var lastFrame = group.frames[group.frames.length - 1];
+        var step = Math.max(1, Math.ceil((lastFrame - firstFrame) / MAX_VALUE_VIEW_SAMPLES));
+        var currentFrame = api.getFrame();
+        var keyframes = [];
+        var samples = [];
+        
+        try {
+            for (var i = 0; i < group.frames.length; i++) {
+                api.setFrame(group.frames[i]);
+                keyframes.push({ frame: group.frames[i], value: api.get(group.layerId, group.attrId) });
+            }
+            for (var frame = firstFrame; frame < lastFrame + step; frame += step) {
+                var sampleFrame = Math.min(frame, lastFrame);
+                api.setFrame(sampleFrame);
+                samples.push({ frame: sampleFrame, value: api.get(group.layerId, group.attrId) });
+            }
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        if (typeof keyframes[0].value !== 'number') {
+            console.log("Error: The value view needs a numeric attribute");
+            return null;
+        }
+        
+        return {
+            attrId: group.attrId,
+            keyframes: keyframes,
+            samples: samples,
+            pairIndex: pairIndex
+        };
+        
+    } catch (error) {
+        console.log("Error: " + error.message);
+        return null;
+    }
+}
+
+/**
+ * Read every keyframe pair of the first selected attribute as one speed timeline
+ * @returns {Object|null} {attributePath, layerId, attrId, frames, keyframeIds, unit, segments} or null on error.
+ *   Each segment has easing {x1, y1, x2, y2} and speedScale (units per second for a slope of 1).
+ */
+export function getSpeedTimeline() {
+    try {
+        var attributeGroups = collectAttributeGroups(api.getSelectedKeyframes());
+        var paths = Object.keys(attributeGroups);
+        
+        if (paths.length === 0) {
+            console.log("Error: Please select at least 2 keyframes on an attribute");
+            return null;
+        }
+        
+        var group = attributeGroups[paths[0]];
+        var frameRate = getCompositionFrameRate();
+        var currentFrame = api.getFrame();
+        var segments = [];
+        
+        try {
+            for (var i = 0; i < group.frames.length - 1; i++) {
+                var frameCount = group.frames[i + 1] - group.frames[i];
+                api.setFrame(group.frames[i]);
+                var firstValue = api.get(group.layerId, group.attrId);
+                api.setFrame(group.frames[i + 1]);
+                var secondValue = api.get(group.layerId, group.attrId);
+                
+                segments.push({
+                    easing: readPairEasing(group, i) || { x1: 0, y1: 0, x2: 1, y2: 1 },
+                    speedScale: frameCount > 0 ? getSpeedScale(secondValue - firstValue, frameCount, frameRate) : 0
+                });
+            }
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        return {
+            attributePath: paths[0],
+            layerId: group.layerId,
+            attrId: group.attrId,
+            frames: group.frames.slice(),
+            keyframeIds: group.keyframeIds.slice(),
+            unit: getSpeedUnit(group.attrId),
+            segments: segments
+        };
+        
+    } catch (error) {
+        console.log("Error: " + error.message);
+        return null;
+    }
+}
+
+/**
+ * Build an animation spec for every selected attribute group across layers
+ * @returns {Object|null} {frameRate, startFrame, animations: [{layer, layerId, property, attribute, segments}]} or null on error.
+ *   Each segment has startValue, endValue, delay (ms from the composition's start frame), duration (ms), startFrame,
+ *   endFrame and easing {x1, y1, x2, y2}.
+ */
+export function getAnimationSpec() {
+    try {
+        var selectedKeyframes = api.getSelectedKeyframes();
+        var keyframeIds = api.getSelectedKeyframeIds();
+        
+        if (keyframeIds.length < 2) {
+            console.log("Error: Please select at least 2 keyframes");
+            return null;
+        }
+        
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return null;
+        }
+        
+        var frameRate = getCompositionFrameRate();
+        var compStartFrame = getCompositionStartFrame();
+        var animations = [];
+        var currentFrame = api.getFrame();
+        
+        try {
+            for (let [attributePath, group] of Object.entries(attributeGroups)) {
+                var segments = [];
+                
+                for (var i = 0; i < group.keyframeIds.length - 1; i++) {
+                    var bezier = readPairEasing(group, i);
+                    if (!bezier) continue;
+                    
+                    api.setFrame(group.frames[i]);
+                    var startValue = api.get(group.layerId, group.attrId);
+                    api.setFrame(group.frames[i + 1]);
+                    var endValue = api.get(group.layerId, group.attrId);
+                    
+                    segments.push({
+                        startValue: formatValue(startValue),
+                        endValue: formatValue(endValue),
+                        delay: framesToMilliseconds(group.frames[i] - compStartFrame, frameRate),
+                        duration: framesToMilliseconds(group.frames[i + 1] - group.frames[i], frameRate),
+                        startFrame: group.frames[i],
+                        endFrame: group.frames[i + 1],
+                        easing: bezier
+                    });
+                }
+                
+                if (segments.length === 0) continue;
+                
+                animations.push({
+                    layer: api.getNiceName(group.layerId),
+                    layerId: group.layerId,
+                    property: formatPropertyName(group.attrId),
+                    attribute: group.attrId,
+                    segments: segments
+                });
+            }
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        if (animations.length === 0) {
+            console.log("Error: Could not extract easing data from any keyframe pairs");
+            return null;
+        }
+        
+        // Order by start time, then layer, so the spec reads like the timeline
+        animations.sort(function(a, b) {
+            return (a.segments[0].startFrame - b.segments[0].startFrame) || a.layer.localeCompare(b.layer);
+        });
+        
+        return {
+            frameRate: frameRate,
+            startFrame: compStartFrame,
+            animations: animations
+        };
+        
+    } catch (error) {
+        console.log("Error: " + error.message);
+        return null;
+    }
+}
+
+/**
+ * Apply easing to selected keyframes
+ * @param {Object} currentEasing - Current easing values to apply
+ * @param {Object} [segment] - Only write this pair (from getEasingSegments) instead of the selection
+ * @returns {boolean} Success status
+ */
+export function applyEasingToKeyframes(currentEasing, segment) {
+    try {
+        if (segment) {
+            var segmentGroups = {};
+            segmentGroups[segment.attributePath] = {
+                layerId: segment.layerId,
+                attrId: segment.attrId,
+                frames: segment.frames.slice(),
+                keyframeIds: segment.keyframeIds.slice()
+            };
+            return applyEasingToAttributeGroups(segmentGroups, function() { return currentEasing; });
+        }
+        
+        var selectedKeyframes = api.getSelectedKeyframes();
+        var keyframeIds = api.getSelectedKeyframeIds();
+        
+        if (keyframeIds.length < 1) {
+            console.log("Error: Please select at least 1 keyframe");
+            return false;
+        }
+        
+        // Single keyframe case
+        if (keyframeIds.length === 1) {
+            var keyframeId = keyframeIds[0];
+            var attrPath = api.getAttributeFromKeyframeId(keyframeId);
+            
+            var hashIndex = attrPath.indexOf('#');
+            if (hashIndex === -1) {
+                console.log("Error: Invalid layer ID format");
+                return false;
+            }
+            
+            var dotAfterHash = attrPath.indexOf('.', hashIndex);
+            if (dotAfterHash === -1) {
+                console.log("Error: Could not parse attribute");
+                return false;
+            }
+            
+            var layerId = attrPath.substring(0, dotAfterHash);
+            var attrId = attrPath.substring(dotAfterHash + 1);
+            
+            var keyframeFrame = null;
+            for (let [path, frames] of Object.entries(selectedKeyframes)) {
+                if (path === attrPath && frames.length === 1) {
+                    keyframeFrame = frames[0];
+                    break;
+                }
+            }
+            
+            if (keyframeFrame === null) {
+                console.log("Error: Could not determine keyframe frame number");
+                return false;
+            }
+            
+            // A compound attribute's key is eased on each of its components
+            var singleGroup = {};
+            var components = getAttributeComponents(layerId, attrId);
+            if (components) {
+                components.forEach(function(componentId) {
+                    var componentKeyId = getKeyframeIdsByFrame(layerId, componentId)[keyframeFrame];
+                    if (componentKeyId !== undefined) {
+                        singleGroup[layerId + '.' + componentId] = { layerId: layerId, attrId: componentId, frames: [keyframeFrame], keyframeIds: [componentKeyId] };
+                    }
+                });
+            } else {
+                singleGroup[attrPath] = { layerId: layerId, attrId: attrId, frames: [keyframeFrame], keyframeIds: [keyframeId] };
+            }
+            var snapshot = beginSnapshot(singleGroup);
+            
+            var currentFrame = api.getFrame();
+            api.setFrame(keyframeFrame);
+            var success = Object.keys(singleGroup).length > 0;
+            for (let single of Object.values(singleGroup)) {
+                var value = api.get(layerId, single.attrId);
+                if (!applyEasingToSingleKeyframe(single.keyframeIds[0], single.attrId, layerId, keyframeFrame, value, currentEasing)) {
+                    success = false;
+                    break;
+                }
+            }
+            
+            api.setFrame(currentFrame);
+            
+            if (success) {
+                commitSnapshot(snapshot);
+                console.log("Applied easing to single keyframe's incoming and outgoing handles");
+            } else {
+                restoreSnapshot(snapshot);
+            }
+            
+            return success;
+        }
+        
+        // Group keyframes by attribute path
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return false;
+        }
+        
+        return applyEasingToAttributeGroups(attributeGroups, function() { return currentEasing; });
+        
+    } catch (error) {
+        console.log("Error applying easing to keyframes:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Write every segment easing of a speed timeline (from getSpeedTimeline) back to its keyframes
+ * @param {Object} timeline - Speed timeline
+ * @returns {boolean} Success status
+ */
+export function applyEasingToTimeline(timeline) {
+    try {
+        var timelineGroups = {};
+        timelineGroups[timeline.attributePath] = {
+            layerId: timeline.layerId,
+            attrId: timeline.attrId,
+            frames: timeline.frames.slice(),
+            keyframeIds: timeline.keyframeIds.slice()
+        };
+        return applyEasingToAttributeGroups(timelineGroups, function(group, pairIndex) {
+            return timeline.segments[pairIndex].easing;
+        });
+        
+    } catch (error) {
+        console.log("Error applying speed timeline:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Apply easing with continuous velocity: the easing shapes the first and last keyframe of each selected
+ * attribute, and interior keyframes get matching in and out speeds so motion doesn't dip at them
+ * @param {Object} currentEasing - Easing values {x1, y1, x2, y2} for the first and last keyframes
+ * @returns {boolean} Success status
+ */
+export function applyContinuousVelocityToKeyframes(currentEasing) {
+    try {
+        var selectedKeyframes = api.getSelectedKeyframes();
+        var keyframeIds = api.getSelectedKeyframeIds();
+        
+        if (keyframeIds.length < 2) {
+            return applyEasingToKeyframes(currentEasing);
+        }
+        
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return false;
+        }
+        
+        var currentFrame = api.getFrame();
+        try {
+            for (let [attributePath, group] of Object.entries(attributeGroups)) {
+                var values = [];
+                for (var i = 0; i < group.frames.length; i++) {
+                    api.setFrame(group.frames[i]);
+                    values.push(api.get(group.layerId, group.attrId));
+                }
+                var cappedFrames = [];
+                group.pairEasings = getContinuousPairEasings(values, group.frames, currentEasing, cappedFrames);
+                // Keys on a motion path are matched along the path instead (see applyVelocityToMotionPathGroup)
+                var siblingTimes = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
+                reportCappedSpeeds(attributePath, cappedFrames.filter(function(frame) { return !siblingTimes || !siblingTimes.has(frame); }));
+            }
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        return applyEasingToAttributeGroups(attributeGroups, function(group, pairIndex) {
+            return group.pairEasings[pairIndex];
+        }, null, true);
+        
+    } catch (error) {
+        console.log("Error applying continuous velocity:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Pick the curve for one pair when spreading a curve list across an attribute group.
+ * The first and last curves stay on the first and last pairs; the rest are spread
+ * evenly over the pairs in between.
+ * @param {Object[]} easings - Ordered curves
+ * @param {number} pairIndex - Index of the pair within its group
+ * @param {number} pairCount - Number of pairs in the group
+ * @returns {Object} Easing values {x1, y1, x2, y2}
+ */
+function pickSequenceEasing(easings, pairIndex, pairCount) {
+    var curveCount = easings.length;
+    
+    if (curveCount === 1 || pairIndex === 0) return easings[0];
+    if (pairIndex === pairCount - 1) return easings[curveCount - 1];
+    
+    if (curveCount === 2) {
+        return pairIndex < pairCount / 2 ? easings[0] : easings[1];
+    }
+    
+    if (pairCount <= curveCount) return easings[pairIndex];
+    
+    var interiorCurves = curveCount - 2;
+    var interiorPairs = pairCount - 2;
+    return easings[1 + Math.floor((pairIndex - 1) * interiorCurves / interiorPairs)];
+}
+
+/**
+ * Log the curves of a sequence that a group has too few pairs to use
+ * @param {Object[]} easings - Ordered curves
+ * @param {Object} attributeGroups - Map of attribute path -> group (from collectAttributeGroups)
+ */
+function reportUnusedSequenceCurves(easings, attributeGroups) {
+    for (var path in attributeGroups) {
+        var pairCount = attributeGroups[path].frames.length - 1;
+        if (pairCount >= easings.length) continue;
+        
+        var used = [];
+        for (var p = 0; p < pairCount; p++) {
+            used.push(pickSequenceEasing(easings, p, pairCount));
+        }
+        var unused = [];
+        easings.forEach(function(easing, i) {
+            if (used.indexOf(easing) === -1) unused.push(i + 1);
+        });
+        console.log("Curve" + (unused.length === 1 ? " " : "s ") + unused.join(", ") + " of " + easings.length +
+            " not used on " + path + ": it has only " + pairCount + " keyframe pair" + (pairCount === 1 ? "" : "s"));
+    }
+}
+
+/**
+ * Apply an ordered list of curves across the consecutive pairs of each selected attribute
+ * (e.g. ease-out into the first key, linear through the middle, ease-in at the end)
+ * @param {Object[]} easings - Ordered easing values {x1, y1, x2, y2}
+ * @returns {boolean} Success status
+ */
+export function applyEasingSequenceToKeyframes(easings) {
+    try {
+        if (!easings || easings.length === 0) {
+            console.log("Error: No curves to apply");
+            return false;
+        }
+        
+        var selectedKeyframes = api.getSelectedKeyframes();
+        var keyframeIds = api.getSelectedKeyframeIds();
+        
+        if (keyframeIds.length < 2) {
+            console.log("Error: Please select at least 2 keyframes");
+            return false;
+        }
+        
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return false;
+        }
+        
+        reportUnusedSequenceCurves(easings, attributeGroups);
+        
+        return applyEasingToAttributeGroups(attributeGroups, function(group, pairIndex) {
+            return pickSequenceEasing(easings, pairIndex, group.frames.length - 1);
+        });
+        
+    } catch (error) {
+        console.log("Error applying easing sequence:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Map frame -> keyframe ID for every keyframe on an attribute.
+ * getKeyframeIdsForAttribute and getKeyframeTimes list the attribute's keys in the same order, which
+ * is not necessarily time order (a key added later between two others can come last), so each ID is
+ * paired with the time at its own index before anything is ordered by frame.
+ * @param {string} layerId
+ * @param {string} attrId
+ * @returns {Object} Frame -> keyframe ID
+ */
+function getKeyframeIdsByFrame(layerId, attrId) {
+    var ids = api.getKeyframeIdsForAttribute(layerId, attrId) || [];
+    var times = api.getKeyframeTimes(layerId, attrId) || [];
+    var byFrame = {};
+    if (ids.length !== times.length) {
+        console.log("Keyframes on " + layerId + "." + attrId + " changed while they were read; please try again");
+        return byFrame;
+    }
+    for (var i = 0; i < ids.length; i++) {
+        byFrame[times[i]] = ids[i];
+    }
+    return byFrame;
+}
+
+/**
+ * Record one keyframe's data in a snapshot (each keyframe is only recorded once)
+ * @param {Object} snapshot - Snapshot from snapshotAttributeGroups
+ * @param {string} layerId
+ * @param {string} attrId
+ * @param {number} frame
+ * @param {string} keyframeId
+ * @param {boolean} motionPath - Key sits on a motion path (restored through its velocity)
+ */
+function addSnapshotKey(snapshot, layerId, attrId, frame, keyframeId, motionPath) {
+    if (snapshot.keyframeIds.has(keyframeId)) return;
+    snapshot.keyframeIds.add(keyframeId);
+    
+    var data = api.get(keyframeId, 'data');
+    snapshot.keys.push({
+        layerId: layerId,
+        attrId: attrId,
+        frame: frame,
+        keyframeId: keyframeId,
+        motionPath: motionPath,
+        data: data ? JSON.parse(JSON.stringify(data)) : null
+    });
+}
+
+/**
+ * Capture bezier handles, interpolation and speed/influence of every keyframe an apply can write.
+ * Position keys also capture the other axis, which motion path velocity writes alongside.
+ * @param {Object} attributeGroups - Map of attribute path -> { layerId, attrId, frames, keyframeIds }
+ * @param {Object} [snapshot] - Snapshot to add keys to (keys it already holds keep their earlier data)
+ * @returns {{ keys: Object[], keyframeIds: Set<string>, createdKeys: Object[] }} Snapshot for restoreSnapshot
+ */
+function snapshotAttributeGroups(attributeGroups, snapshot) {
+    snapshot = snapshot || { keys: [], keyframeIds: new Set(), createdKeys: [] };
+    
+    for (let [attributePath, group] of Object.entries(attributeGroups)) {
+        var isPositionAttr = group.attrId === 'position.x' || group.attrId === 'position.y';
+        var attrIds = [group.attrId];
+        if (isPositionAttr) {
+            attrIds.push(group.attrId === 'position.x' ? 'position.y' : 'position.x');
+        }
+        
+        var idsByAttr = attrIds.map(function(attrId) {
+            return getKeyframeIdsByFrame(group.layerId, attrId);
+        });
+        
+        for (var i = 0; i < group.frames.length; i++) {
+            var frame = group.frames[i];
+            var motionPath = isPositionAttr && !!idsByAttr[0][frame] && !!idsByAttr[1][frame];
+            for (var a = 0; a < attrIds.length; a++) {
+                var keyframeId = idsByAttr[a][frame];
+                if (keyframeId) {
+                    addSnapshotKey(snapshot, group.layerId, attrIds[a], frame, keyframeId, motionPath);
+                }
+            }
+        }
+    }
+    
+    return snapshot;
+}
+
+/**
+ * Write one keyframe's captured handles, velocity and interpolation back
+ * @param {Object} key - Snapshot entry
+ */
+function restoreKeyframe(key) {
+    var data = key.data;
+    if (!data) return;
+    
+    if (key.motionPath && data.leftSpeed !== undefined && data.rightSpeed !== undefined) {
+        var velocityObj = {};
+        velocityObj[key.attrId] = {
+            frame: key.frame,
+            leftSpeed: data.leftSpeed,
+            rightSpeed: data.rightSpeed,
+            leftInfluence: data.leftInfluence,
+            rightInfluence: data.rightInfluence
+        };
+        api.setKeyframeVelocity(key.layerId, velocityObj);
+    } else {
+        var unlocked = { angleLocked: false, weightLocked: false };
+        if (data.leftBez) {
+            var inObj = {};
+            inObj[key.attrId] = {
+                frame: key.frame,
+                inHandle: true,
+                outHandle: false,
+                xValue: key.frame + data.leftBez.x,
+                yValue: data.numValue + data.leftBez.y,
+                ...unlocked
+            };
+            api.modifyKeyframeTangent(key.layerId, inObj);
+        }
+        if (data.rightBez) {
+            var outObj = {};
+            outObj[key.attrId] = {
+                frame: key.frame,
+                inHandle: false,
+                outHandle: true,
+                xValue: key.frame + data.rightBez.x,
+                yValue: data.numValue + data.rightBez.y,
+                ...unlocked
+            };
+            api.modifyKeyframeTangent(key.layerId, outObj);
+        }
+    }
+    
+    // Interpolation last, as tangent writes switch keys to bezier
+    if (data.interpolation !== undefined) {
+        api.modifyKeyframe(key.keyframeId, 'interpolation', data.interpolation);
+    }
+}
+
+/**
+ * Put every keyframe in a snapshot back and remove keyframes the apply created
+ * @param {Object} snapshot - Snapshot from snapshotAttributeGroups
+ * @returns {boolean} True if everything was restored
+ */
+function restoreSnapshot(snapshot) {
+    var failedCount = 0;
+    
+    for (var c = 0; c < snapshot.createdKeys.length; c++) {
+        var created = snapshot.createdKeys[c];
+        try {
+            api.deleteKeyframe(created.layerId, created.attrId, created.frame);
+        } catch (e) {
+            failedCount++;
+        }
+    }
+    
+    for (var k = 0; k < snapshot.keys.length; k++) {
+        try {
+            restoreKeyframe(snapshot.keys[k]);
+        } catch (e) {
+            failedCount++;
+        }
+    }
+    
+    if (failedCount > 0) {
+        console.log("Could not restore " + failedCount + " keyframe(s)");
+    }
+    return failedCount === 0;
+}
+
+/**
+ * True if there is an apply that revertLastApply can undo
+ * @returns {boolean}
+ */
+export function canRevertLastApply() {
+    return _lastSnapshot !== null;
+}
+
+/**
+ * Restore the keyframes written by the last apply, sequence, bake or hold fix
+ * (including applies made while dragging handles)
+ * @returns {boolean} Success status
+ */
+export function revertLastApply() {
+    if (!_lastSnapshot) {
+        console.log("Nothing to revert");
+        return false;
+    }
+    
+    var snapshot = _lastSnapshot;
+    _lastSnapshot = null;
+    
+    var success = restoreSnapshot(snapshot);
+    if (success) {
+        console.log("Reverted " + snapshot.keys.length + " keyframe(s)" +
+                    (snapshot.createdKeys.length > 0 ? " and removed " + snapshot.createdKeys.length + " baked keyframe(s)" : ""));
+    }
+    return success;
+}
+
+/**
+ * Snapshot to take before an apply writes: a new one, or inside a transaction the transaction's
+ * snapshot with any keys it does not hold yet
+ * @param {Object} attributeGroups - Map of attribute path -> { layerId, attrId, frames, keyframeIds }
+ * @returns {Object} Snapshot for restoreSnapshot and commitSnapshot
+ */
+function beginSnapshot(attributeGroups) {
+    if (!_applyTransaction) {
+        return snapshotAttributeGroups(attributeGroups);
+    }
+    _applyTransaction.snapshot = snapshotAttributeGroups(attributeGroups, _applyTransaction.snapshot);
+    return _applyTransaction.snapshot;
+}
+
+/**
+ * Record a successful write as the last apply (inside a transaction, once it ends)
+ * @param {Object} snapshot - Snapshot from beginSnapshot
+ */
+function commitSnapshot(snapshot) {
+    if (_applyTransaction) {
+        _applyTransaction.applied = true;
+    } else {
+        _lastSnapshot = snapshot;
+    }
+}
+
+/**
+ * Group the applies until endApplyTransaction into one for revertLastApply, e.g. every apply made while
+ * a handle is dragged with Apply when dragging handles on. Keys are captured once, before their first write.
+ */
+export function beginApplyTransaction() {
+    _applyTransaction = { snapshot: null, applied: false };
+}
+
+/**
+ * Close the open transaction; if anything was applied in it, revertLastApply restores the keys
+ * to how they were before the transaction began
+ */
+export function endApplyTransaction() {
+    if (_applyTransaction && _applyTransaction.applied) {
+        _lastSnapshot = _applyTransaction.snapshot;
+    }
+    _applyTransaction = null;
+}
+
+/**
+ * Bake a chain of eased keyframes between every selected keyframe pair.
+ * Used for curves a single cubic-bezier cannot express (springs, bounces).
+ * @param {(frameCount: number) => {frames: number[], values: number[], easings: Object[]}} buildChain -
+ *   Given the pair's frame count, returns frame offsets (0..frameCount), normalized values (0 = first key, 1 = second key)
+ *   and one easing per sub-segment
+ * @returns {boolean} Success status
+ */
+export function applyEasingChainToKeyframes(buildChain) {
+    try {
+        var selectedKeyframes = api.getSelectedKeyframes();
+        var keyframeIds = api.getSelectedKeyframeIds();
+        
+        if (keyframeIds.length < 2) {
+            console.log("Error: Please select at least 2 keyframes");
+            return false;
+        }
+        
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        
+        if (Object.keys(attributeGroups).length === 0) {
+            console.log("Error: No valid attribute groups found with 2+ keyframes");
+            return false;
+        }
+        
+        var savedFrame = api.getFrame();
+        var chainGroups = {};
+        var bakedCount = 0;
+        var snapshot = beginSnapshot(attributeGroups);
+        
+        for (let [attributePath, group] of Object.entries(attributeGroups)) {
+            var pairs = [];
+            for (var i = 0; i < group.frames.length - 1; i++) {
+                var frameA = group.frames[i];
+                var frameB = group.frames[i + 1];
+                if (frameB - frameA < 1) continue;
+                
+                api.setFrame(frameA);
+                var valueA = api.get(group.layerId, group.attrId);
+                api.setFrame(frameB);
+                var valueB = api.get(group.layerId, group.attrId);
+                
+                pairs.push({ frameA: frameA, valueA: valueA, valueB: valueB, chain: buildChain(frameB - frameA) });
+            }
+            
+            // Insert the intermediate keys for all pairs first, then look up their IDs once
+            var existingIdsByFrame = getKeyframeIdsByFrame(group.layerId, group.attrId);
+            for (var p = 0; p < pairs.length; p++) {
+                var pair = pairs[p];
+                for (var k = 1; k < pair.chain.frames.length - 1; k++) {
+                    var keyFrame = pair.frameA + pair.chain.frames[k];
+                    if (existingIdsByFrame[keyFrame]) {
+                        addSnapshotKey(snapshot, group.layerId, group.attrId, keyFrame, existingIdsByFrame[keyFrame], false);
+                    } else {
+                        snapshot.createdKeys.push({ layerId: group.layerId, attrId: group.attrId, frame: keyFrame });
+                    }
+                    
+                    var keyValue = {};
+                    keyValue[group.attrId] = pair.valueA + pair.chain.values[k] * (pair.valueB - pair.valueA);
+                    api.keyframe(group.layerId, keyFrame, keyValue);
+                }
+            }
+            
+            var idsByFrame = getKeyframeIdsByFrame(group.layerId, group.attrId);
+            
+            for (var q = 0; q < pairs.length; q++) {
+                var chainFrames = [];
+                var chainIds = [];
+                for (var c = 0; c < pairs[q].chain.frames.length; c++) {
+                    var frame = pairs[q].frameA + pairs[q].chain.frames[c];
+                    chainFrames.push(frame);
+                    chainIds.push(idsByFrame[frame]);
+                }
+                
+                chainGroups[attributePath + '|' + q] = {
+                    layerId: group.layerId,
+                    attrId: group.attrId,
+                    frames: chainFrames,
+                    keyframeIds: chainIds,
+                    easings: pairs[q].chain.easings
+                };
+                bakedCount++;
+            }
+        }
+        
+        api.setFrame(savedFrame);
+        
+        if (bakedCount === 0) {
+            console.log("Error: No keyframe pairs to bake");
+            return false;
+        }
+        
+        return applyEasingToAttributeGroups(chainGroups, function(group, pairIndex) {
+            return group.easings[pairIndex];
+        }, snapshot);
+        
+    } catch (error) {
+        console.log("Error baking easing chain:", error.message);
+        if (snapshot) {
+            restoreSnapshot(snapshot);
+        }
+        return false;
+    }
+}
+
+/**
+ * Apply easing to grouped keyframe pairs (motion path velocity first, then tangents).
+ * All touched keyframes are restored if any write fails.
+ * @param {Object} attributeGroups - Map of attribute path -> { layerId, attrId, frames, keyframeIds }
+ * @param {(group: Object, i: number) => Object} easingAt - Easing for the pair starting at index i of a group
+ * @param {Object} [snapshot] - Snapshot taken by the caller before it changed anything (default: taken here)
+ * @param {boolean} [matchPathSpeeds] - Match speeds along the path at interior motion path keys
+ * @returns {boolean} Success status
+ */
+function applyEasingToAttributeGroups(attributeGroups, easingAt, snapshot, matchPathSpeeds) {
+    var currentFrameTime = api.getFrame();
+    try {
+        if (!snapshot) {
+            snapshot = beginSnapshot(attributeGroups);
+        }
+        
+        var totalProcessed = 0;
+        var velocityApplied = new Set();
+
+        // Pass 1: motion path segments use setKeyframeVelocity (both axes); avoids modifyKeyframeTangent on paths
+        for (let [attributePath, group] of Object.entries(attributeGroups)) {
+            try {
+                var isPositionAttr = group.attrId === 'position.x' || group.attrId === 'position.y';
+                if (!isPositionAttr) {
+                    continue;
+                }
+                var siblingSetForVelocity = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
+                if (!siblingSetForVelocity) {
+                    continue;
+                }
+                var motionRuns = findMotionPathRuns(group, siblingSetForVelocity);
+                for (var r = 0; r < motionRuns.length; r++) {
+                    var runStart = motionRuns[r].start;
+                    var runEnd = motionRuns[r].end;
+                    var skipRun = true;
+                    for (var fi = runStart; fi <= runEnd; fi++) {
+                        if (!velocityApplied.has(velocityRunKey(group.layerId, group.frames[fi]))) {
+                            skipRun = false;
+                            break;
+                        }
+                    }
+                    if (skipRun) {
+                        continue;
+                    }
+                    var idsSlice = group.keyframeIds.slice(runStart, runEnd + 1);
+                    var framesSlice = group.frames.slice(runStart, runEnd + 1);
+                    applyVelocityToMotionPathGroup(group.layerId, idsSlice, framesSlice, function(j) {
+                        return easingAt(group, runStart + j);
+                    }, matchPathSpeeds);
+                    for (var fj = runStart; fj <= runEnd; fj++) {
+                        velocityApplied.add(velocityRunKey(group.layerId, group.frames[fj]));
+                    }
+                }
+            } catch (velocityGroupError) {
+                throw new Error('motion path velocity for ' + attributePath + ': ' + velocityGroupError.message);
+            }
+        }
+
+        // Pass 2: standard tangent easing per pair (skip pairs that are motion path segments)
+        for (let [attributePath, group] of Object.entries(attributeGroups)) {
+            try {
+                var siblingSetForTangent = getSiblingKeyframeTimesSet(group.layerId, group.attrId);
+
+                for (var i = 0; i < group.keyframeIds.length - 1; i++) {
+                    var currentKeyId = group.keyframeIds[i];
+                    var nextKeyId = group.keyframeIds[i + 1];
+
+                    var currentFrame = group.frames[i];
+                    var nextFrame = group.frames[i + 1];
+                    var frameDiff = nextFrame - currentFrame;
+
+                    if (siblingSetForTangent && isMotionPathPair(siblingSetForTangent, currentFrame, nextFrame)) {
                         continue;
                     }
 
@@ -780,19 +1770,17 @@ export function applyEasingToKeyframes(currentEasing) {
                     api.setFrame(nextFrame);
                     var nextValue = api.get(group.layerId, group.attrId);
 
-                    if (_clampHoldsEnabled && valuesAreIdentical(currentValue, nextValue)) {
-                        flattenHandlesBetweenPair(group.layerId, group.attrId, currentFrame, nextFrame);
-                        totalProcessed++;
-                        continue;
-                    }
-
+                    var pairEasing = easingAt(group, i);
                     var valueDiff = nextValue - currentValue;
 
+                    // Clamped holds get flat handles (no y offset, so no overshoot) that keep the curve's timing
+                    var clampHold = _clampHoldsEnabled && valuesAreIdentical(currentValue, nextValue);
+
                     var cavalryHandles = cubicBezierToCavalry(
-                        currentEasing.x1,
-                        currentEasing.y1,
-                        currentEasing.x2,
-                        currentEasing.y2,
+                        pairEasing.x1,
+                        clampHold ? 0 : pairEasing.y1,
+                        pairEasing.x2,
+                        clampHold ? 1 : pairEasing.y2,
                         frameDiff,
                         valueDiff
                     );
@@ -800,7 +1788,7 @@ export function applyEasingToKeyframes(currentEasing) {
                     var currentKeyData = api.get(currentKeyId, 'data');
                     var nextKeyData = api.get(nextKeyId, 'data');
 
-                    applyEasingToKeyframePair(
+                    var pairApplied = applyEasingToKeyframePair(
                         currentKeyId,
                         nextKeyId,
                         currentKeyData,
@@ -813,19 +1801,27 @@ export function applyEasingToKeyframes(currentEasing) {
                         nextFrame,
                         nextValue
                     );
-
+                    if (!pairApplied) {
+                        throw new Error("could not write tangents between frames " + currentFrame + " and " + nextFrame);
+                    }
                     totalProcessed++;
                 }
             } catch (groupError) {
-                console.log('Error processing attribute ' + attributePath + ':', groupError.message);
+                throw new Error(attributePath + ': ' + groupError.message);
             }
         }
         
         api.setFrame(currentFrameTime);
+        commitSnapshot(snapshot);
         return true;
         
     } catch (error) {
         console.log("Error applying easing to keyframes:", error.message);
+        if (snapshot) {
+            restoreSnapshot(snapshot);
+            console.log("Restored keyframes to their state before the apply");
+        }
+        api.setFrame(currentFrameTime);
         return false;
     }
 }
@@ -836,6 +1832,7 @@ export function applyEasingToKeyframes(currentEasing) {
  * @returns {boolean} Success status
  */
 export function fixHoldPaths() {
+    var snapshot = null;
     try {
         var selectedKeyframes = api.getSelectedKeyframes();
         var keyframeIds = api.getSelectedKeyframeIds();
@@ -845,32 +1842,8 @@ export function fixHoldPaths() {
             return false;
         }
 
-        var attributeGroups = {};
-        for (let [fullAttributePath, frames] of Object.entries(selectedKeyframes)) {
-            if (frames.length < 2) continue;
-            var hashIndex = fullAttributePath.indexOf('#');
-            if (hashIndex === -1) continue;
-            var dotAfterHash = fullAttributePath.indexOf('.', hashIndex);
-            if (dotAfterHash === -1) continue;
-
-            var layerId = fullAttributePath.substring(0, dotAfterHash);
-            var attrId = fullAttributePath.substring(dotAfterHash + 1);
-
-            var attributeKeyframeIds = [];
-            for (var i = 0; i < keyframeIds.length; i++) {
-                if (api.getAttributeFromKeyframeId(keyframeIds[i]) === fullAttributePath) {
-                    attributeKeyframeIds.push(keyframeIds[i]);
-                }
-            }
-            if (attributeKeyframeIds.length >= 2) {
-                attributeGroups[fullAttributePath] = {
-                    layerId: layerId,
-                    attrId: attrId,
-                    frames: frames.sort(function (a, b) { return a - b; }),
-                    keyframeIds: attributeKeyframeIds
-                };
-            }
-        }
+        var attributeGroups = collectAttributeGroups(selectedKeyframes);
+        snapshot = beginSnapshot(attributeGroups);
 
         var fixedCount = 0;
         var savedFrame = api.getFrame();
@@ -966,6 +1939,7 @@ export function fixHoldPaths() {
         api.setFrame(savedFrame);
 
         if (fixedCount > 0) {
+            commitSnapshot(snapshot);
             console.log("Fixed " + fixedCount + " hold segment(s)");
         } else {
             console.log("No identical-value pairs found to fix");
@@ -973,10 +1947,89 @@ export function fixHoldPaths() {
         return true;
     } catch (error) {
         console.log("Fix holds error:", error.message);
+        if (snapshot) {
+            restoreSnapshot(snapshot);
+        }
         return false;
     }
 }
 
+/**
+ * Readable property name from an attribute id, e.g. "cornerRadius" -> "Corner Radius"
+ * @param {string} attrId - Attribute id
+ * @returns {string} Property name
+ */
+function formatPropertyName(attrId) {
+    var propertyName = attrId.charAt(0).toUpperCase() + attrId.slice(1);
+    return propertyName.replace(/([A-Z])/g, ' $1').trim();
+}
+
+/**
+ * Round numbers to 2 decimals for display; compound values (vectors, colors, arrays) become
+ * text listing every component, e.g. "x: 10, y: 20"
+ * @param {*} value - Attribute value
+ * @returns {*} Formatted value
+ */
+function formatValue(value) {
+    if (typeof value === 'number') {
+        return Math.round(value * 100) / 100;
+    }
+    if (Array.isArray(value)) {
+        return "[" + value.map(formatValue).join(", ") + "]";
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.keys(value).map(function(key) {
+            return key + ": " + formatValue(value[key]);
+        }).join(", ");
+    }
+    return value;
+}
+
+/**
+ * Easing of the keyframes at two frames of an attribute. Moves the playhead; callers restore it.
+ * @param {string} layerId
+ * @param {string} attrId
+ * @param {number} firstFrame
+ * @param {number} secondFrame
+ * @returns {Object|null} Easing {x1, y1, x2, y2}, or null if the attribute has no keyframe on either frame
+ */
+function readFramePairEasing(layerId, attrId, firstFrame, secondFrame) {
+    var idsByFrame = getKeyframeIdsByFrame(layerId, attrId);
+    if (idsByFrame[firstFrame] === undefined || idsByFrame[secondFrame] === undefined) return null;
+    
+    return readPairEasing({
+        layerId: layerId,
+        attrId: attrId,
+        frames: [firstFrame, secondFrame],
+        keyframeIds: [idsByFrame[firstFrame], idsByFrame[secondFrame]]
+    }, 0);
+}
+
+/**
+ * Easing of a keyframe pair on a compound attribute, read from the first component whose value
+ * changes (or the last component if none do). Moves the playhead; callers restore it.
+ * @param {string} layerId
+ * @param {string} attrId - Compound attribute id
+ * @param {string[]} components - Component attribute ids (from getAttributeComponents)
+ * @param {number} firstFrame
+ * @param {number} secondFrame
+ * @param {Object} firstValue - Compound value at firstFrame
+ * @param {Object} secondValue - Compound value at secondFrame
+ * @returns {Object|null} Easing {x1, y1, x2, y2}, or null if no component has keyframes on both frames
+ */
+function readComponentEasing(layerId, attrId, components, firstFrame, secondFrame, firstValue, secondValue) {
+    var easing = null;
+    for (var c = 0; c < components.length; c++) {
+        var componentEasing = readFramePairEasing(layerId, components[c], firstFrame, secondFrame);
+        if (!componentEasing) continue;
+        
+        easing = componentEasing;
+        var key = components[c].substring(attrId.length + 1);
+        if (!valuesAreIdentical(firstValue[key], secondValue[key])) break;
+    }
+    return easing;
+}
+
 /**
  * Get keyframe data and extract bezier information for 2 selected keyframes
  * @returns {Object|null} Keyframe info object or null on error
@@ -1055,86 +2108,38 @@ export function getKeyframeInfo() {
             return null;
         }
         
-        var easingValues = null;
-        
+        var easing = null;
         try {
-            var firstKeyData = api.get(keyframeIds[0], 'data');
-            var secondKeyData = api.get(keyframeIds[1], 'data');
-            
-            var kf1Data = api.get(keyframeIds[0], 'data');
-            var kf2Data = api.get(keyframeIds[1], 'data');
-            
-            var frameZeroData, frameEndData;
-            
-            if (Math.abs(kf1Data.numValue - firstValue) < 0.1) {
-                frameZeroData = kf1Data;
-                frameEndData = kf2Data;
-            } else {
-                frameZeroData = kf2Data;
-                frameEndData = kf1Data;
-            }
-            
-            var outHandleX = null, outHandleY = null;
-            var inHandleX = null, inHandleY = null;
-            
-            if (frameZeroData && frameZeroData.rightBez) {
-                outHandleX = frameZeroData.rightBez.x;
-                outHandleY = frameZeroData.rightBez.y;
-            }
-            
-            if (frameEndData && frameEndData.leftBez) {
-                inHandleX = frameEndData.leftBez.x;
-                inHandleY = frameEndData.leftBez.y;
-            }
-            
-            if (outHandleX !== null && inHandleX !== null) {
-                var frameDiff = secondFrame - firstFrame;
-                var valueDiff = secondValue - firstValue;
-                
-                if (frameDiff > 0) {
-                    var x1 = outHandleX / frameDiff;
-                    var y1 = 0;
-                    if (Math.abs(valueDiff) > 0.001) {
-                        y1 = outHandleY / valueDiff;
-                    }
-                    
-                    var x2 = (frameDiff + inHandleX) / frameDiff;
-                    var y2 = 1;
-                    if (Math.abs(valueDiff) > 0.001) {
-                        y2 = 1 + (inHandleY / valueDiff);
-                    }
-                    
-                    x1 = Math.max(0, Math.min(1, x1));
-                    x2 = Math.max(0, Math.min(1, x2));
-                    
-                    easingValues = x1.toFixed(3) + "," + y1.toFixed(3) + "," + x2.toFixed(3) + "," + y2.toFixed(3);
-                }
-            }
-            
-            if (!easingValues) {
-                console.error("Could not extract bezier data from keyframes");
-                return null;
-            }
-            
+            // Compound attribute: every component gets the same easing, so read it from the first one that changes
+            var components = getAttributeComponents(layerId, attrId);
+            easing = components
+                ? readComponentEasing(layerId, attrId, components, firstFrame, secondFrame, firstValue, secondValue)
+                : readFramePairEasing(layerId, attrId, firstFrame, secondFrame);
         } catch (e) {
             console.error("Error extracting bezier data:", e.message);
             return null;
+        } finally {
+            api.setFrame(currentFrame);
+        }
+        
+        if (!easing) {
+            console.error("Could not extract bezier data from keyframes");
+            return null;
         }
         
+        // Code targets need x within 0-1
+        var easingValues = [
+            Math.max(0, Math.min(1, easing.x1)),
+            easing.y1,
+            Math.max(0, Math.min(1, easing.x2)),
+            easing.y2
+        ].map(function(v) { return v.toFixed(3); }).join(",");
+        
         var frameRate = getCompositionFrameRate();
         var frameDuration = secondFrame - firstFrame;
         var durationMs = framesToMilliseconds(frameDuration, frameRate);
         
-        var propertyName = attrId;
-        propertyName = propertyName.charAt(0).toUpperCase() + propertyName.slice(1);
-        propertyName = propertyName.replace(/([A-Z])/g, ' $1').trim();
-        
-        function formatValue(value) {
-            if (typeof value === 'number') {
-                return Math.round(value * 100) / 100;
-            }
-            return value;
-        }
+        var propertyName = formatPropertyName(attrId);
         
         var formattedStartValue = formatValue(firstValue);
         var formattedEndValue = formatValue(secondValue);
@@ -1207,3 +2212,40 @@ export function copyAllKeyframeInfo() {
         console.error("All info copy error:", e.message);
     }
 }
+
+/**
+ * Copy keyframe info to clipboard as animation code for another platform
+ * @param {Object} target - Code format {name, format} from CODE_FORMATS
+ */
+export function copyKeyframeInfoAs(target) {
+    try {
+        var info = getKeyframeInfo();
+        if (info) {
+            if (typeof info.startValue !== 'number' || typeof info.endValue !== 'number') {
+                console.error("Error: " + target.name + " export needs a single number attribute");
+                return;
+            }
+            api.setClipboardText(target.format(info));
+            console.log("Copied " + target.name + " code to clipboard");
+        }
+    } catch (e) {
+        console.error("Code copy error:", e.message);
+    }
+}
+
+/**
+ * Copy the animation spec of the whole selection to clipboard
+ * @param {Object} target - Spec format {name, format} from SPEC_FORMATS
+ */
+export function copyAnimationSpec(target) {
+    try {
+        var spec = getAnimationSpec();
+        if (spec) {
+            api.setClipboardText(target.format(spec));
+            var segmentCount = spec.animations.reduce(function(count, animation) { return count + animation.segments.length; }, 0);
+            console.log("Copied " + target.name + " spec for " + spec.animations.length + " properties (" + segmentCount + " segments) to clipboard");
+        }
+    } catch (e) {
+        console.error("Spec copy error:", e.message);
+    }
+}
@@ -1,7 +1,8 @@
 // Mouse event handler module
-// Handles mouse interactions for both value and speed graph canvases
+// Handles mouse interactions for the value, speed and speed timeline canvases
 
-import { speedToCubicBezier } from './conversions.js';
+import { speedToCubicBezier, cubicBezierToRealSpeed, realSpeedToCubicBezier } from './conversions.js';
+import { getSpeedTimelineLayout } from './graphRenderer.js';
 
 /**
  * Create mouse handlers for the value graph canvas
@@ -11,6 +12,8 @@ import { speedToCubicBezier } from './conversions.js';
  * @param {Function} options.getConfig - Function that returns current graph configuration
  * @param {Function} options.onUpdate - Callback when values are updated
  * @param {Function} options.onDragEnd - Callback when drag ends
+ * @param {Function} [options.getCurveBox] - Returns the canvas box {left, right, bottom, top} the 0-1 easing is
+ *   drawn in, or null for the padded graph area (the value view stretches it over the edited keyframe pair)
  */
 export function setupValueGraphHandlers(options) {
     var canvas = options.canvas;
@@ -18,13 +21,17 @@ export function setupValueGraphHandlers(options) {
     var getConfig = options.getConfig;
     var onUpdate = options.onUpdate;
     var onDragEnd = options.onDragEnd;
+    var getCurveBox = options.getCurveBox || function() { return null; };
     
     canvas.onMousePress = function(position, button) {
         var config = getConfig();
-        var startX = config.padding;
-        var startY = config.height - config.padding;
-        var endX = config.width - config.padding;
-        var endY = config.padding;
+        var box = getCurveBox();
+        var startX = box ? box.left : config.padding;
+        var startY = box ? box.top : config.height - config.padding;
+        var endX = box ? box.right : config.width - config.padding;
+        var endY = box ? box.bottom : config.padding;
+        var minY = Math.min(endY, startY);
+        var maxY = Math.max(endY, startY);
         
         // Calculate actual handle positions
         var actualCp1X = startX + state.currentEasing.x1 * (endX - startX);
@@ -34,9 +41,9 @@ export function setupValueGraphHandlers(options) {
         
         // Clamp handle positions for click detection
         var cp1X = Math.max(startX - 20, Math.min(endX + 20, actualCp1X));
-        var cp1Y = Math.max(endY - 20, Math.min(startY + 20, actualCp1Y));
+        var cp1Y = Math.max(minY - 20, Math.min(maxY + 20, actualCp1Y));
         var cp2X = Math.max(startX - 20, Math.min(endX + 20, actualCp2X));
-        var cp2Y = Math.max(endY - 20, Math.min(startY + 20, actualCp2Y));
+        var cp2Y = Math.max(minY - 20, Math.min(maxY + 20, actualCp2Y));
         
         var dist1 = Math.sqrt((position.x - cp1X) * (position.x - cp1X) + (position.y - cp1Y) * (position.y - cp1Y));
         var dist2 = Math.sqrt((position.x - cp2X) * (position.x - cp2X) + (position.y - cp2Y) * (position.y - cp2Y));
@@ -70,10 +77,11 @@ export function setupValueGraphHandlers(options) {
         if (!state.isDragging) return;
         
         var config = getConfig();
-        var startX = config.padding;
-        var startY = config.height - config.padding;
-        var endX = config.width - config.padding;
-        var endY = config.padding;
+        var box = getCurveBox();
+        var startX = box ? box.left : config.padding;
+        var startY = box ? box.top : config.height - config.padding;
+        var endX = box ? box.right : config.width - config.padding;
+        var endY = box ? box.bottom : config.padding;
         
         var x = position.x;
         var y = position.y;
@@ -168,6 +176,10 @@ export function setupValueGraphHandlers(options) {
  * @param {Function} options.getConfig - Function that returns current graph configuration
  * @param {Function} options.onUpdate - Callback when values are updated
  * @param {Function} options.onDragEnd - Callback when drag ends
+ * @param {Function} [options.onDragStart] - Callback when a handle is picked up, before the first onUpdate
+ * @param {Function} [options.getEasingFromSpeed] - Converts the dragged speed state to {x1, y1, x2, y2} (default: speedToCubicBezier)
+ * @param {Function} [options.getSpeedAxis] - Function that returns the speeds {min, max} at the bottom and top of the graph (default 0-1).
+ *   Handle heights are not clamped to it, so a handle can be dragged past the drawn axis.
  */
 export function setupSpeedGraphHandlers(options) {
     var canvas = options.canvas;
@@ -175,6 +187,13 @@ export function setupSpeedGraphHandlers(options) {
     var getConfig = options.getConfig;
     var onUpdate = options.onUpdate;
     var onDragEnd = options.onDragEnd;
+    var onDragStart = options.onDragStart;
+    var getEasingFromSpeed = options.getEasingFromSpeed || function(speedEasing) {
+        return speedToCubicBezier(speedEasing.outInfluence, speedEasing.inInfluence, speedEasing.outSpeedY, speedEasing.inSpeedY);
+    };
+    var getSpeedAxis = options.getSpeedAxis || function() {
+        return { min: 0, max: 1 };
+    };
     
     canvas.onMousePress = function(position, button) {
         var config = getConfig();
@@ -184,11 +203,12 @@ export function setupSpeedGraphHandlers(options) {
         var endY = config.padding;
         var midX = startX + (endX - startX) / 2;
         var graphHeight = startY - endY;
+        var axis = getSpeedAxis();
         
         var outHandleX = startX + (state.speedEasing.outInfluence / 100) * (midX - startX);
         var inHandleX = endX - (state.speedEasing.inInfluence / 100) * (endX - midX);
-        var outHandleY = endY + (state.speedEasing.outSpeedY * graphHeight);
-        var inHandleY = endY + (state.speedEasing.inSpeedY * graphHeight);
+        var outHandleY = endY + ((state.speedEasing.outSpeedY - axis.min) / (axis.max - axis.min)) * graphHeight;
+        var inHandleY = endY + ((state.speedEasing.inSpeedY - axis.min) / (axis.max - axis.min)) * graphHeight;
         
         var dist1 = Math.sqrt(Math.pow(position.x - outHandleX, 2) + Math.pow(position.y - outHandleY, 2));
         var dist2 = Math.sqrt(Math.pow(position.x - inHandleX, 2) + Math.pow(position.y - inHandleY, 2));
@@ -200,6 +220,8 @@ export function setupSpeedGraphHandlers(options) {
             state.speedDragging = true;
             state.speedDragHandle = 'in';
         }
+        
+        if (state.speedDragging && onDragStart) onDragStart();
     };
     
     canvas.onMouseMove = function(position, modifiers) {
@@ -212,6 +234,8 @@ export function setupSpeedGraphHandlers(options) {
         var endY = config.padding;
         var midX = startX + (endX - startX) / 2;
         var graphHeight = startY - endY;
+        var axis = getSpeedAxis();
+        var speedY = axis.min + ((position.y - endY) / graphHeight) * (axis.max - axis.min);
         
         var shiftPressed = api.isShiftHeld();
         var cmdPressed = api.isControlHeld();
@@ -221,8 +245,7 @@ export function setupSpeedGraphHandlers(options) {
             state.speedEasing.outInfluence = ((clampedX - startX) / (midX - startX)) * 100;
             
             if (!shiftPressed) {
-                var clampedY = Math.max(endY, Math.min(startY, position.y));
-                state.speedEasing.outSpeedY = (clampedY - endY) / graphHeight;
+                state.speedEasing.outSpeedY = speedY;
             }
             
             if (cmdPressed) {
@@ -234,8 +257,7 @@ export function setupSpeedGraphHandlers(options) {
             state.speedEasing.inInfluence = ((endX - clampedX) / (endX - midX)) * 100;
             
             if (!shiftPressed) {
-                var clampedY = Math.max(endY, Math.min(startY, position.y));
-                state.speedEasing.inSpeedY = (clampedY - endY) / graphHeight;
+                state.speedEasing.inSpeedY = speedY;
             }
             
             if (cmdPressed) {
@@ -245,7 +267,7 @@ export function setupSpeedGraphHandlers(options) {
         }
         
         // Sync speed to value
-        var cubic = speedToCubicBezier(state.speedEasing.outInfluence, state.speedEasing.inInfluence, state.speedEasing.outSpeedY, state.speedEasing.inSpeedY);
+        var cubic = getEasingFromSpeed(state.speedEasing);
         state.currentEasing.x1 = cubic.x1;
         state.currentEasing.y1 = cubic.y1;
         state.currentEasing.x2 = cubic.x2;
@@ -263,3 +285,110 @@ export function setupSpeedGraphHandlers(options) {
         }
     };
 }
+
+/**
+ * Create mouse handlers for the speed timeline canvas.
+ * Dragging a handle sets its influence (x) and speed (y); Shift locks Y, Cmd/Ctrl gives the
+ * segment on the other side of the keyframe the same speed.
+ * @param {Object} options - Handler options
+ * @param {Object} options.canvas - The speed timeline canvas element
+ * @param {Object} options.state - Shared state object (timelineDragging, timelineDragHandle)
+ * @param {Function} options.getConfig - Function that returns current graph configuration
+ * @param {Function} options.getTimeline - Function that returns the speed timeline being edited
+ * @param {Function} options.getAxisMax - Function that returns the speed at the top of the graph
+ * @param {Function} options.onUpdate - Callback with the segment index when a segment easing changes
+ * @param {Function} options.onDragEnd - Callback when drag ends
+ */
+export function setupSpeedTimelineHandlers(options) {
+    var canvas = options.canvas;
+    var state = options.state;
+    var getConfig = options.getConfig;
+    var getTimeline = options.getTimeline;
+    var getAxisMax = options.getAxisMax;
+    var onUpdate = options.onUpdate;
+    var onDragEnd = options.onDragEnd;
+    
+    // Set the speed (and optionally influence) on one side of a segment
+    function setSegmentSpeed(segment, side, speed, influence) {
+        var e = segment.easing;
+        var realSpeed = cubicBezierToRealSpeed(e.x1, e.y1, e.x2, e.y2, segment.speedScale);
+        if (side === 'out') {
+            realSpeed.outSpeed = speed;
+            if (influence !== null) realSpeed.outInfluence = influence;
+        } else {
+            realSpeed.inSpeed = speed;
+            if (influence !== null) realSpeed.inInfluence = influence;
+        }
+        segment.easing = realSpeedToCubicBezier(realSpeed.outSpeed, realSpeed.outInfluence, realSpeed.inSpeed, realSpeed.inInfluence, segment.speedScale);
+    }
+    
+    canvas.onMousePress = function(position, button) {
+        var timeline = getTimeline();
+        if (!timeline) return;
+        
+        var config = getConfig();
+        var handles = getSpeedTimelineLayout(timeline, config, getAxisMax()).handles;
+        var closest = null;
+        var closestDist = config.handleRadius * 2;
+        
+        for (var i = 0; i < handles.length; i++) {
+            var dist = Math.sqrt(Math.pow(position.x - handles[i].x, 2) + Math.pow(position.y - handles[i].y, 2));
+            if (dist < closestDist) {
+                closest = handles[i];
+                closestDist = dist;
+            }
+        }
+        
+        if (closest) {
+            state.timelineDragging = true;
+            state.timelineDragHandle = { segmentIndex: closest.segmentIndex, side: closest.side };
+        }
+    };
+    
+    canvas.onMouseMove = function(position, modifiers) {
+        if (!state.timelineDragging) return;
+        
+        var timeline = getTimeline();
+        if (!timeline) return;
+        
+        var config = getConfig();
+        var endY = config.padding;
+        var graphHeight = config.height - 2 * config.padding;
+        var keyX = getSpeedTimelineLayout(timeline, config, getAxisMax()).keyX;
+        
+        var index = state.timelineDragHandle.segmentIndex;
+        var side = state.timelineDragHandle.side;
+        var segment = timeline.segments[index];
+        var halfWidth = (keyX[index + 1] - keyX[index]) / 2;
+        
+        var offset = side === 'out' ? position.x - keyX[index] : keyX[index + 1] - position.x;
+        var influence = Math.max(0.1, Math.min(100, (offset / halfWidth) * 100));
+        
+        var e = segment.easing;
+        var realSpeed = cubicBezierToRealSpeed(e.x1, e.y1, e.x2, e.y2, segment.speedScale);
+        var speed = side === 'out' ? realSpeed.outSpeed : realSpeed.inSpeed;
+        if (!api.isShiftHeld()) {
+            var clampedY = Math.max(endY, Math.min(endY + graphHeight, position.y));
+            speed = ((clampedY - endY) / graphHeight) * getAxisMax();
+        }
+        setSegmentSpeed(segment, side, speed, influence);
+        
+        if (api.isControlHeld()) {
+            var neighbour = side === 'out' ? timeline.segments[index - 1] : timeline.segments[index + 1];
+            if (neighbour && neighbour.speedScale > 0) {
+                setSegmentSpeed(neighbour, side === 'out' ? 'in' : 'out', speed, null);
+            }
+        }
+        
+        if (onUpdate) onUpdate(index);
+    };
+    
+    canvas.onMouseRelease = function(position, button) {
+        if (state.timelineDragging) {
+            state.timelineDragging = false;
+            state.timelineDragHandle = null;
+            
+            if (onDragEnd) onDragEnd();
+        }
+    };
+}
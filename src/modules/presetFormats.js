@@ -0,0 +1,373 @@
+// Preset formats module
+// Reads easing presets written by other tools (CSS, design tokens, preset lists and plain text)
+// and writes the preset library as design tokens and code for engineering
+
+/**
+ * Four numbers from "x1, y1, x2, y2", "x1 y1 x2 y2" or "cubic-bezier(x1, y1, x2, y2)"
+ * @param {string} text
+ * @returns {number[]|null}
+ */
+function parseNumberList(text) {
+    var match = /cubic-bezier\(([^)]*)\)/i.exec(text);
+    var parts = (match ? match[1] : text).trim().split(/\s*,\s*|\s+/);
+    if (parts.length !== 4) return null;
+
+    var values = parts.map(Number);
+    var valid = parts.every(function(part) { return part !== ""; }) && values.every(isFinite);
+    return valid ? values : null;
+}
+
+/**
+ * Easing values from a token or list value: [x1, y1, x2, y2], {x1, y1, x2, y2} or a string of four numbers
+ * @param {*} value
+ * @returns {number[]|null}
+ */
+function parseBezierValue(value) {
+    if (Array.isArray(value)) {
+        return value.length === 4 && value.every(function(v) { return typeof v === 'number'; }) ? value : null;
+    }
+    if (typeof value === 'string') {
+        return parseNumberList(value);
+    }
+    if (value && typeof value === 'object' && value.x1 !== undefined) {
+        var values = [value.x1, value.y1, value.x2, value.y2].map(Number);
+        return values.every(isFinite) ? values : null;
+    }
+    return null;
+}
+
+function toPreset(values) {
+    return { x1: values[0], y1: values[1], x2: values[2], y2: values[3] };
+}
+
+/**
+ * Add a preset under a free name ("name 2", "name 3", ... when the name is already used in this import)
+ * @param {Object} result - {presets, invalid} being collected
+ * @param {string} name - Preset name
+ * @param {number[]|null} values - Easing values, or null to report the entry as invalid
+ * @param {string} [error] - Why the values could not be read
+ */
+function addResult(result, name, values, error) {
+    if (!values) {
+        result.invalid.push({ name: name, error: error || "no cubic-bezier values" });
+        return;
+    }
+    var freeName = name;
+    for (var index = 2; result.presets[freeName]; index++) {
+        freeName = name + " " + index;
+    }
+    result.presets[freeName] = toPreset(values);
+}
+
+/**
+ * CSS, SCSS or Less: custom properties and variables named after themselves (--ease-out, $ease-out, @ease-out),
+ * other declarations named after their selector, with the property added when a rule has several
+ * @param {string} text - Style sheet text
+ * @returns {{ presets: Object, invalid: Object[] }|null} Null when the text has no cubic-bezier()
+ */
+export function parseCssPresets(text) {
+    if (!/cubic-bezier\(/i.test(text)) return null;
+
+    var result = { presets: {}, invalid: [] };
+    var css = text.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    // Variables, wherever they are declared
+    var variablePattern = /(?:--|\$|@)([\w-]+)\s*:\s*([^;{}]*cubic-bezier\([^)]*\)[^;{}]*)/gi;
+    var match;
+    while ((match = variablePattern.exec(css)) !== null) {
+        addResult(result, match[1], parseNumberList(match[2]), "cubic-bezier() does not have four numbers");
+    }
+
+    // Declarations in rules
+    var rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    while ((match = rulePattern.exec(css)) !== null) {
+        // Top-level statements (SCSS variables, @import...) end with ; before the selector
+        var selector = match[1].split(';').pop().trim().replace(/\s+/g, ' ').replace(/^[.#]/, '');
+        var declarations = match[2].split(';').filter(function(declaration) {
+            return /cubic-bezier\(/i.test(declaration) && !/^\s*(--|\$|@)/.test(declaration);
+        });
+        declarations.forEach(function(declaration) {
+            var property = declaration.split(':')[0].trim();
+            var name = declarations.length > 1 ? selector + " " + property : selector;
+            addResult(result, name, parseNumberList(declaration), "cubic-bezier() does not have four numbers");
+        });
+    }
+
+    return result;
+}
+
+/**
+ * W3C design tokens (DTCG), Tokens Studio or Figma token JSON: every token of type cubicBezier (set on the
+ * token or a group above it), named after its path (e.g. "motion.easing.standard").
+ * Aliases ("{motion.easing.standard}") are resolved within the same file.
+ * @param {Object} data - Parsed JSON
+ * @returns {{ presets: Object, invalid: Object[] }|null} Null when there are no cubicBezier tokens
+ */
+export function parseDesignTokenPresets(data) {
+    var result = { presets: {}, invalid: [] };
+    var aliases = [];
+    var found = false;
+
+    function walk(node, path, groupType) {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+        var type = node.$type !== undefined ? node.$type : (node.type !== undefined ? node.type : groupType);
+        var hasValue = node.$value !== undefined || node.value !== undefined;
+        if (hasValue && typeof type === 'string') {
+            if (type.toLowerCase() === 'cubicbezier') {
+                found = true;
+                var value = node.$value !== undefined ? node.$value : node.value;
+                if (typeof value === 'string' && /^\{.*\}$/.test(value.trim())) {
+                    aliases.push({ name: path.join('.'), target: value.trim().slice(1, -1) });
+                } else {
+                    addResult(result, path.join('.'), parseBezierValue(value), "value is not four numbers");
+                }
+            }
+            return;
+        }
+
+        for (var key in node) {
+            // $type, $description, $themes, $metadata... are not token groups
+            if (key.charAt(0) === '$') continue;
+            walk(node[key], path.concat([key]), node.$type !== undefined ? node.$type : groupType);
+        }
+    }
+
+    walk(data, [], undefined);
+
+    aliases.forEach(function(alias) {
+        var target = result.presets[alias.target];
+        addResult(result, alias.name, target ? [target.x1, target.y1, target.x2, target.y2] : null,
+                  "refers to {" + alias.target + "}, which is not a cubicBezier token in this file");
+    });
+
+    return found ? result : null;
+}
+
+/**
+ * Preset lists exported by curve tools such as Flow: an array (or {presets: [...]}) of
+ * {name, bezier|curve|values|value|points} entries, the value as in parseBezierValue
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {{ presets: Object, invalid: Object[] }|null} Null when the data is not a list of named entries
+ */
+export function parsePresetListPresets(data) {
+    var list = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : null);
+    if (!list || !list.some(function(entry) { return entry && typeof entry.name === 'string'; })) return null;
+
+    var result = { presets: {}, invalid: [] };
+    list.forEach(function(entry, index) {
+        if (!entry || typeof entry !== 'object') return;
+        var name = typeof entry.name === 'string' && entry.name.trim() !== "" ? entry.name.trim() : "Preset " + (index + 1);
+        var value = ['bezier', 'curve', 'values', 'value', 'points'].map(function(key) {
+            return entry[key];
+        }).filter(function(v) { return v !== undefined; })[0];
+        addResult(result, name, parseBezierValue(value), "no bezier, curve or values with four numbers");
+    });
+    return result;
+}
+
+/**
+ * Plain text, one preset per line: "name: x1, y1, x2, y2", "name = cubic-bezier(...)" or "name x1 y1 x2 y2".
+ * Blank lines and lines starting with # or // are skipped.
+ * @param {string} text
+ * @returns {{ presets: Object, invalid: Object[] }|null} Null when no line has four numbers
+ */
+export function parsePlainTextPresets(text) {
+    var result = { presets: {}, invalid: [] };
+    var found = false;
+
+    text.split(/\r?\n/).forEach(function(line) {
+        line = line.trim();
+        if (line === "" || line.charAt(0) === '#' || line.indexOf('//') === 0) return;
+
+        var match = /^(.+?)\s*[:=]\s*(.+)$/.exec(line) ||
+                    /^(.+?)\s+(-?[\d.]+\s*,?\s*-?[\d.]+\s*,?\s*-?[\d.]+\s*,?\s*-?[\d.]+)$/.exec(line);
+        if (!match) {
+            result.invalid.push({ name: line, error: "not a name followed by four numbers" });
+            return;
+        }
+
+        var name = match[1].replace(/^["']|["']$/g, '').trim();
+        var values = parseNumberList(match[2].replace(/[;,]\s*$/, ''));
+        if (values) found = true;
+        addResult(result, name, values, "does not have four numbers");
+    });
+
+    return found ? result : null;
+}
+
+/**
+ * Read presets written by another tool
+ * @param {string} text - Clipboard or file text
+ * @param {*} data - The text parsed as JSON, or null if it is not JSON
+ * @returns {{ presets: Object, invalid: Object[], format: string }|null} Presets (not yet validated), entries
+ *          that could not be read and the format name, or null if no format matches
+ */
+export function parseExternalPresets(text, data) {
+    var result = null;
+    var format = null;
+
+    if (data !== null) {
+        result = parseDesignTokenPresets(data);
+        format = "design tokens";
+        if (!result) {
+            result = parsePresetListPresets(data);
+            format = "preset list";
+        }
+    } else {
+        result = parseCssPresets(text);
+        format = "CSS";
+        // "name: cubic-bezier(...)" lines have no rules or variables for the CSS reader
+        if (!result || Object.keys(result.presets).length === 0) {
+            var textResult = parsePlainTextPresets(text);
+            if (textResult) {
+                result = textResult;
+                format = "text";
+            }
+        }
+    }
+
+    if (!result) return null;
+    result.format = format;
+    return result;
+}
+
+/**
+ * Round to at most 4 decimals for token output
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function getBezierValues(preset) {
+    return [preset.x1, preset.y1, preset.x2, preset.y2].map(round);
+}
+
+/**
+ * Words of a preset name and its folder, e.g. "Brand / Buttons", "Snappy In" -> ["brand", "buttons", "snappy", "in"]
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset
+ * @returns {string[]}
+ */
+function getNameWords(name, preset) {
+    var text = (preset.folder ? preset.folder + " " : "") + name;
+    return text.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(function(w) { return w !== ''; });
+}
+
+/**
+ * Presets in name order with a unique identifier each, built from their words
+ * @param {Object} presets - Presets object
+ * @param {(words: string[]) => string} toIdentifier - Joins a preset's words (may be empty) into an identifier
+ * @returns {Object[]} {identifier, name, preset}
+ */
+function getExportEntries(presets, toIdentifier) {
+    var used = {};
+    return Object.keys(presets).sort(function(a, b) {
+        return a.toLowerCase().localeCompare(b.toLowerCase());
+    }).map(function(name) {
+        var words = getNameWords(name, presets[name]);
+        var base = toIdentifier(words.length > 0 ? words : ["preset"]);
+        var identifier = base;
+        for (var index = 2; used[identifier]; index++) {
+            identifier = toIdentifier(words.concat([String(index)]));
+        }
+        used[identifier] = true;
+        return { identifier: identifier, name: name, preset: presets[name] };
+    });
+}
+
+function toKebabCase(words) {
+    return words.join('-');
+}
+
+function toCamelCase(words) {
+    var identifier = words.map(function(word, i) {
+        return i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1);
+    }).join('');
+    // Identifiers can't start with a digit
+    return /^[0-9]/.test(identifier) ? "ease" + identifier.charAt(0).toUpperCase() + identifier.slice(1) : identifier;
+}
+
+function getCubicBezierText(preset) {
+    return "cubic-bezier(" + getBezierValues(preset).join(", ") + ")";
+}
+
+/**
+ * W3C Design Tokens (DTCG) file: an "easing" group of cubicBezier tokens
+ * @param {Object} presets - Presets object
+ * @returns {string}
+ */
+export function formatDesignTokens(presets) {
+    var group = { $type: "cubicBezier" };
+    getExportEntries(presets, toKebabCase).forEach(function(entry) {
+        group[entry.identifier] = { $value: getBezierValues(entry.preset), $description: entry.name };
+    });
+    return JSON.stringify({ easing: group }, null, 2);
+}
+
+/**
+ * Style Dictionary source file: easing tokens with value and type
+ * @param {Object} presets - Presets object
+ * @returns {string}
+ */
+export function formatStyleDictionary(presets) {
+    var group = {};
+    getExportEntries(presets, toKebabCase).forEach(function(entry) {
+        group[entry.identifier] = { value: getBezierValues(entry.preset), type: "cubicBezier", comment: entry.name };
+    });
+    return JSON.stringify({ easing: group }, null, 2);
+}
+
+/**
+ * CSS custom properties on :root, e.g. --ease-quart-out
+ * @param {Object} presets - Presets object
+ * @returns {string}
+ */
+export function formatCssVariables(presets) {
+    var lines = getExportEntries(presets, toKebabCase).map(function(entry) {
+        return "  --ease-" + entry.identifier + ": " + getCubicBezierText(entry.preset) + ";";
+    });
+    return ":root {\n" + lines.join("\n") + "\n}\n";
+}
+
+/**
+ * SCSS variables, e.g. $ease-quart-out
+ * @param {Object} presets - Presets object
+ * @returns {string}
+ */
+export function formatScssVariables(presets) {
+    return getExportEntries(presets, toKebabCase).map(function(entry) {
+        return "$ease-" + entry.identifier + ": " + getCubicBezierText(entry.preset) + ";";
+    }).join("\n") + "\n";
+}
+
+/**
+ * TypeScript module with the control points and CSS values of every preset
+ * @param {Object} presets - Presets object
+ * @returns {string}
+ */
+export function formatTypeScript(presets) {
+    var entries = getExportEntries(presets, toCamelCase);
+    var points = entries.map(function(entry) {
+        return "  " + entry.identifier + ": [" + getBezierValues(entry.preset).join(", ") + "],";
+    });
+    var css = entries.map(function(entry) {
+        return "  " + entry.identifier + ": " + JSON.stringify(getCubicBezierText(entry.preset)) + ",";
+    });
+    return "// Easing presets exported from Easey\n\n" +
+           "export type CubicBezier = readonly [x1: number, y1: number, x2: number, y2: number];\n\n" +
+           "export const easings = {\n" + points.join("\n") + "\n} as const satisfies Record<string, CubicBezier>;\n\n" +
+           "export const cssEasings = {\n" + css.join("\n") + "\n} as const;\n\n" +
+           "export type EasingName = keyof typeof easings;\n";
+}
+
+// Formats listed under "Export Presets as"
+export var PRESET_EXPORT_FORMATS = [
+    { name: "Design Tokens (W3C)", fileFilter: "Design Tokens (*.tokens.json *.json)", fileName: "easing.tokens.json", format: formatDesignTokens },
+    { name: "Style Dictionary", fileFilter: "JSON File (*.json)", fileName: "easing.json", format: formatStyleDictionary },
+    { name: "CSS Variables", fileFilter: "CSS File (*.css)", fileName: "easing.css", format: formatCssVariables },
+    { name: "SCSS Variables", fileFilter: "SCSS File (*.scss)", fileName: "_easing.scss", format: formatScssVariables },
+    { name: "TypeScript", fileFilter: "TypeScript File (*.ts)", fileName: "easing.ts", format: formatTypeScript }
+];
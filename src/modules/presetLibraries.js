@@ -0,0 +1,161 @@
+// Preset library files module
+// Shared preset libraries read from JSON files on disk (e.g. on a team drive or in the project folder)
+// and listed next to the personal presets. A library file holds {version, presets} like the
+// "easey_presetLibrary" preference, or a flat name -> {x1, y1, x2, y2} object.
+
+import { PRESET_LIBRARY_VERSION } from './constants.js';
+import { validatePreset } from './presetManager.js';
+
+/**
+ * Library name shown in the preset list: the file name without its folder and extension
+ * @param {string} path - Library file path
+ * @returns {string}
+ */
+export function getLibraryName(path) {
+    var fileName = path.split(/[\\/]/).pop();
+    return fileName.replace(/\.json$/i, '') || fileName;
+}
+
+/**
+ * Create a library entry for a file (presets are read by reloadPresetLibrary)
+ * @param {string} path - Library file path
+ * @param {boolean} readOnly - Whether presets in the library can be edited
+ * @returns {Object} Library {path, readOnly, name, presets, text}
+ */
+export function createPresetLibrary(path, readOnly) {
+    return {
+        path: path,
+        readOnly: readOnly,
+        name: getLibraryName(path),
+        presets: {},
+        text: null          // File contents last read or written, used to notice changes
+    };
+}
+
+/**
+ * Read a library file if it changed since it was last read
+ * @param {Object} library - Library from createPresetLibrary
+ * @returns {boolean} Whether the library's presets were replaced
+ */
+export function reloadPresetLibrary(library) {
+    try {
+        if (!api.filePathExists(library.path)) {
+            if (library.text !== "") {
+                console.log("Preset library not found: " + library.path);
+                library.text = "";
+                library.presets = {};
+                return true;
+            }
+            return false;
+        }
+
+        var text = api.readFromFile(library.path);
+        if (text === library.text) return false;
+        library.text = text;
+
+        var data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            console.log("Preset library " + library.name + " is not valid JSON, keeping its last presets");
+            return false;
+        }
+
+        var presets = (data && data.presets && typeof data.presets === 'object') ? data.presets : data;
+        if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+            console.log("Preset library " + library.name + " does not contain presets");
+            return false;
+        }
+        if (typeof data.version === 'number' && data.version > PRESET_LIBRARY_VERSION) {
+            console.log("Preset library " + library.name + " was saved by a newer version of Easey (preset format " + data.version + ")");
+            return false;
+        }
+
+        library.presets = {};
+        for (var name in presets) {
+            var error = validatePreset(presets[name]);
+            if (error) {
+                console.log("Skipped preset \"" + name + "\" in library " + library.name + ": " + error);
+            } else {
+                library.presets[name] = presets[name];
+            }
+        }
+        console.log("Loaded preset library " + library.name + " (" + Object.keys(library.presets).length + " presets)");
+        return true;
+    } catch (e) {
+        console.log("Could not read preset library " + library.path + ":", e.message);
+        return false;
+    }
+}
+
+/**
+ * Write a read-write library's presets back to its file. If someone else changed the file since it was
+ * last read, nothing is written: the library is reloaded with their presets and the conflict is reported.
+ * @param {Object} library - Library from createPresetLibrary
+ * @returns {boolean} Whether the file was written
+ */
+export function writePresetLibrary(library) {
+    if (library.readOnly) {
+        console.log("Preset library " + library.name + " is read-only");
+        return false;
+    }
+
+    try {
+        var diskText = api.filePathExists(library.path) ? api.readFromFile(library.path) : "";
+        if (diskText !== (library.text || "")) {
+            console.log("Preset library " + library.name + " was changed by someone else since it was last read, so your change was not saved. The library has been reloaded; please make the change again.");
+            reloadPresetLibrary(library);
+            return false;
+        }
+
+        var text = JSON.stringify({ version: PRESET_LIBRARY_VERSION, presets: library.presets }, null, 2);
+        if (!api.writeToFile(library.path, text, true)) {
+            console.log("Could not write preset library " + library.path);
+            return false;
+        }
+        // Remember what we wrote so the change check doesn't reload our own edit
+        library.text = text;
+        return true;
+    } catch (e) {
+        console.log("Could not write preset library " + library.path + ":", e.message);
+        return false;
+    }
+}
+
+/**
+ * List the personal presets and every library's presets together. Library presets are filed under a
+ * folder named after their library; a name already taken is listed as "name (Library)", numbered if that
+ * is taken too (e.g. two libraries with the same file name), and reported.
+ * @param {Object} presets - Personal presets
+ * @param {Object[]} libraries - Libraries from createPresetLibrary
+ * @returns {{ presets: Object, sources: Object, clashes: string[] }} Merged presets, listed name -> {library, name}
+ *          for library presets, and a message per name clash
+ */
+export function mergePresetLibraries(presets, libraries) {
+    var merged = Object.assign({}, presets);
+    var sources = {};
+    var clashes = [];
+
+    libraries.forEach(function(library) {
+        for (var name in library.presets) {
+            var preset = library.presets[name];
+            var listedName = name;
+            if (merged[listedName]) {
+                var renamed = name + " (" + library.name + ")";
+                listedName = renamed;
+                for (var n = 2; merged[listedName]; n++) {
+                    listedName = renamed + " " + n;
+                }
+                var owner = sources[name] ? "library " + sources[name].library.name : "your presets";
+                clashes.push("Preset \"" + name + "\" in library " + library.name + " clashes with " + owner + ", listed as \"" + listedName + "\"");
+            }
+
+            merged[listedName] = Object.assign({}, preset, {
+                folder: preset.folder ? library.name + " / " + preset.folder : library.name
+            });
+            sources[listedName] = { library: library, name: name };
+        }
+    });
+
+    return { presets: merged, sources: sources, clashes: clashes };
+}
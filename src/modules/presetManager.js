@@ -1,5 +1,29 @@
 // Preset management module
-// Functions for saving, loading, and managing easing presets
+// Functions for saving, loading, and managing easing presets.
+// A preset is {x1, y1, x2, y2} with optional folder (string), tags (string[]) and favorite (boolean).
+
+import { PRESET_LIBRARY_VERSION, PRESET_NAME_MAX_LENGTH } from './constants.js';
+import { parseExternalPresets } from './presetFormats.js';
+
+var NO_PRESETS_ENTRY = "No matching presets";
+
+/**
+ * Whether a dropdown entry is a placeholder rather than a preset
+ * @param {string} entry - Dropdown text
+ * @returns {boolean}
+ */
+function isPlaceholderEntry(entry) {
+    return !entry || entry === "Select a preset..." || entry === "---" || entry === NO_PRESETS_ENTRY;
+}
+
+/**
+ * Clamp a handle x into 0-1
+ * @param {number} value - Handle x
+ * @returns {number}
+ */
+function clampUnit(value) {
+    return Math.max(0, Math.min(1, value));
+}
 
 /**
  * Save a new preset
@@ -10,20 +34,22 @@
 export function savePreset(presets, currentEasing, onSave) {
     try {
         var modal = new ui.Modal();
-        var presetName = modal.showStringInput("Save Preset", "Enter preset name (max 30 chars):", "My Preset");
+        var presetName = modal.showStringInput("Save Preset", "Enter preset name (max " + PRESET_NAME_MAX_LENGTH + " chars):", "My Preset");
         
         if (presetName && presetName.trim() !== "") {
-            if (presetName.length > 30) {
-                console.log("Preset name too long. Please use 30 characters or less.");
+            if (presetName.length > PRESET_NAME_MAX_LENGTH) {
+                console.log("Preset name too long. Please use " + PRESET_NAME_MAX_LENGTH + " characters or less.");
                 return;
             }
             
-            presets[presetName] = {
-                x1: currentEasing.x1,
+            // Overwriting a preset keeps its folder, tags and favorite. x is clamped so the preset
+            // passes validatePreset when it is copied or exported.
+            presets[presetName] = Object.assign({}, presets[presetName], {
+                x1: clampUnit(currentEasing.x1),
                 y1: currentEasing.y1,
-                x2: currentEasing.x2,
+                x2: clampUnit(currentEasing.x2),
                 y2: currentEasing.y2
-            };
+            });
             
             if (onSave) onSave();
         }
@@ -40,18 +66,18 @@ export function savePreset(presets, currentEasing, onSave) {
  * @returns {string|null} New preset name or null if cancelled
  */
 export function renamePreset(presets, selectedPreset, onRename) {
-    if (!selectedPreset || selectedPreset === "Select a preset..." || selectedPreset === "---") {
+    if (isPlaceholderEntry(selectedPreset)) {
         console.log("Please select a preset to rename");
         return null;
     }
     
     try {
         var modal = new ui.Modal();
-        var newName = modal.showStringInput("Rename Preset", "Enter new name (max 30 chars):", selectedPreset);
+        var newName = modal.showStringInput("Rename Preset", "Enter new name (max " + PRESET_NAME_MAX_LENGTH + " chars):", selectedPreset);
         
         if (newName && newName.trim() !== "" && newName !== selectedPreset) {
-            if (newName.length > 30) {
-                console.log("Preset name too long. Please use 30 characters or less.");
+            if (newName.length > PRESET_NAME_MAX_LENGTH) {
+                console.log("Preset name too long. Please use " + PRESET_NAME_MAX_LENGTH + " characters or less.");
                 return null;
             }
             
@@ -81,7 +107,7 @@ export function renamePreset(presets, selectedPreset, onRename) {
  * @param {Function} onDelete - Callback after deleting (for updating UI)
  */
 export function deletePreset(presets, selectedPreset, onDelete) {
-    if (!selectedPreset || selectedPreset === "Select a preset..." || selectedPreset === "---") {
+    if (isPlaceholderEntry(selectedPreset)) {
         console.log("Please select a preset to delete");
         return;
     }
@@ -94,6 +120,84 @@ export function deletePreset(presets, selectedPreset, onDelete) {
     }
 }
 
+/**
+ * Move a preset into a folder
+ * @param {Object} presets - Presets object to modify
+ * @param {string} selectedPreset - Name of the preset
+ * @param {Function} onChange - Callback after changing (for updating UI)
+ */
+export function setPresetFolder(presets, selectedPreset, onChange) {
+    if (isPlaceholderEntry(selectedPreset) || !presets[selectedPreset]) {
+        console.log("Please select a preset to move");
+        return;
+    }
+    
+    try {
+        var modal = new ui.Modal();
+        var folder = modal.showStringInput("Move to Folder", "Folder name (leave empty for no folder):", presets[selectedPreset].folder || "");
+        if (folder === null || folder === undefined) return;
+        
+        folder = folder.trim();
+        if (folder === "") {
+            delete presets[selectedPreset].folder;
+        } else {
+            presets[selectedPreset].folder = folder;
+        }
+        if (onChange) onChange();
+    } catch (e) {
+        console.log("Error moving preset:", e.message);
+    }
+}
+
+/**
+ * Set a preset's tags from a comma separated list
+ * @param {Object} presets - Presets object to modify
+ * @param {string} selectedPreset - Name of the preset
+ * @param {Function} onChange - Callback after changing (for updating UI)
+ */
+export function setPresetTags(presets, selectedPreset, onChange) {
+    if (isPlaceholderEntry(selectedPreset) || !presets[selectedPreset]) {
+        console.log("Please select a preset to tag");
+        return;
+    }
+    
+    try {
+        var modal = new ui.Modal();
+        var text = modal.showStringInput("Edit Tags", "Tags separated by commas:", (presets[selectedPreset].tags || []).join(", "));
+        if (text === null || text === undefined) return;
+        
+        var tags = text.split(',').map(function(tag) { return tag.trim(); }).filter(function(tag) { return tag !== ""; });
+        if (tags.length === 0) {
+            delete presets[selectedPreset].tags;
+        } else {
+            presets[selectedPreset].tags = tags;
+        }
+        if (onChange) onChange();
+    } catch (e) {
+        console.log("Error tagging preset:", e.message);
+    }
+}
+
+/**
+ * Pin a preset to the favorites at the top of the list, or unpin it
+ * @param {Object} presets - Presets object to modify
+ * @param {string} selectedPreset - Name of the preset
+ * @param {Function} onChange - Callback after changing (for updating UI)
+ */
+export function togglePresetFavorite(presets, selectedPreset, onChange) {
+    if (isPlaceholderEntry(selectedPreset) || !presets[selectedPreset]) {
+        console.log("Please select a preset");
+        return;
+    }
+    
+    if (presets[selectedPreset].favorite) {
+        delete presets[selectedPreset].favorite;
+    } else {
+        presets[selectedPreset].favorite = true;
+    }
+    if (onChange) onChange();
+}
+
 /**
  * Delete all presets
  * @param {Object} presets - Presets object to clear
@@ -127,12 +231,227 @@ export function deleteAllPresets(presets, onDelete) {
 }
 
 /**
- * Export presets to clipboard as JSON
+ * Check a preset's fields
+ * @param {Object} preset - Preset to check
+ * @returns {string|null} What is wrong with the preset, or null if it is valid
+ */
+export function validatePreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        return "not a preset object";
+    }
+    
+    var fields = ['x1', 'y1', 'x2', 'y2'];
+    for (var i = 0; i < fields.length; i++) {
+        var value = preset[fields[i]];
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return fields[i] + " is missing or not a number";
+        }
+    }
+    if (preset.x1 < 0 || preset.x1 > 1 || preset.x2 < 0 || preset.x2 > 1) {
+        return "x1 and x2 must be between 0 and 1";
+    }
+    
+    if (preset.folder !== undefined && typeof preset.folder !== 'string') {
+        return "folder is not text";
+    }
+    if (preset.tags !== undefined && (!Array.isArray(preset.tags) || preset.tags.some(function(tag) { return typeof tag !== 'string'; }))) {
+        return "tags is not a list of text";
+    }
+    if (preset.favorite !== undefined && typeof preset.favorite !== 'boolean') {
+        return "favorite is not true or false";
+    }
+    return null;
+}
+
+/**
+ * Repair a preset saved to preferences. Saved presets are the user's own, so unlike imports they
+ * are kept whenever the curve can be read: x is clamped into 0-1 and bad folder, tags or favorite
+ * fields are left off.
+ * @param {Object} preset - Saved preset
+ * @returns {Object|null} The preset to load, or null if its curve is missing or not numeric
+ */
+function repairSavedPreset(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return null;
+    
+    var fields = ['x1', 'y1', 'x2', 'y2'];
+    for (var i = 0; i < fields.length; i++) {
+        if (typeof preset[fields[i]] !== 'number' || !isFinite(preset[fields[i]])) return null;
+    }
+    
+    var repaired = Object.assign({}, preset, { x1: clampUnit(preset.x1), x2: clampUnit(preset.x2) });
+    if (repaired.folder !== undefined && typeof repaired.folder !== 'string') delete repaired.folder;
+    if (repaired.tags !== undefined && (!Array.isArray(repaired.tags) || repaired.tags.some(function(tag) { return typeof tag !== 'string'; }))) delete repaired.tags;
+    if (repaired.favorite !== undefined && typeof repaired.favorite !== 'boolean') delete repaired.favorite;
+    return repaired;
+}
+
+/**
+ * Whether parsed JSON is Easey's own preset format rather than another tool's. A version alone is not
+ * enough: other tools' preset lists can be {version, presets: [...]}, so Easey data needs a presets object.
+ * @param {*} data - Parsed JSON
+ * @returns {boolean}
+ */
+function isEaseyPresetData(data) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) return false;
+    if (data.version !== undefined) {
+        return !!data.presets && typeof data.presets === 'object' && !Array.isArray(data.presets);
+    }
+    
+    var names = Object.keys(data);
+    return names.length === 0 || names.some(function(name) {
+        var preset = data[name];
+        return preset && typeof preset === 'object' && ['x1', 'y1', 'x2', 'y2'].some(function(field) { return field in preset; });
+    });
+}
+
+/**
+ * Parse presets: Easey JSON ({version, presets} as exported, or a flat name -> preset object from before
+ * versioning), or another tool's format (see parseExternalPresets)
+ * @param {string} text - Clipboard or file text
+ * @returns {{ presets: Object, invalid: Object[], version: number, format: string }|null} Valid presets, invalid
+ *          entries {name, error}, the schema version and the format read, or null if the text can't be imported
+ */
+export function parsePresetImport(text) {
+    var data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        data = null;
+    }
+    
+    var version = 1;
+    var entries = data;
+    var result = { presets: {}, invalid: [], version: PRESET_LIBRARY_VERSION, format: "Easey" };
+    
+    if (isEaseyPresetData(data)) {
+        if (data.version !== undefined) {
+            version = data.version;
+            entries = data.presets;
+            if (typeof version !== 'number') {
+                console.log("Imported presets have a version that is not a number");
+                return null;
+            }
+            if (version > PRESET_LIBRARY_VERSION) {
+                console.log("These presets were exported by a newer version of Easey (preset format " + version + "). Please update Easey to import them.");
+                return null;
+            }
+        }
+        result.version = version;
+    } else {
+        var external = parseExternalPresets(text, data);
+        if (!external) {
+            console.log("Imported text has no presets Easey can read. Use Easey JSON, CSS, design tokens, a preset list or lines of name: x1, y1, x2, y2");
+            return null;
+        }
+        entries = external.presets;
+        result.invalid = external.invalid;
+        result.format = external.format;
+    }
+    
+    for (var name in entries) {
+        var error = name.trim() === "" ? "name is empty" : validatePreset(entries[name]);
+        if (!error && name.length > PRESET_NAME_MAX_LENGTH) {
+            error = "name is longer than " + PRESET_NAME_MAX_LENGTH + " characters";
+        }
+        if (error) {
+            result.invalid.push({ name: name, error: error });
+        } else {
+            result.presets[name] = entries[name];
+        }
+    }
+    return result;
+}
+
+/**
+ * Compare imported presets with the existing ones
+ * @param {Object} presets - Existing presets
+ * @param {Object} imported - Valid imported presets
+ * @returns {{ added: string[], changed: string[], conflicting: string[], unchanged: string[] }} Imported names that are
+ *          new, the same curve with a different folder, tags or favorite, a different curve, or identical
+ */
+export function getImportPreview(presets, imported) {
+    var preview = { added: [], changed: [], conflicting: [], unchanged: [] };
+    
+    for (var name in imported) {
+        var existing = presets[name];
+        var preset = imported[name];
+        if (!existing) {
+            preview.added.push(name);
+        } else if (existing.x1 !== preset.x1 || existing.y1 !== preset.y1 || existing.x2 !== preset.x2 || existing.y2 !== preset.y2) {
+            preview.conflicting.push(name);
+        } else if ((existing.folder || "") !== (preset.folder || "") ||
+                   (existing.tags || []).join(",") !== (preset.tags || []).join(",") ||
+                   !existing.favorite !== !preset.favorite) {
+            preview.changed.push(name);
+        } else {
+            preview.unchanged.push(name);
+        }
+    }
+    return preview;
+}
+
+/**
+ * First free name for an imported preset that clashes: "name 2", "name 3", ...
+ * @param {Object} presets - Existing presets
+ * @param {string} name - Imported name
+ * @returns {string}
+ */
+function getFreePresetName(presets, name) {
+    var index = 2;
+    while (presets[name + " " + index]) {
+        index++;
+    }
+    return name + " " + index;
+}
+
+/**
+ * Merge imported presets
+ * @param {Object} presets - Presets object to modify
+ * @param {Object} imported - Valid imported presets
+ * @param {Object} preview - From getImportPreview
+ * @param {string} resolution - For conflicting presets: "overwrite", "skip" or "rename" (import under a free name).
+ *                              Changed presets are only updated with "overwrite".
+ * @returns {number} Number of presets added or updated
+ */
+export function mergeImportedPresets(presets, imported, preview, resolution) {
+    var count = 0;
+    
+    preview.added.forEach(function(name) {
+        presets[name] = imported[name];
+        count++;
+    });
+    
+    if (resolution === "overwrite") {
+        preview.changed.concat(preview.conflicting).forEach(function(name) {
+            presets[name] = imported[name];
+            count++;
+        });
+    } else if (resolution === "rename") {
+        preview.conflicting.forEach(function(name) {
+            presets[getFreePresetName(presets, name)] = imported[name];
+            count++;
+        });
+    }
+    return count;
+}
+
+/**
+ * Names for the import preview, shortened to the first few
+ * @param {string[]} names
+ * @returns {string}
+ */
+function formatPreviewNames(names) {
+    var shown = names.slice(0, 8).join(", ");
+    return names.length > 8 ? shown + " and " + (names.length - 8) + " more" : shown;
+}
+
+/**
+ * Export presets to clipboard as versioned JSON
  * @param {Object} presets - Presets object to export
  */
 export function exportPresets(presets) {
     try {
-        var presetsJson = JSON.stringify(presets, null, 2);
+        var presetsJson = JSON.stringify({ version: PRESET_LIBRARY_VERSION, presets: presets }, null, 2);
         api.setClipboardText(presetsJson);
     } catch (e) {
         console.log("Error exporting presets:", e.message);
@@ -140,36 +459,84 @@ export function exportPresets(presets) {
 }
 
 /**
- * Import presets from clipboard JSON
- * @param {Object} presets - Presets object to modify
- * @param {Function} onImport - Callback after importing (for updating UI)
+ * Export presets in a design-token or code format to the clipboard and, if one is picked, a file
+ * @param {Object} presets - Presets object to export
+ * @param {Object} target - Entry of PRESET_EXPORT_FORMATS
  */
-export function importPresets(presets, onImport) {
+export function exportPresetsAs(presets, target) {
     try {
-        var clipboardContent = api.getClipboardText();
-        if (!clipboardContent) {
-            console.log("No content in clipboard");
+        if (Object.keys(presets).length === 0) {
+            console.log("No presets to export");
             return;
         }
         
-        var importedPresets;
-        try {
-            importedPresets = JSON.parse(clipboardContent);
-        } catch (e) {
-            console.log("Clipboard content is not valid JSON");
+        var text = target.format(presets);
+        api.setClipboardText(text);
+        
+        var path = api.presentSaveFile(api.getProjectPath(), "Export Presets as " + target.name, target.fileFilter, target.fileName);
+        if (!path) {
+            console.log("Copied " + Object.keys(presets).length + " presets as " + target.name);
             return;
         }
+        if (api.writeToFile(path, text, true)) {
+            console.log("Exported " + Object.keys(presets).length + " presets as " + target.name + " to " + path + " (also copied)");
+        } else {
+            console.log("Could not write " + path + "; the presets were copied as " + target.name);
+        }
+    } catch (e) {
+        console.log("Error exporting presets:", e.message);
+    }
+}
+
+/**
+ * Import presets from text: Easey JSON, CSS, design tokens, preset lists or plain text (see parsePresetImport).
+ * Invalid entries are reported, and a preview of new, changed and conflicting presets asks whether to
+ * overwrite, skip or rename the conflicting ones.
+ * @param {Object} presets - Presets object to modify
+ * @param {string} text - Text to import
+ * @param {Function} onImport - Callback after importing (for updating UI)
+ */
+function importPresetText(presets, text, onImport) {
+    try {
+        var parsed = parsePresetImport(text);
+        if (!parsed) return;
+        
+        parsed.invalid.forEach(function(entry) {
+            console.log("Skipped invalid preset \"" + entry.name + "\": " + entry.error);
+        });
         
-        if (typeof importedPresets !== 'object' || importedPresets === null) {
-            console.log("Clipboard content is not a valid presets object");
+        var preview = getImportPreview(presets, parsed.presets);
+        if (preview.added.length + preview.changed.length + preview.conflicting.length === 0) {
+            console.log("Nothing to import" + (parsed.invalid.length > 0 ? " (" + parsed.invalid.length + " invalid presets skipped)" : ""));
             return;
         }
         
-        // Merge presets
-        for (var name in importedPresets) {
-            presets[name] = importedPresets[name];
+        var lines = ["Read as " + parsed.format + "."];
+        if (preview.added.length > 0) lines.push("New (" + preview.added.length + "): " + formatPreviewNames(preview.added));
+        if (preview.changed.length > 0) lines.push("Changed folder, tags or favorite (" + preview.changed.length + "): " + formatPreviewNames(preview.changed));
+        if (preview.conflicting.length > 0) lines.push("Different curve, same name (" + preview.conflicting.length + "): " + formatPreviewNames(preview.conflicting));
+        if (preview.unchanged.length > 0) lines.push("Already up to date: " + preview.unchanged.length);
+        if (parsed.invalid.length > 0) lines.push("Invalid, not imported: " + parsed.invalid.length + " (see console)");
+        var previewText = lines.join("\n");
+        
+        var modal = new ui.Modal();
+        var resolution = "skip";
+        if (preview.changed.length + preview.conflicting.length > 0) {
+            var answer = modal.showStringInput("Import Presets", previewText + "\n\nFor presets that already exist, type overwrite, skip or rename (rename imports conflicting curves as \"name 2\"):", "skip");
+            if (answer === null || answer === undefined || answer.trim() === "") return;
+            
+            resolution = answer.trim().toLowerCase();
+            if (resolution !== "overwrite" && resolution !== "skip" && resolution !== "rename") {
+                console.log("Please type overwrite, skip or rename");
+                return;
+            }
+        } else if (!modal.showConfirmation("Import Presets", previewText)) {
+            return;
         }
         
+        var count = mergeImportedPresets(presets, parsed.presets, preview, resolution);
+        console.log("Imported " + count + " presets");
+        
         if (onImport) onImport();
         
     } catch (e) {
@@ -177,34 +544,89 @@ export function importPresets(presets, onImport) {
     }
 }
 
+/**
+ * Import presets from the clipboard (see importPresetText)
+ * @param {Object} presets - Presets object to modify
+ * @param {Function} onImport - Callback after importing (for updating UI)
+ */
+export function importPresets(presets, onImport) {
+    try {
+        var clipboardContent = api.getClipboardText();
+        if (!clipboardContent) {
+            console.log("No content in clipboard");
+            return;
+        }
+        importPresetText(presets, clipboardContent, onImport);
+    } catch (e) {
+        console.log("Error importing presets:", e.message);
+    }
+}
+
+/**
+ * Import presets from a file picked on disk, e.g. a style sheet or design tokens (see importPresetText)
+ * @param {Object} presets - Presets object to modify
+ * @param {Function} onImport - Callback after importing (for updating UI)
+ */
+export function importPresetsFromFile(presets, onImport) {
+    try {
+        var path = api.presentOpenFile(api.getProjectPath(), "Import Presets", "Presets (*.json *.css *.scss *.less *.txt);;All Files (*)");
+        if (!path) return;
+        importPresetText(presets, api.readFromFile(path), onImport);
+    } catch (e) {
+        console.log("Error importing presets:", e.message);
+    }
+}
+
 /**
  * Save presets to preferences
  * @param {Object} presets - Presets object to save
  */
 export function savePresetsToPreferences(presets) {
     try {
-        api.setPreferenceObject("easey_presets", presets);
+        api.setPreferenceObject("easey_presetLibrary", { version: PRESET_LIBRARY_VERSION, presets: presets });
     } catch (e) {
         console.log("Could not save presets to preferences:", e.message);
     }
 }
 
 /**
- * Load presets from preferences
+ * Load presets from preferences. Flat presets saved by earlier versions under "easey_presets"
+ * are migrated into the preset library (they become presets without folder, tags or favorite).
+ * Saved presets are repaired rather than checked like imports (see repairSavedPreset).
  * @param {Object} presets - Presets object to populate
  */
 export function loadPresetsFromPreferences(presets) {
     try {
-        if (api.hasPreferenceObject("easey_presets")) {
-            var savedPresets = api.getPreferenceObject("easey_presets");
-            if (savedPresets !== null && savedPresets !== undefined) {
-                // Clear existing and copy saved
-                for (var key in presets) {
-                    delete presets[key];
-                }
-                for (var key in savedPresets) {
-                    presets[key] = savedPresets[key];
+        var savedPresets = null;
+        var migrated = false;
+        
+        if (api.hasPreferenceObject("easey_presetLibrary")) {
+            var library = api.getPreferenceObject("easey_presetLibrary");
+            if (library && library.presets) {
+                savedPresets = library.presets;
+            }
+        } else if (api.hasPreferenceObject("easey_presets")) {
+            savedPresets = api.getPreferenceObject("easey_presets");
+            migrated = true;
+        }
+        
+        if (savedPresets !== null && savedPresets !== undefined) {
+            // Clear existing and copy saved
+            for (var key in presets) {
+                delete presets[key];
+            }
+            for (var key in savedPresets) {
+                var preset = repairSavedPreset(savedPresets[key]);
+                if (!preset) {
+                    console.log("Skipped saved preset \"" + key + "\": its curve is missing or not a number");
+                    continue;
                 }
+                presets[key] = preset;
+            }
+            
+            if (migrated) {
+                savePresetsToPreferences(presets);
+                console.log("Moved " + Object.keys(presets).length + " presets to the new preset library");
             }
         }
     } catch (e) {
@@ -272,6 +694,218 @@ export function loadClampIdenticalSetting() {
     return true;
 }
 
+/**
+ * Save segment mode setting
+ * @param {boolean} enabled - Whether Get reads each keyframe pair separately
+ */
+export function saveSegmentModeSetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_segmentMode", enabled);
+    } catch (e) {
+        console.log("Could not save segment mode setting:", e.message);
+    }
+}
+
+/**
+ * Load segment mode setting
+ * @returns {boolean} Whether segment mode is enabled (default: false)
+ */
+export function loadSegmentModeSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_segmentMode")) {
+            var saved = api.getPreferenceObject("easey_segmentMode");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load segment mode setting:", e.message);
+    }
+    return false;
+}
+
+/**
+ * Save ghost curve setting
+ * @param {boolean} enabled - Whether the curve read by Get is drawn behind the edited one
+ */
+export function saveGhostCurveSetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_ghostCurve", enabled);
+    } catch (e) {
+        console.log("Could not save ghost curve setting:", e.message);
+    }
+}
+
+/**
+ * Load ghost curve setting
+ * @returns {boolean} Whether the ghost curve is shown (default: true)
+ */
+export function loadGhostCurveSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_ghostCurve")) {
+            var saved = api.getPreferenceObject("easey_ghostCurve");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load ghost curve setting:", e.message);
+    }
+    return true;
+}
+
+/**
+ * Save real speed units setting
+ * @param {boolean} enabled - Whether the speed graph plots units per second
+ */
+export function saveRealSpeedUnitsSetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_realSpeedUnits", enabled);
+    } catch (e) {
+        console.log("Could not save real speed units setting:", e.message);
+    }
+}
+
+/**
+ * Load real speed units setting
+ * @returns {boolean} Whether the speed graph plots units per second (default: false)
+ */
+export function loadRealSpeedUnitsSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_realSpeedUnits")) {
+            var saved = api.getPreferenceObject("easey_realSpeedUnits");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load real speed units setting:", e.message);
+    }
+    return false;
+}
+
+/**
+ * Save speed timeline setting
+ * @param {boolean} enabled - Whether the speed graph shows every selected keyframe of an attribute
+ */
+export function saveSpeedTimelineSetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_speedTimeline", enabled);
+    } catch (e) {
+        console.log("Could not save speed timeline setting:", e.message);
+    }
+}
+
+/**
+ * Load speed timeline setting
+ * @returns {boolean} Whether the speed graph shows every selected keyframe of an attribute (default: false)
+ */
+export function loadSpeedTimelineSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_speedTimeline")) {
+            var saved = api.getPreferenceObject("easey_speedTimeline");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load speed timeline setting:", e.message);
+    }
+    return false;
+}
+
+/**
+ * Save continuous velocity setting
+ * @param {boolean} enabled - Whether Apply matches speeds through interior keyframes
+ */
+export function saveContinuousVelocitySetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_continuousVelocity", enabled);
+    } catch (e) {
+        console.log("Could not save continuous velocity setting:", e.message);
+    }
+}
+
+/**
+ * Load continuous velocity setting
+ * @returns {boolean} Whether Apply matches speeds through interior keyframes (default: false)
+ */
+export function loadContinuousVelocitySetting() {
+    try {
+        if (api.hasPreferenceObject("easey_continuousVelocity")) {
+            var saved = api.getPreferenceObject("easey_continuousVelocity");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load continuous velocity setting:", e.message);
+    }
+    return false;
+}
+
+/**
+ * Save value view setting
+ * @param {boolean} enabled - Whether the value graph shows the selected keyframes in real values
+ */
+export function saveValueViewSetting(enabled) {
+    try {
+        api.setPreferenceObject("easey_valueView", enabled);
+    } catch (e) {
+        console.log("Could not save value view setting:", e.message);
+    }
+}
+
+/**
+ * Load value view setting
+ * @returns {boolean} Whether the value graph shows the selected keyframes in real values (default: false)
+ */
+export function loadValueViewSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_valueView")) {
+            var saved = api.getPreferenceObject("easey_valueView");
+            if (saved !== null && saved !== undefined) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load value view setting:", e.message);
+    }
+    return false;
+}
+
+/**
+ * Save the preset library files listed next to the personal presets
+ * @param {Object[]} libraries - Libraries {path, readOnly}
+ */
+export function savePresetLibrariesSetting(libraries) {
+    try {
+        api.setPreferenceObject("easey_presetLibraries", libraries.map(function(library) {
+            return { path: library.path, readOnly: library.readOnly };
+        }));
+    } catch (e) {
+        console.log("Could not save preset libraries setting:", e.message);
+    }
+}
+
+/**
+ * Load the preset library files listed next to the personal presets
+ * @returns {Object[]} Libraries {path, readOnly} (default: none)
+ */
+export function loadPresetLibrariesSetting() {
+    try {
+        if (api.hasPreferenceObject("easey_presetLibraries")) {
+            var saved = api.getPreferenceObject("easey_presetLibraries");
+            if (Array.isArray(saved)) {
+                return saved;
+            }
+        }
+    } catch (e) {
+        console.log("Could not load preset libraries setting:", e.message);
+    }
+    return [];
+}
+
 /**
  * Save last selected tab to preferences
  * @param {number} tabIndex - Index of the selected tab
@@ -303,24 +937,150 @@ export function loadLastSelectedTab() {
 }
 
 /**
- * Populate preset dropdown with presets
+ * Dropdown label of a preset: favorites are starred and presets in a folder are prefixed with it
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset
+ * @returns {string} e.g. "★ Brand / Snappy"
+ */
+export function getPresetEntryLabel(name, preset) {
+    var label = preset.folder ? preset.folder + " / " + name : name;
+    return preset.favorite ? "★ " + label : label;
+}
+
+/**
+ * Whether a preset matches a filter: every word must appear in its name, folder or one of its tags
+ * @param {string} name - Preset name
+ * @param {Object} preset - Preset
+ * @param {string} filterText - Filter text (empty matches everything)
+ * @returns {boolean}
+ */
+export function presetMatchesFilter(name, preset, filterText) {
+    var words = (filterText || "").toLowerCase().split(/\s+/).filter(function(word) { return word !== ""; });
+    var haystack = [name, preset.folder || ""].concat(preset.tags || []).join("\n").toLowerCase();
+    return words.every(function(word) { return haystack.indexOf(word) !== -1; });
+}
+
+/**
+ * Preset names matching a filter, grouped as listed: favorites, presets without a folder, then each folder
+ * @param {Object} presets - Presets object
+ * @param {string} [filterText] - Only list presets matching this filter (see presetMatchesFilter)
+ * @returns {string[][]} Sections of preset names, sorted by name; empty sections are left out
+ */
+export function getPresetSections(presets, filterText) {
+    function byName(a, b) {
+        return a.toLowerCase().localeCompare(b.toLowerCase());
+    }
+    
+    var presetNames = Object.keys(presets).filter(function(name) {
+        return presetMatchesFilter(name, presets[name], filterText);
+    }).sort(byName);
+    
+    var favorites = presetNames.filter(function(name) { return presets[name].favorite; });
+    var unfiled = presetNames.filter(function(name) { return !presets[name].favorite && !presets[name].folder; });
+    var folders = {};
+    presetNames.forEach(function(name) {
+        var preset = presets[name];
+        if (!preset.favorite && preset.folder) {
+            (folders[preset.folder] = folders[preset.folder] || []).push(name);
+        }
+    });
+    
+    var sections = [favorites, unfiled];
+    Object.keys(folders).sort(byName).forEach(function(folder) {
+        sections.push(folders[folder]);
+    });
+    
+    return sections.filter(function(section) { return section.length > 0; });
+}
+
+/**
+ * Populate preset dropdown with presets, in the sections from getPresetSections.
+ * Labels that come out the same (e.g. "A / b" without a folder and "b" in folder "A") are numbered so each
+ * preset can be selected.
  * @param {Object} dropdown - The ui.DropDown element
  * @param {Object} presets - Presets object
+ * @param {string} [filterText] - Only list presets matching this filter (see presetMatchesFilter)
+ * @returns {Object} Dropdown label -> preset name
  */
-export function populatePresetDropdown(dropdown, presets) {
+export function populatePresetDropdown(dropdown, presets, filterText) {
     dropdown.clear();
     
     dropdown.addEntry("Select a preset...");
-    dropdown.insertSeparator(1);
     
-    var presetNames = Object.keys(presets);
-    presetNames.sort(function(a, b) {
-        return a.toLowerCase().localeCompare(b.toLowerCase());
+    var sections = getPresetSections(presets, filterText);
+    
+    var entryNames = {};
+    var entryCount = 1;
+    sections.forEach(function(section) {
+        dropdown.insertSeparator(entryCount);
+        entryCount++;
+        section.forEach(function(name) {
+            var baseLabel = getPresetEntryLabel(name, presets[name]);
+            var label = baseLabel;
+            for (var n = 2; entryNames[label] !== undefined || isPlaceholderEntry(label); n++) {
+                label = baseLabel + " (" + n + ")";
+            }
+            dropdown.addEntry(label);
+            entryNames[label] = name;
+            entryCount++;
+        });
     });
     
-    for (var i = 0; i < presetNames.length; i++) {
-        dropdown.addEntry(presetNames[i]);
+    if (sections.length === 0) {
+        dropdown.insertSeparator(1);
+        dropdown.addEntry(NO_PRESETS_ENTRY);
     }
+    
+    return entryNames;
+}
+
+/**
+ * Parse an ordered curve list, e.g. "quart-out; linear; 0.42, 0, 1, 1".
+ * Entries are separated by semicolons and can be preset names, "linear" or four bezier values.
+ * @param {string} text - Curve list text
+ * @param {Object} presets - Presets object used to resolve names
+ * @returns {Object[]|null} Easing values {x1, y1, x2, y2} per entry, or null if any entry is invalid
+ */
+export function parseEasingSequence(text, presets) {
+    if (!text || text.trim() === "") {
+        console.log("No curves entered");
+        return null;
+    }
+    
+    var entries = text.split(';');
+    var easings = [];
+    
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i].trim();
+        if (entry === "") continue;
+        
+        if (presets[entry]) {
+            var preset = presets[entry];
+            easings.push({ x1: preset.x1, y1: preset.y1, x2: preset.x2, y2: preset.y2 });
+            continue;
+        }
+        
+        if (entry.toLowerCase() === "linear") {
+            easings.push({ x1: 0, y1: 0, x2: 1, y2: 1 });
+            continue;
+        }
+        
+        var values = entry.replace(/^cubic-bezier\(|\)$/g, "").split(',').map(function(v) { return parseFloat(v.trim()); });
+        if (values.length === 4 && values.every(function(v) { return !isNaN(v); })) {
+            easings.push({ x1: values[0], y1: values[1], x2: values[2], y2: values[3] });
+            continue;
+        }
+        
+        console.log("Unknown preset or invalid curve: " + entry);
+        return null;
+    }
+    
+    if (easings.length === 0) {
+        console.log("No curves entered");
+        return null;
+    }
+    
+    return easings;
 }
 
 /**
@@ -0,0 +1,121 @@
+// Spring easing module
+// Damped harmonic oscillator response, fitted as a chain of bezier-eased keyframes
+
+import { fitEasingChain } from './curveFitter.js';
+
+var SETTLE_THRESHOLD = 0.001;
+var SETTLE_STEP = 1 / 240;
+var MAX_SETTLE_TIME = 30;
+
+/**
+ * Displacement from the target and its derivative for a spring released at -1 (start value)
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @param {number} time - Time in seconds
+ * @returns {{ offset: number, velocity: number }} Offset from target (x - 1) and its rate per second
+ */
+function springState(spring, time) {
+    var mass = Math.max(0.0001, spring.mass);
+    var stiffness = Math.max(0.0001, spring.stiffness);
+    var damping = Math.max(0, spring.damping);
+    var v0 = spring.velocity || 0;
+
+    var omega0 = Math.sqrt(stiffness / mass);
+    var zeta = damping / (2 * Math.sqrt(stiffness * mass));
+
+    if (zeta < 1) {
+        var omegaD = omega0 * Math.sqrt(1 - zeta * zeta);
+        var a = -1;
+        var b = (v0 + zeta * omega0 * a) / omegaD;
+        var decay = Math.exp(-zeta * omega0 * time);
+        var cos = Math.cos(omegaD * time);
+        var sin = Math.sin(omegaD * time);
+        return {
+            offset: decay * (a * cos + b * sin),
+            velocity: decay * ((b * omegaD - zeta * omega0 * a) * cos - (a * omegaD + zeta * omega0 * b) * sin)
+        };
+    }
+
+    if (zeta === 1) {
+        var c1 = -1;
+        var c2 = v0 + omega0 * c1;
+        var e = Math.exp(-omega0 * time);
+        return {
+            offset: e * (c1 + c2 * time),
+            velocity: e * (c2 - omega0 * (c1 + c2 * time))
+        };
+    }
+
+    var root = Math.sqrt(zeta * zeta - 1);
+    var r1 = -omega0 * (zeta - root);
+    var r2 = -omega0 * (zeta + root);
+    var k2 = (v0 + r1) / (r2 - r1);
+    var k1 = -1 - k2;
+    return {
+        offset: k1 * Math.exp(r1 * time) + k2 * Math.exp(r2 * time),
+        velocity: k1 * r1 * Math.exp(r1 * time) + k2 * r2 * Math.exp(r2 * time)
+    };
+}
+
+/**
+ * Normalized spring progress (0 = start value, 1 = target) at a time in seconds
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @param {number} time - Time in seconds
+ * @returns {number} Progress, may overshoot past 1
+ */
+export function springValueAt(spring, time) {
+    return 1 + springState(spring, time).offset;
+}
+
+/**
+ * Time in seconds until the spring stays within 0.1% of its target
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @returns {number} Settle time in seconds
+ */
+export function getSpringSettleTime(spring) {
+    var lastOutside = 0;
+    for (var t = 0; t <= MAX_SETTLE_TIME; t += SETTLE_STEP) {
+        if (Math.abs(springState(spring, t).offset) > SETTLE_THRESHOLD) {
+            lastOutside = t;
+        }
+    }
+    return Math.max(SETTLE_STEP, lastOutside + SETTLE_STEP);
+}
+
+/**
+ * Sample the spring response across its settle time
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @param {number} sampleCount - Number of samples to take
+ * @returns {number[]} sampleCount + 1 progress values, first at 0 and last at the settle time
+ */
+export function sampleSpring(spring, sampleCount) {
+    var settleTime = getSpringSettleTime(spring);
+    var samples = [];
+    for (var i = 0; i <= sampleCount; i++) {
+        samples.push(springValueAt(spring, (i / sampleCount) * settleTime));
+    }
+    return samples;
+}
+
+/**
+ * Spring response as an easing function: the settle time is stretched to t = 0..1
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @returns {(t: number) => number} Progress at normalized time
+ */
+export function getSpringEasingFunction(spring) {
+    var settleTime = getSpringSettleTime(spring);
+    return function(t) {
+        if (t >= 1) return 1;
+        return springValueAt(spring, t * settleTime);
+    };
+}
+
+/**
+ * Fit the spring response (time-scaled to frameCount frames) as a chain of eased keyframes
+ * @param {Object} spring - Spring parameters {mass, stiffness, damping, velocity}
+ * @param {number} frameCount - Frames between the two keyframes
+ * @param {number} [tolerance] - Max error in normalized value (default 0.01)
+ * @returns {{ frames: number[], values: number[], easings: Object[], error: number }} See fitEasingChain
+ */
+export function fitSpringChain(spring, frameCount, tolerance) {
+    return fitEasingChain(getSpringEasingFunction(spring), frameCount, tolerance);
+}
@@ -0,0 +1,145 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    cubicBezierToCavalry,
+    cavalryToCubicBezier,
+    cubicBezierToVelocity,
+    velocityToCubicBezier,
+    speedToCubicBezier,
+    cubicBezierToSpeed,
+    realSpeedToCubicBezier,
+    cubicBezierToRealSpeed,
+    evaluateCubicBezier,
+    getCompositionFrameRate,
+    getSpeedScale,
+    framesToMilliseconds
+} from '../src/modules/conversions.js';
+import { installCavalryMock, uninstallCavalryMock } from './helpers/cavalryMock.js';
+
+var CURVES = {
+    linear: { x1: 0, y1: 0, x2: 1, y2: 1 },
+    ease: { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 },
+    easeInOut: { x1: 0.42, y1: 0, x2: 0.58, y2: 1 },
+    backOut: { x1: 0.34, y1: 1.56, x2: 0.64, y2: 1 },
+    anticipate: { x1: 0.36, y1: -0.4, x2: 0.7, y2: 0.9 }
+};
+
+function assertCurveClose(actual, expected, message) {
+    ['x1', 'y1', 'x2', 'y2'].forEach(function(field) {
+        assert.ok(Math.abs(actual[field] - expected[field]) < 1e-9,
+            (message || "") + " " + field + ": expected " + expected[field] + ", got " + actual[field]);
+    });
+}
+
+afterEach(function() {
+    uninstallCavalryMock();
+});
+
+test('cubic-bezier survives a trip through Cavalry handles', function() {
+    var spans = [
+        { frameDiff: 24, valueDiff: 100 },
+        { frameDiff: 7, valueDiff: 0.5 },
+        { frameDiff: 60, valueDiff: -250 }
+    ];
+    for (var name in CURVES) {
+        var curve = CURVES[name];
+        spans.forEach(function(span) {
+            var handles = cubicBezierToCavalry(curve.x1, curve.y1, curve.x2, curve.y2, span.frameDiff, span.valueDiff);
+            var back = cavalryToCubicBezier(handles.outHandleX, handles.outHandleY, handles.inHandleX, handles.inHandleY, span.frameDiff, span.valueDiff);
+            assertCurveClose(back, curve, name + " over " + span.frameDiff + "f/" + span.valueDiff);
+        });
+    }
+});
+
+test('near-holds and falling values round-trip exactly', function() {
+    [0.0005, -0.0005, -1e-6, -3].forEach(function(valueDiff) {
+        var curve = CURVES.backOut;
+        var handles = cubicBezierToCavalry(curve.x1, curve.y1, curve.x2, curve.y2, 12, valueDiff);
+        var back = cavalryToCubicBezier(handles.outHandleX, handles.outHandleY, handles.inHandleX, handles.inHandleY, 12, valueDiff);
+        assertCurveClose(back, curve, "value change " + valueDiff);
+    });
+});
+
+test('a hold keeps its influences and reads as flat tangents', function() {
+    var curve = CURVES.anticipate;
+    var handles = cubicBezierToCavalry(curve.x1, curve.y1, curve.x2, curve.y2, 20, 0);
+    var back = cavalryToCubicBezier(handles.outHandleX, handles.outHandleY, handles.inHandleX, handles.inHandleY, 20, 0);
+    assertCurveClose(back, { x1: curve.x1, y1: 0, x2: curve.x2, y2: 1 });
+});
+
+test('Cavalry handles point out of the first key and back into the second', function() {
+    var handles = cubicBezierToCavalry(0.42, 0, 0.58, 1, 30, 100);
+    assert.equal(handles.outHandleX, 12.6);
+    assert.equal(handles.outHandleY, 0);
+    assert.ok(Math.abs(handles.inHandleX - -12.6) < 1e-9);
+    assert.equal(handles.inHandleY, 0);
+});
+
+test('speed graph values survive a round trip', function() {
+    for (var name in CURVES) {
+        var curve = CURVES[name];
+        var speed = cubicBezierToSpeed(curve.x1, curve.y1, curve.x2, curve.y2);
+        var back = speedToCubicBezier(speed.outInfluence, speed.inInfluence, speed.outSpeedY, speed.inSpeedY);
+        assertCurveClose(back, curve, name);
+    }
+});
+
+test('real-unit speeds survive a round trip', function() {
+    var speedScale = getSpeedScale(-300, 12, 24);
+    assert.equal(speedScale, 600);
+    ['ease', 'easeInOut', 'backOut', 'anticipate'].forEach(function(name) {
+        var curve = CURVES[name];
+        var real = cubicBezierToRealSpeed(curve.x1, curve.y1, curve.x2, curve.y2, speedScale);
+        var back = realSpeedToCubicBezier(real.outSpeed, real.outInfluence, real.inSpeed, real.inInfluence, speedScale);
+        assertCurveClose(back, curve, name);
+    });
+});
+
+test('velocity conversion keeps influences and handle heights', function() {
+    var velocity = cubicBezierToVelocity(0.25, 0.1, 0.25, 1);
+    assert.ok(Math.abs(velocity.rightInfluence - 0.25) < 1e-9);
+    assert.ok(Math.abs(velocity.rightSpeed - 0.4) < 1e-9);
+    assert.ok(Math.abs(velocity.leftInfluence - 0.75) < 1e-9);
+    assert.equal(velocity.leftSpeed, 0);
+
+    var steep = cubicBezierToVelocity(0.1, 1, 0.9, 0);
+    assert.ok(Math.abs(steep.rightSpeed - 10) < 1e-9, "fast starts are not capped");
+    assert.ok(Math.abs(steep.leftSpeed - 10) < 1e-9);
+
+    var sudden = cubicBezierToVelocity(0, 0.5, 1, 1);
+    assert.equal(sudden.rightInfluence, 0.01);
+    assert.ok(Math.abs(sudden.rightSpeed * sudden.rightInfluence - 0.5) < 1e-9, "handle height survives the minimum influence");
+});
+
+test('motion path velocity converts back to the same curve', function() {
+    ['ease', 'easeInOut', 'backOut'].forEach(function(name) {
+        var curve = CURVES[name];
+        var velocity = cubicBezierToVelocity(curve.x1, curve.y1, curve.x2, curve.y2);
+        var back = velocityToCubicBezier(velocity.rightSpeed, velocity.rightInfluence, velocity.leftSpeed, velocity.leftInfluence);
+        assertCurveClose(back, curve, name);
+    });
+});
+
+test('evaluateCubicBezier follows the curve between its end points', function() {
+    assert.equal(evaluateCubicBezier(0.42, 0, 0.58, 1, 0), 0);
+    assert.equal(evaluateCubicBezier(0.42, 0, 0.58, 1, 1), 1);
+    assert.ok(Math.abs(evaluateCubicBezier(0, 0, 1, 1, 0.3) - 0.3) < 1e-6);
+    assert.ok(Math.abs(evaluateCubicBezier(0.42, 0, 0.58, 1, 0.5) - 0.5) < 1e-6);
+
+    var previous = 0;
+    for (var i = 1; i <= 20; i++) {
+        var value = evaluateCubicBezier(0.42, 0, 0.58, 1, i / 20);
+        assert.ok(value >= previous, "ease-in-out should not go backwards at " + i / 20);
+        previous = value;
+    }
+});
+
+test('frame rate comes from the active composition', function() {
+    var mock = installCavalryMock({ frameRate: 30 });
+    assert.equal(getCompositionFrameRate(), 30);
+    assert.equal(framesToMilliseconds(45, 30), 1500);
+
+    mock.frameRate = 0;
+    assert.throws(getCompositionFrameRate, /Invalid frame rate/);
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseEasingFunction, fitCubicBezier } from '../src/modules/curveFitter.js';
+import { installCavalryMock, uninstallCavalryMock } from './helpers/cavalryMock.js';
+
+var mock;
+
+beforeEach(function() {
+    mock = installCavalryMock();
+});
+
+afterEach(function() {
+    uninstallCavalryMock();
+});
+
+test('easing functions are normalized from their end values', function() {
+    var fn = parseEasingFunction("t => 10 + 90 * t * t");
+    assert.equal(fn(0), 0);
+    assert.equal(fn(1), 1);
+    assert.ok(Math.abs(fn(0.5) - 0.25) < 1e-9);
+
+    assert.ok(Math.abs(parseEasingFunction("linear(0, 0.5 25%, 1)")(0.25) - 0.5) < 1e-9);
+    assert.ok(Math.abs(parseEasingFunction("0, 50, 100")(0.75) - 0.75) < 1e-9);
+});
+
+test('functions that throw part way through are refused with one message', function() {
+    assert.equal(parseEasingFunction("t => t < 0.5 ? t : undefinedFn(t)"), null);
+    var errors = mock.logs.filter(function(line) { return /Error evaluating easing function at t = 0\.5/.test(line); });
+    assert.equal(errors.length, 1);
+});
+
+test('functions with non-finite values are refused', function() {
+    assert.equal(parseEasingFunction("t => t > 0.3 && t < 0.4 ? NaN : t"), null);
+    assert.equal(parseEasingFunction("t => t === 0.25 ? undefined : t"), null);
+    assert.ok(mock.logs.some(function(line) { return /instead of a finite number/.test(line); }));
+});
+
+test('a failure between the checked times reads as 0 and does not stop fitting', function() {
+    var fn = parseEasingFunction("t => { if (t > 0.9 && t < 0.901) throw new Error('gap'); return t; }");
+    assert.equal(typeof fn, 'function');
+
+    assert.doesNotThrow(function() { fitCubicBezier(fn); });
+    assert.equal(fn(0.9005), 0);
+    assert.equal(mock.logs.filter(function(line) { return /gap/.test(line); }).length, 1);
+});
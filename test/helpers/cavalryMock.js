@@ -0,0 +1,401 @@
+// In-memory stand-in for the Cavalry globals (api, ui, cavalry) used by the modules.
+// Keyframes live in a plain store so tests can set up a scene, run a module function and inspect
+// the handles, interpolation and velocity it wrote, as well as preferences, the clipboard and files.
+
+var COMP_ID = "compNode#1";
+
+/**
+ * Create a mock Cavalry environment
+ * @param {Object} [options]
+ * @param {number} [options.frameRate=24] - Frame rate of the active composition
+ * @param {number} [options.compStartFrame=0] - First frame of the active composition's frame range
+ * @returns {Object} Mock with api, ui and cavalry globals plus scene helpers
+ */
+export function createCavalryMock(options) {
+    options = options || {};
+
+    var keyframes = {};         // keyframe id -> {id, layerId, attrId, frame, data}
+    var selection = [];         // Selected keyframe ids
+    var preferences = {};
+    var files = {};
+    var nextKeyframeId = 1;
+
+    var mock = {
+        frameRate: options.frameRate || 24,
+        frame: 0,
+        compStartFrame: options.compStartFrame || 0,
+        clipboard: "",
+        modalAnswers: [],       // Answers returned by ui.Modal showStringInput / showConfirmation, in order
+        failures: {},           // api function name -> message thrown when it is called
+        calls: [],              // {name, args} for every keyframe write
+        logs: []                // console.log lines while installed
+    };
+
+    function record(name, args) {
+        if (mock.failures[name]) {
+            throw new Error(mock.failures[name]);
+        }
+        mock.calls.push({ name: name, args: JSON.parse(JSON.stringify(args)) });
+    }
+
+    // Keys in the order they were added, as getKeyframeIdsForAttribute and getKeyframeTimes list
+    // them: a key added later between two others comes last, so nothing can rely on time order
+    function keysFor(layerId, attrId) {
+        return Object.values(keyframes).filter(function(key) {
+            return key.layerId === layerId && key.attrId === attrId;
+        });
+    }
+
+    function keysInTimeOrder(layerId, attrId) {
+        return keysFor(layerId, attrId).sort(function(a, b) { return a.frame - b.frame; });
+    }
+
+    function findKey(layerId, attrId, frame) {
+        return keysFor(layerId, attrId).find(function(key) { return key.frame === frame; }) || null;
+    }
+
+    function requireKey(layerId, attrId, frame) {
+        var key = findKey(layerId, attrId, frame);
+        if (!key) {
+            throw new Error("No keyframe on " + layerId + "." + attrId + " at frame " + frame);
+        }
+        return key;
+    }
+
+    function requireKeyById(keyframeId) {
+        if (!keyframes[keyframeId]) {
+            throw new Error("Unknown keyframe " + keyframeId);
+        }
+        return keyframes[keyframeId];
+    }
+
+    // Value at the current frame; exact on keyframes, linear in between (enough for the modules,
+    // which read values on keyframe frames)
+    function valueAt(layerId, attrId, frame) {
+        var keys = keysInTimeOrder(layerId, attrId);
+        if (keys.length === 0) return null;
+        if (frame <= keys[0].frame) return keys[0].data.numValue;
+        for (var i = 0; i < keys.length - 1; i++) {
+            var a = keys[i];
+            var b = keys[i + 1];
+            if (frame <= b.frame) {
+                var t = (frame - a.frame) / (b.frame - a.frame);
+                return a.data.numValue + t * (b.data.numValue - a.data.numValue);
+            }
+        }
+        return keys[keys.length - 1].data.numValue;
+    }
+
+    // Compound attributes ("position") read as an object of their keyframed components
+    function compoundValueAt(layerId, attrId, frame) {
+        var prefix = attrId + ".";
+        var value = null;
+        Object.values(keyframes).forEach(function(key) {
+            if (key.layerId === layerId && key.attrId.indexOf(prefix) === 0) {
+                var component = key.attrId.substring(prefix.length);
+                if (component.indexOf(".") === -1) {
+                    value = value || {};
+                    value[component] = valueAt(layerId, key.attrId, frame);
+                }
+            }
+        });
+        return value;
+    }
+
+    /**
+     * Add a keyframe, or replace the value of the keyframe already at that frame
+     * @param {string} layerId - e.g. "basicShape#1"
+     * @param {string} attrId - e.g. "position.x"
+     * @param {number} frame
+     * @param {number} value
+     * @param {Object} [data] - Extra keyframe data (leftBez, rightBez, interpolation, speeds)
+     * @returns {string} Keyframe id
+     */
+    mock.addKeyframe = function(layerId, attrId, frame, value, data) {
+        var existing = findKey(layerId, attrId, frame);
+        if (existing) {
+            existing.data.numValue = value;
+            Object.assign(existing.data, data);
+            return existing.id;
+        }
+        var id = "keyframe#" + nextKeyframeId++;
+        keyframes[id] = {
+            id: id,
+            layerId: layerId,
+            attrId: attrId,
+            frame: frame,
+            data: Object.assign({
+                numValue: value,
+                interpolation: 0,
+                leftBez: { x: -5, y: 0 },
+                rightBez: { x: 5, y: 0 }
+            }, data)
+        };
+        return id;
+    };
+
+    /**
+     * Add keyframes on one attribute
+     * @param {string} layerId
+     * @param {string} attrId
+     * @param {Object} valuesByFrame - Frame -> value
+     * @returns {string[]} Keyframe ids in frame order
+     */
+    mock.addKeyframes = function(layerId, attrId, valuesByFrame) {
+        return Object.keys(valuesByFrame).map(Number).sort(function(a, b) { return a - b; }).map(function(frame) {
+            return mock.addKeyframe(layerId, attrId, frame, valuesByFrame[frame]);
+        });
+    };
+
+    /**
+     * Select keyframes (replacing the selection)
+     * @param {string[]} keyframeIds
+     */
+    mock.select = function(keyframeIds) {
+        selection = keyframeIds.slice();
+    };
+
+    /**
+     * Keyframe data at a frame, as api.get(keyframeId, 'data') returns it
+     * @returns {Object|null}
+     */
+    mock.getKeyframeData = function(layerId, attrId, frame) {
+        var key = findKey(layerId, attrId, frame);
+        return key ? key.data : null;
+    };
+
+    mock.getCalls = function(name) {
+        return mock.calls.filter(function(call) { return call.name === name; });
+    };
+
+    mock.clearCalls = function() {
+        mock.calls = [];
+        mock.logs = [];
+    };
+
+    mock.preferences = preferences;
+    mock.files = files;
+
+    mock.api = {
+        // Selection and lookup
+        getSelectedKeyframeIds: function() {
+            return selection.slice();
+        },
+        getSelectedKeyframes: function() {
+            var byPath = {};
+            selection.forEach(function(id) {
+                var key = requireKeyById(id);
+                var path = key.layerId + "." + key.attrId;
+                byPath[path] = byPath[path] || [];
+                byPath[path].push(key.frame);
+            });
+            return byPath;
+        },
+        getAttributeFromKeyframeId: function(keyframeId) {
+            var key = requireKeyById(keyframeId);
+            return key.layerId + "." + key.attrId;
+        },
+        getKeyframeTimes: function(layerId, attrId) {
+            return keysFor(layerId, attrId).map(function(key) { return key.frame; });
+        },
+        getKeyframeIdsForAttribute: function(layerId, attrId) {
+            return keysFor(layerId, attrId).map(function(key) { return key.id; });
+        },
+        getNiceName: function(layerId) {
+            return layerId.split("#")[0];
+        },
+        getActiveComp: function() {
+            return COMP_ID;
+        },
+        getAttrType: function(layerId, attrId) {
+            return compoundValueAt(layerId, attrId, mock.frame) ? "double2" : "double";
+        },
+
+        // Values
+        get: function(id, attrId) {
+            if (keyframes[id] && attrId === 'data') {
+                return keyframes[id].data;
+            }
+            if (id === COMP_ID && attrId === 'fps') {
+                return mock.frameRate;
+            }
+            if (id === COMP_ID && attrId === 'frameRange') {
+                return { x: mock.compStartFrame, y: mock.compStartFrame + 100 };
+            }
+            var value = valueAt(id, attrId, mock.frame);
+            return value !== null ? value : compoundValueAt(id, attrId, mock.frame);
+        },
+        set: function(id, attrId, value) {
+            record('set', [id, attrId, value]);
+        },
+        getFrame: function() {
+            return mock.frame;
+        },
+        setFrame: function(frame) {
+            mock.frame = frame;
+        },
+
+        // Keyframe writes
+        keyframe: function(layerId, frame, values) {
+            record('keyframe', [layerId, frame, values]);
+            for (var attrId in values) {
+                mock.addKeyframe(layerId, attrId, frame, values[attrId]);
+            }
+        },
+        deleteKeyframe: function(layerId, attrId, frame) {
+            record('deleteKeyframe', [layerId, attrId, frame]);
+            delete keyframes[requireKey(layerId, attrId, frame).id];
+        },
+        modifyKeyframe: function(keyframeId, attrId, value) {
+            record('modifyKeyframe', [keyframeId, attrId, value]);
+            var data = requireKeyById(keyframeId).data;
+            var parts = attrId.split(".");
+            if (parts.length === 2) {
+                data[parts[0]] = data[parts[0]] || { x: 0, y: 0 };
+                data[parts[0]][parts[1]] = value;
+            } else {
+                data[attrId] = value;
+            }
+        },
+        // Handles are given as absolute positions (xValue, yValue) or as an angle in degrees and a weight
+        modifyKeyframeTangent: function(layerId, tangents) {
+            record('modifyKeyframeTangent', [layerId, tangents]);
+            for (var attrId in tangents) {
+                var tangent = tangents[attrId];
+                var key = requireKey(layerId, attrId, tangent.frame);
+                var inHandle, outHandle;
+                if (tangent.xValue !== undefined && tangent.yValue !== undefined) {
+                    inHandle = outHandle = { x: tangent.xValue - key.frame, y: tangent.yValue - key.data.numValue };
+                } else if (tangent.weight !== undefined) {
+                    var angle = (tangent.angle || 0) * Math.PI / 180;
+                    outHandle = { x: tangent.weight * Math.cos(angle), y: tangent.weight * Math.sin(angle) };
+                    inHandle = { x: -outHandle.x, y: -outHandle.y };
+                } else {
+                    continue;
+                }
+                key.data.interpolation = 0;
+                if (tangent.inHandle) key.data.leftBez = inHandle;
+                if (tangent.outHandle) key.data.rightBez = outHandle;
+            }
+        },
+        setKeyframeVelocity: function(layerId, velocities) {
+            record('setKeyframeVelocity', [layerId, velocities]);
+            for (var attrId in velocities) {
+                var velocity = velocities[attrId];
+                var data = requireKey(layerId, attrId, velocity.frame).data;
+                ['leftSpeed', 'leftInfluence', 'rightSpeed', 'rightInfluence'].forEach(function(field) {
+                    if (velocity[field] !== undefined) data[field] = velocity[field];
+                });
+            }
+        },
+
+        // Preferences
+        hasPreferenceObject: function(key) {
+            return Object.prototype.hasOwnProperty.call(preferences, key);
+        },
+        getPreferenceObject: function(key) {
+            return preferences[key] === undefined ? undefined : JSON.parse(JSON.stringify(preferences[key]));
+        },
+        setPreferenceObject: function(key, value) {
+            preferences[key] = JSON.parse(JSON.stringify(value));
+        },
+
+        // Clipboard
+        getClipboardText: function() {
+            return mock.clipboard;
+        },
+        setClipboardText: function(text) {
+            mock.clipboard = text;
+        },
+
+        // Files
+        getProjectPath: function() {
+            return "/project";
+        },
+        filePathExists: function(path) {
+            return Object.prototype.hasOwnProperty.call(files, path);
+        },
+        readFromFile: function(path) {
+            if (!mock.api.filePathExists(path)) {
+                throw new Error("No such file " + path);
+            }
+            return files[path];
+        },
+        writeToFile: function(path, text, overwrite) {
+            if (!overwrite && mock.api.filePathExists(path)) return false;
+            files[path] = text;
+            return true;
+        },
+        presentOpenFile: function() {
+            return mock.modalAnswers.length > 0 ? mock.modalAnswers.shift() : "";
+        },
+        presentSaveFile: function() {
+            return mock.modalAnswers.length > 0 ? mock.modalAnswers.shift() : "";
+        },
+
+        // Modifier keys
+        isShiftHeld: function() {
+            return false;
+        },
+        isControlHeld: function() {
+            return false;
+        }
+    };
+
+    function Modal() {}
+    Modal.prototype.showStringInput = function() {
+        return mock.modalAnswers.length > 0 ? mock.modalAnswers.shift() : null;
+    };
+    Modal.prototype.showConfirmation = function() {
+        return mock.modalAnswers.length > 0 ? mock.modalAnswers.shift() : false;
+    };
+
+    mock.ui = {
+        Modal: Modal,
+        getThemeColor: function() {
+            return "#000000";
+        }
+    };
+
+    mock.cavalry = {};
+
+    return mock;
+}
+
+var _previousGlobals = null;
+
+/**
+ * Create a mock and install it as the api, ui and cavalry globals. console.log output is collected
+ * in mock.logs instead of printed.
+ * @param {Object} [options] - See createCavalryMock
+ * @returns {Object} Mock
+ */
+export function installCavalryMock(options) {
+    uninstallCavalryMock();
+    var mock = createCavalryMock(options);
+    _previousGlobals = {
+        api: globalThis.api,
+        ui: globalThis.ui,
+        cavalry: globalThis.cavalry,
+        log: console.log
+    };
+    globalThis.api = mock.api;
+    globalThis.ui = mock.ui;
+    globalThis.cavalry = mock.cavalry;
+    console.log = function() {
+        mock.logs.push(Array.prototype.slice.call(arguments).join(" "));
+    };
+    return mock;
+}
+
+/**
+ * Put back the globals replaced by installCavalryMock
+ */
+export function uninstallCavalryMock() {
+    if (!_previousGlobals) return;
+    globalThis.api = _previousGlobals.api;
+    globalThis.ui = _previousGlobals.ui;
+    globalThis.cavalry = _previousGlobals.cavalry;
+    console.log = _previousGlobals.log;
+    _previousGlobals = null;
+}
@@ -0,0 +1,414 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    applyEasingToKeyframes,
+    applyEasingSequenceToKeyframes,
+    applyContinuousVelocityToKeyframes,
+    beginApplyTransaction,
+    endApplyTransaction,
+    getEasingFromKeyframes,
+    fixHoldPaths,
+    getAnimationSpec,
+    getKeyframeInfo,
+    revertLastApply,
+    setClampHoldsEnabled
+} from '../src/modules/keyframeOps.js';
+import { cubicBezierToVelocity } from '../src/modules/conversions.js';
+import { installCavalryMock, uninstallCavalryMock } from './helpers/cavalryMock.js';
+
+var LAYER = "basicShape#1";
+var EASE_IN_OUT = { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
+var BACK_OUT = { x1: 0.34, y1: 1.56, x2: 0.64, y2: 1 };
+
+var mock;
+
+function assertNear(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, (message || "") + " expected " + expected + ", got " + actual);
+}
+
+function assertHandle(handle, x, y, message) {
+    assertNear(handle.x, x, (message || "") + " x:");
+    assertNear(handle.y, y, (message || "") + " y:");
+}
+
+function assertCurveNear(actual, expected) {
+    ['x1', 'y1', 'x2', 'y2'].forEach(function(field) {
+        assertNear(actual[field], expected[field], field + ":");
+    });
+}
+
+function keyData(attrId, frame) {
+    return mock.getKeyframeData(LAYER, attrId, frame);
+}
+
+beforeEach(function() {
+    mock = installCavalryMock();
+    setClampHoldsEnabled(true);
+});
+
+afterEach(function() {
+    uninstallCavalryMock();
+});
+
+test('applying easing writes handles scaled to the pair and switches keys to bezier', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.api.modifyKeyframe(ids[0], 'interpolation', 1);
+    mock.select(ids);
+    mock.frame = 7;
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), true);
+
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 24, 0);
+    assertHandle(keyData('rotation', 24).leftBez, -0.42 * 24, 0);
+    assert.equal(keyData('rotation', 0).interpolation, 0);
+    assert.equal(mock.frame, 7, "the playhead is restored");
+});
+
+test('easing read back from keyframes matches the easing applied', function() {
+    var rising = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.select(rising);
+    applyEasingToKeyframes(BACK_OUT);
+
+    var read = { x1: 0, y1: 0, x2: 1, y2: 1 };
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, BACK_OUT);
+});
+
+test('easing round-trips on a falling value', function() {
+    var falling = mock.addKeyframes(LAYER, 'scale.x', { 10: 3, 40: -1 });
+    mock.select(falling);
+    applyEasingToKeyframes(BACK_OUT);
+
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, BACK_OUT);
+});
+
+test('easing round-trips on a tiny change however the keys were selected', function() {
+    var ids = mock.addKeyframes(LAYER, 'opacity', { 0: 50, 30: 49.95 });
+    mock.select([ids[1], ids[0]]);
+    applyEasingToKeyframes(BACK_OUT);
+
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, BACK_OUT);
+});
+
+test('a hold reads back the timing stored in its flat handles', function() {
+    var clamped = mock.addKeyframes(LAYER, 'rotation', { 0: 10, 12: 10 });
+    mock.select(clamped);
+    applyEasingToKeyframes(BACK_OUT);
+    assertHandle(keyData('rotation', 0).rightBez, BACK_OUT.x1 * 12, 0, "the hold stays flat");
+    assertHandle(keyData('rotation', 12).leftBez, (BACK_OUT.x2 - 1) * 12, 0, "the hold stays flat");
+
+    // With no value change the keys hold no y shape, so only x comes back
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, { x1: BACK_OUT.x1, y1: 0, x2: BACK_OUT.x2, y2: 1 });
+
+    setClampHoldsEnabled(false);
+    var unclamped = mock.addKeyframes(LAYER, 'opacity', { 0: 100, 12: 100 });
+    mock.select(unclamped);
+    applyEasingToKeyframes(EASE_IN_OUT);
+
+    read = {};
+    getEasingFromKeyframes(read);
+    assertCurveNear(read, EASE_IN_OUT);
+});
+
+test('a near-hold reads back its whole curve unless clamping flattened it', function() {
+    setClampHoldsEnabled(false);
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 10, 12: 10.0005 });
+    mock.select(ids);
+    applyEasingToKeyframes(BACK_OUT);
+
+    var read = {};
+    getEasingFromKeyframes(read);
+    assertCurveNear(read, BACK_OUT);
+
+    setClampHoldsEnabled(true);
+    applyEasingToKeyframes(BACK_OUT);
+    read = {};
+    getEasingFromKeyframes(read);
+    assertCurveNear(read, { x1: BACK_OUT.x1, y1: 0, x2: BACK_OUT.x2, y2: 1 });
+});
+
+test('a hold edited after the apply reads from its handles', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 10, 12: 10 });
+    mock.select(ids);
+    setClampHoldsEnabled(false);
+    applyEasingToKeyframes(BACK_OUT);
+    mock.api.modifyKeyframe(ids[0], 'rightBez.x', 6);
+
+    var read = {};
+    getEasingFromKeyframes(read);
+    assertCurveNear(read, { x1: 0.5, y1: 0, x2: BACK_OUT.x2, y2: 1 });
+});
+
+test('keyframe info reads the same easing as Get', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: -45 });
+    mock.select([ids[1], ids[0]]);
+    applyEasingToKeyframes(BACK_OUT);
+
+    var info = getKeyframeInfo();
+    assert.equal(info.easing, "0.340,1.560,0.640,1.000");
+    assert.equal(info.duration, 500);
+    assert.equal(info.startValue, 0);
+    assert.equal(info.endValue, -45);
+});
+
+test('a key added between two others gets its own handles and reads back', function() {
+    var ends = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    var middle = mock.addKeyframe(LAYER, 'rotation', 12, 30);
+    assert.deepEqual(mock.api.getKeyframeTimes(LAYER, 'rotation'), [0, 24, 12], "keys are listed in the order they were added");
+    mock.select([ends[0], middle, ends[1]]);
+
+    assert.equal(applyEasingToKeyframes(BACK_OUT), true);
+
+    assertHandle(keyData('rotation', 0).rightBez, 0.34 * 12, 1.56 * 30);
+    assertHandle(keyData('rotation', 12).leftBez, -0.36 * 12, 0);
+    assertHandle(keyData('rotation', 12).rightBez, 0.34 * 12, 1.56 * 60);
+    assertHandle(keyData('rotation', 24).leftBez, -0.36 * 12, 0);
+
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, BACK_OUT);
+});
+
+test('getting easing from several pairs averages them', function() {
+    var first = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 10: 50 });
+    var second = mock.addKeyframes(LAYER, 'opacity', { 0: 100, 20: 0 });
+    mock.select([first[0], first[1]]);
+    applyEasingToKeyframes({ x1: 0.2, y1: 0, x2: 0.8, y2: 1 });
+    mock.select([second[0], second[1]]);
+    applyEasingToKeyframes({ x1: 0.6, y1: 0.2, x2: 0.4, y2: 0.8 });
+
+    mock.select(first.concat(second));
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, { x1: 0.4, y1: 0.1, x2: 0.6, y2: 0.9 });
+});
+
+test('a single keyframe gets both handles from the curve', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: 45 });
+    mock.select([ids[1]]);
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), true);
+
+    // Single keys are eased over a nominal 30 frame, 100 unit span
+    assertHandle(keyData('rotation', 12).rightBez, 0.42 * 30, 0);
+    assertHandle(keyData('rotation', 12).leftBez, -0.42 * 30, 0);
+});
+
+test('a curve sequence longer than the pairs reports the curves it left out', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: 30, 24: 90 });
+    mock.select(ids);
+    var linear = { x1: 0, y1: 0, x2: 1, y2: 1 };
+
+    assert.equal(applyEasingSequenceToKeyframes([EASE_IN_OUT, linear, BACK_OUT]), true);
+
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 12, 0);
+    assertHandle(keyData('rotation', 12).rightBez, 0.34 * 12, 1.56 * 60);
+    assert.ok(mock.logs.some(function(line) { return line === "Curve 2 of 3 not used on basicShape#1.rotation: it has only 2 keyframe pairs"; }), mock.logs.join("\n"));
+});
+
+test('continuous velocity reports the keys where the speed cap breaks the match', function() {
+    var even = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 10: 10, 20: 20 });
+    mock.select(even);
+    assert.equal(applyContinuousVelocityToKeyframes(EASE_IN_OUT), true);
+    assert.ok(!mock.logs.some(function(line) { return /capped/.test(line); }), mock.logs.join("\n"));
+
+    var sudden = mock.addKeyframes(LAYER, 'opacity', { 0: 0, 10: 1, 20: 100 });
+    mock.select(sudden);
+    assert.equal(applyContinuousVelocityToKeyframes(EASE_IN_OUT), true);
+    assert.ok(mock.logs.some(function(line) { return /^Speed on basicShape#1\.opacity at frame 10 was capped/.test(line); }), mock.logs.join("\n"));
+});
+
+test('animation spec delays are measured from the composition start', function() {
+    mock.compStartFrame = 12;
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 24: 0, 48: 90 });
+    mock.select(ids);
+
+    var spec = getAnimationSpec();
+
+    assert.equal(spec.startFrame, 12);
+    assert.equal(spec.animations[0].segments[0].delay, 500);
+    assert.equal(spec.animations[0].segments[0].duration, 1000);
+    assert.equal(spec.animations[0].segments[0].startFrame, 24);
+});
+
+test('nothing is written without a selection', function() {
+    mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: 45 });
+    mock.select([]);
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), false);
+    assert.equal(getEasingFromKeyframes({}), false);
+    assert.equal(mock.calls.length, 0);
+});
+
+test('clamping a hold flattens only its own handles and keeps the easing around it', function() {
+    // Regression test for the 1.4.1 fix: the hold used to flatten the neighbouring pair's handles too
+    var holdFirst = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: 0, 36: 100 });
+    mock.select(holdFirst);
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), true);
+
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 12, 0, "flat hold out handle");
+    assertHandle(keyData('rotation', 12).leftBez, -0.42 * 12, 0, "flat hold in handle");
+    assertHandle(keyData('rotation', 12).rightBez, 0.42 * 24, 0, "eased out handle after the hold");
+    assertHandle(keyData('rotation', 36).leftBez, -0.42 * 24, 0, "eased in handle after the hold");
+
+    var holdLast = mock.addKeyframes(LAYER, 'opacity', { 0: 0, 20: 100, 30: 100 });
+    mock.select(holdLast);
+    assert.equal(applyEasingToKeyframes(BACK_OUT), true);
+
+    assertHandle(keyData('opacity', 20).leftBez, (BACK_OUT.x2 - 1) * 20, 0, "eased in handle before the hold");
+    assertHandle(keyData('opacity', 20).rightBez, BACK_OUT.x1 * 10, 0, "flat hold out handle");
+    assertHandle(keyData('opacity', 30).leftBez, (BACK_OUT.x2 - 1) * 10, 0, "flat hold in handle");
+});
+
+test('holds take the curve when clamping is off', function() {
+    setClampHoldsEnabled(false);
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 12: 0 });
+    mock.select(ids);
+    applyEasingToKeyframes(EASE_IN_OUT);
+
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 12, 0);
+    assertHandle(keyData('rotation', 12).leftBez, -0.42 * 12, 0);
+});
+
+test('motion path pairs are eased through keyframe velocity on both axes', function() {
+    var xIds = mock.addKeyframes(LAYER, 'position.x', { 0: 0, 20: 200 });
+    mock.addKeyframes(LAYER, 'position.y', { 0: 0, 20: 100 });
+    mock.select(xIds);
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), true);
+
+    var expected = cubicBezierToVelocity(EASE_IN_OUT.x1, EASE_IN_OUT.y1, EASE_IN_OUT.x2, EASE_IN_OUT.y2);
+    ['position.x', 'position.y'].forEach(function(attrId) {
+        assertNear(keyData(attrId, 0).rightSpeed, expected.rightSpeed, attrId + " right speed:");
+        assertNear(keyData(attrId, 0).rightInfluence, expected.rightInfluence, attrId + " right influence:");
+        assertNear(keyData(attrId, 20).leftSpeed, expected.leftSpeed, attrId + " left speed:");
+        assertNear(keyData(attrId, 20).leftInfluence, expected.leftInfluence, attrId + " left influence:");
+    });
+    var handleWrites = mock.getCalls('modifyKeyframeTangent').filter(function(call) {
+        return Object.values(call.args[1]).some(function(tangent) { return tangent.xValue !== undefined; });
+    });
+    assert.equal(handleWrites.length, 0, "motion path handles are not written directly");
+});
+
+test('Get then Apply leaves a motion path unchanged', function() {
+    var xIds = mock.addKeyframes(LAYER, 'position.x', { 0: 0, 20: 200, 30: 260 });
+    mock.addKeyframes(LAYER, 'position.y', { 0: 0, 20: 100, 30: 100 });
+    mock.select(xIds);
+    var curve = { x1: 0.3, y1: 0.5, x2: 0.6, y2: 1 };
+    applyEasingToKeyframes(curve);
+    var velocities = JSON.stringify([0, 20, 30].map(function(frame) { return keyData('position.y', frame); }));
+
+    var read = {};
+    assert.equal(getEasingFromKeyframes(read), true);
+    assertCurveNear(read, curve);
+
+    applyEasingToKeyframes(read);
+    assert.equal(JSON.stringify([0, 20, 30].map(function(frame) { return keyData('position.y', frame); })), velocities);
+});
+
+test('a failed velocity write rolls the apply back', function() {
+    var xIds = mock.addKeyframes(LAYER, 'position.x', { 0: 0, 20: 200 });
+    mock.addKeyframes(LAYER, 'position.y', { 0: 0, 20: 100 });
+    mock.select(xIds);
+    mock.failures.setKeyframeVelocity = "velocity is locked";
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), false);
+    assert.ok(mock.logs.some(function(line) { return /velocity is locked/.test(line); }));
+});
+
+test('tangent writes fall back to the keyframe handle fields', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.select(ids);
+    mock.failures.modifyKeyframeTangent = "tangents unavailable";
+
+    assert.equal(applyEasingToKeyframes(EASE_IN_OUT), true);
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 24, 0);
+    assertHandle(keyData('rotation', 24).leftBez, -0.42 * 24, 0);
+});
+
+test('reverting an apply restores the previous handles', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.select(ids);
+    applyEasingToKeyframes(EASE_IN_OUT);
+    applyEasingToKeyframes(BACK_OUT);
+
+    assert.equal(revertLastApply(), true);
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 24, 0);
+    assertHandle(keyData('rotation', 24).leftBez, -0.42 * 24, 0);
+    assert.equal(revertLastApply(), false, "only the last apply can be reverted");
+});
+
+test('applies inside one transaction revert together to the handles from before it', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.select(ids);
+    applyEasingToKeyframes(EASE_IN_OUT);
+
+    beginApplyTransaction();
+    [0.2, 0.5, 0.8].forEach(function(y1) {
+        assert.equal(applyEasingToKeyframes({ x1: 0.3, y1: y1, x2: 0.6, y2: 1 }), true);
+    });
+    applyEasingToKeyframes(BACK_OUT);
+    endApplyTransaction();
+
+    assert.equal(revertLastApply(), true);
+    assertHandle(keyData('rotation', 0).rightBez, 0.42 * 24, 0);
+    assertHandle(keyData('rotation', 24).leftBez, -0.42 * 24, 0);
+    assert.equal(revertLastApply(), false, "the transaction reverts as one apply");
+});
+
+test('a transaction without a successful apply leaves the last apply to revert', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 24: 90 });
+    mock.select(ids);
+    applyEasingToKeyframes(EASE_IN_OUT);
+
+    beginApplyTransaction();
+    endApplyTransaction();
+
+    assert.equal(revertLastApply(), true);
+    assertHandle(keyData('rotation', 0).rightBez, 5, 0);
+});
+
+test('fixing holds flattens identical-value pairs and leaves moving pairs alone', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 10: 0, 20: 50 });
+    mock.select(ids);
+    setClampHoldsEnabled(false);
+    applyEasingToKeyframes(EASE_IN_OUT);
+
+    assert.equal(fixHoldPaths(), true);
+    assertHandle(keyData('rotation', 0).rightBez, 0, 0);
+    assertHandle(keyData('rotation', 10).leftBez, 0, 0);
+    assertHandle(keyData('rotation', 10).rightBez, 0.42 * 10, 0);
+    assert.ok(mock.logs.some(function(line) { return line === "Fixed 1 hold segment(s)"; }));
+});
+
+test('fixing a motion path hold stops the path between the keys only', function() {
+    var xIds = mock.addKeyframes(LAYER, 'position.x', { 0: 0, 10: 50, 20: 50, 30: 0 });
+    mock.addKeyframes(LAYER, 'position.y', { 0: 0, 10: 20, 20: 20, 30: 0 });
+    mock.select(xIds);
+    applyEasingToKeyframes(EASE_IN_OUT);
+    var easedArrival = keyData('position.x', 10).leftSpeed;
+    var easedDeparture = keyData('position.x', 20).rightSpeed;
+
+    assert.equal(fixHoldPaths(), true);
+    ['position.x', 'position.y'].forEach(function(attrId) {
+        assert.equal(keyData(attrId, 10).rightSpeed, 0, attrId);
+        assert.equal(keyData(attrId, 20).leftSpeed, 0, attrId);
+        assertNear(keyData(attrId, 10).leftSpeed, easedArrival, attrId + " arrival speed:");
+        assertNear(keyData(attrId, 20).rightSpeed, easedDeparture, attrId + " departure speed:");
+    });
+});
+
+test('fixing holds needs two keyframes', function() {
+    var ids = mock.addKeyframes(LAYER, 'rotation', { 0: 0, 10: 0 });
+    mock.select([ids[0]]);
+
+    assert.equal(fixHoldPaths(), false);
+    assert.equal(mock.calls.length, 0);
+});
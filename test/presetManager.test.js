@@ -0,0 +1,286 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    savePreset,
+    renamePreset,
+    deletePreset,
+    validatePreset,
+    parsePresetImport,
+    getImportPreview,
+    mergeImportedPresets,
+    exportPresets,
+    exportPresetsAs,
+    importPresets,
+    savePresetsToPreferences,
+    loadPresetsFromPreferences,
+    populatePresetDropdown
+} from '../src/modules/presetManager.js';
+import { PRESET_EXPORT_FORMATS } from '../src/modules/presetFormats.js';
+import { createPresetLibrary, reloadPresetLibrary, writePresetLibrary, mergePresetLibraries } from '../src/modules/presetLibraries.js';
+import { installCavalryMock, uninstallCavalryMock } from './helpers/cavalryMock.js';
+
+var EASE = { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 };
+var SNAPPY = { x1: 0.2, y1: 0.9, x2: 0.3, y2: 1, folder: "UI", tags: ["fast"], favorite: true };
+
+var mock;
+
+beforeEach(function() {
+    mock = installCavalryMock();
+});
+
+afterEach(function() {
+    uninstallCavalryMock();
+});
+
+test('saving a preset stores the curve under the entered name', function() {
+    var presets = {};
+    var saved = 0;
+    mock.modalAnswers.push("Ease");
+
+    savePreset(presets, EASE, function() { saved++; });
+
+    assert.deepEqual(presets, { Ease: EASE });
+    assert.equal(saved, 1);
+});
+
+test('saving over a preset keeps its folder, tags and favorite', function() {
+    var presets = { Snappy: Object.assign({}, SNAPPY) };
+    mock.modalAnswers.push("Snappy");
+
+    savePreset(presets, EASE, null);
+
+    assert.deepEqual(presets.Snappy, Object.assign({}, SNAPPY, { x1: EASE.x1, y1: EASE.y1, x2: EASE.x2, y2: EASE.y2 }));
+});
+
+test('preset names longer than 60 characters are refused', function() {
+    var presets = {};
+    mock.modalAnswers.push("x".repeat(61));
+
+    savePreset(presets, EASE, null);
+
+    assert.deepEqual(presets, {});
+    assert.ok(mock.logs.some(function(line) { return /too long/.test(line); }));
+});
+
+test('renaming moves the preset and refuses taken names', function() {
+    var presets = { Ease: EASE, Snappy: SNAPPY };
+
+    mock.modalAnswers.push("Snappy");
+    assert.equal(renamePreset(presets, "Ease", null), null);
+    assert.deepEqual(Object.keys(presets), ["Ease", "Snappy"]);
+
+    mock.modalAnswers.push("Gentle");
+    assert.equal(renamePreset(presets, "Ease", null), "Gentle");
+    assert.deepEqual(presets.Gentle, EASE);
+    assert.equal(presets.Ease, undefined);
+});
+
+test('deleting ignores the list placeholders', function() {
+    var presets = { Ease: EASE };
+
+    deletePreset(presets, "Select a preset...", null);
+    assert.deepEqual(Object.keys(presets), ["Ease"]);
+
+    deletePreset(presets, "Ease", null);
+    assert.deepEqual(presets, {});
+});
+
+test('validatePreset explains what is wrong', function() {
+    assert.equal(validatePreset(EASE), null);
+    assert.equal(validatePreset(SNAPPY), null);
+    assert.equal(validatePreset([0, 0, 1, 1]), "not a preset object");
+    assert.equal(validatePreset({ x1: 0, y1: 0, x2: 1 }), "y2 is missing or not a number");
+    assert.equal(validatePreset({ x1: 0, y1: NaN, x2: 1, y2: 1 }), "y1 is missing or not a number");
+    assert.equal(validatePreset({ x1: 1.2, y1: 0, x2: 1, y2: 1 }), "x1 and x2 must be between 0 and 1");
+    assert.equal(validatePreset(Object.assign({}, EASE, { tags: "fast" })), "tags is not a list of text");
+    assert.equal(validatePreset(Object.assign({}, EASE, { favorite: 1 })), "favorite is not true or false");
+});
+
+test('import reads versioned and pre-versioning Easey JSON', function() {
+    var versioned = parsePresetImport(JSON.stringify({ version: 2, presets: { Ease: EASE, Broken: { x1: 2 } } }));
+    assert.deepEqual(versioned.presets, { Ease: EASE });
+    assert.deepEqual(versioned.invalid.map(function(entry) { return entry.name; }), ["Broken"]);
+    assert.equal(versioned.version, 2);
+
+    var flat = parsePresetImport(JSON.stringify({ Ease: EASE }));
+    assert.deepEqual(flat.presets, { Ease: EASE });
+    assert.equal(flat.version, 1);
+});
+
+test('another tool\'s versioned preset list is not read as Easey JSON', function() {
+    var parsed = parsePresetImport(JSON.stringify({ version: 3, presets: [{ name: "Ease", bezier: [0.25, 0.1, 0.25, 1] }] }));
+
+    assert.notEqual(parsed.format, "Easey");
+    assert.deepEqual(parsed.presets, { Ease: EASE });
+});
+
+test('import refuses presets from a newer Easey', function() {
+    assert.equal(parsePresetImport(JSON.stringify({ version: 99, presets: { Ease: EASE } })), null);
+    assert.ok(mock.logs.some(function(line) { return /newer version of Easey/.test(line); }));
+});
+
+test('import preview sorts presets into new, changed, conflicting and unchanged', function() {
+    var presets = {
+        Same: EASE,
+        Refiled: EASE,
+        Different: EASE
+    };
+    var imported = {
+        Same: EASE,
+        Refiled: Object.assign({}, EASE, { folder: "UI" }),
+        Different: SNAPPY,
+        New: SNAPPY
+    };
+
+    var preview = getImportPreview(presets, imported);
+    assert.deepEqual(preview, { added: ["New"], changed: ["Refiled"], conflicting: ["Different"], unchanged: ["Same"] });
+
+    assert.equal(mergeImportedPresets(presets, imported, preview, "rename"), 2);
+    assert.deepEqual(presets.Different, EASE);
+    assert.deepEqual(presets["Different 2"], SNAPPY);
+    assert.deepEqual(presets.New, SNAPPY);
+    assert.equal(presets.Refiled.folder, undefined, "changed presets only update on overwrite");
+});
+
+test('exported presets import back unchanged through the clipboard', function() {
+    var presets = { Ease: EASE, Snappy: SNAPPY };
+    exportPresets(presets);
+
+    var copy = {};
+    mock.modalAnswers.push(true);
+    importPresets(copy, null);
+
+    assert.deepEqual(copy, presets);
+});
+
+test('token and style sheet exports read back as the same curves', function() {
+    var presets = { Ease: EASE, Snappy: SNAPPY };
+    PRESET_EXPORT_FORMATS.forEach(function(target) {
+        if (target.name === "TypeScript") return;
+        mock.modalAnswers.push("");
+        exportPresetsAs(presets, target);
+
+        var parsed = parsePresetImport(mock.clipboard);
+        assert.ok(parsed, target.name + " should import");
+        assert.equal(parsed.invalid.length, 0, target.name);
+        var curves = Object.values(parsed.presets).map(function(preset) {
+            return [preset.x1, preset.y1, preset.x2, preset.y2].join(",");
+        }).sort();
+        assert.deepEqual(curves, ["0.2,0.9,0.3,1", "0.25,0.1,0.25,1"], target.name);
+    });
+});
+
+test('presets saved to preferences load back', function() {
+    savePresetsToPreferences({ Ease: EASE, Snappy: SNAPPY });
+
+    var loaded = { Stale: EASE };
+    loadPresetsFromPreferences(loaded);
+
+    assert.deepEqual(loaded, { Ease: EASE, Snappy: SNAPPY });
+});
+
+test('flat presets from earlier versions move to the preset library with x clamped into 0-1', function() {
+    mock.api.setPreferenceObject("easey_presets", { Ease: EASE, Wide: { x1: 1.2, y1: 0, x2: -0.1, y2: 1 }, Broken: { x1: "a" } });
+
+    var loaded = {};
+    loadPresetsFromPreferences(loaded);
+
+    var wide = { x1: 1, y1: 0, x2: 0, y2: 1 };
+    assert.deepEqual(loaded, { Ease: EASE, Wide: wide });
+    assert.deepEqual(mock.preferences.easey_presetLibrary, { version: 2, presets: { Ease: EASE, Wide: wide } });
+});
+
+test('saved presets with bad details keep their curve', function() {
+    savePresetsToPreferences({ Snappy: Object.assign({}, SNAPPY, { x2: 1.5, tags: "fast", favorite: 1 }) });
+
+    var loaded = {};
+    loadPresetsFromPreferences(loaded);
+
+    assert.deepEqual(loaded, { Snappy: { x1: 0.2, y1: 0.9, x2: 1, y2: 1, folder: "UI" } });
+});
+
+test('presets saved from handles dragged past the graph can be loaded and exported', function() {
+    mock.modalAnswers.push("Overshoot");
+    var presets = {};
+    savePreset(presets, { x1: -0.05, y1: 0, x2: 1.2, y2: 1 }, null);
+
+    assert.deepEqual(presets.Overshoot, { x1: 0, y1: 0, x2: 1, y2: 1 });
+    assert.equal(validatePreset(presets.Overshoot), null);
+});
+
+test('library files reload on change and list clashing names separately', function() {
+    mock.files["/team/Motion.json"] = JSON.stringify({ version: 2, presets: { Ease: SNAPPY, Drop: EASE } });
+    var library = createPresetLibrary("/team/Motion.json", false);
+
+    assert.equal(reloadPresetLibrary(library), true);
+    assert.equal(reloadPresetLibrary(library), false, "unchanged files are not read again");
+
+    var merged = mergePresetLibraries({ Ease: EASE }, [library]);
+    assert.deepEqual(Object.keys(merged.presets), ["Ease", "Ease (Motion)", "Drop"]);
+    assert.equal(merged.presets.Drop.folder, "Motion");
+    assert.equal(merged.presets["Ease (Motion)"].folder, "Motion / UI");
+    assert.equal(merged.clashes.length, 1);
+
+    library.presets.Extra = EASE;
+    assert.equal(writePresetLibrary(library), true);
+    assert.equal(reloadPresetLibrary(library), false, "our own write is not reloaded");
+    assert.deepEqual(JSON.parse(mock.files["/team/Motion.json"]).presets.Extra, EASE);
+
+    library.readOnly = true;
+    assert.equal(writePresetLibrary(library), false);
+});
+
+test('a library changed on disk since it was read is reloaded instead of overwritten', function() {
+    mock.files["/team/Motion.json"] = JSON.stringify({ version: 2, presets: { Drop: EASE } });
+    var library = createPresetLibrary("/team/Motion.json", false);
+    reloadPresetLibrary(library);
+
+    var teammate = JSON.stringify({ version: 2, presets: { Drop: EASE, Bounce: SNAPPY } });
+    mock.files["/team/Motion.json"] = teammate;
+    library.presets.Extra = EASE;
+
+    assert.equal(writePresetLibrary(library), false);
+    assert.equal(mock.files["/team/Motion.json"], teammate);
+    assert.deepEqual(Object.keys(library.presets), ["Drop", "Bounce"]);
+    assert.ok(mock.logs.some(function(line) { return /was changed by someone else/.test(line); }));
+
+    library.presets.Extra = EASE;
+    assert.equal(writePresetLibrary(library), true, "the change can be made again on the reloaded library");
+    assert.deepEqual(Object.keys(JSON.parse(mock.files["/team/Motion.json"]).presets), ["Drop", "Bounce", "Extra"]);
+});
+
+test('presets sharing a name across two libraries and your presets are all listed and reported', function() {
+    mock.files["/team/Motion.json"] = JSON.stringify({ version: 2, presets: { Ease: SNAPPY } });
+    mock.files["/project/Motion.json"] = JSON.stringify({ version: 2, presets: { Ease: EASE } });
+    var team = createPresetLibrary("/team/Motion.json", true);
+    var project = createPresetLibrary("/project/Motion.json", true);
+    reloadPresetLibrary(team);
+    reloadPresetLibrary(project);
+
+    var merged = mergePresetLibraries({ Ease: EASE }, [team, project]);
+
+    assert.deepEqual(Object.keys(merged.presets), ["Ease", "Ease (Motion)", "Ease (Motion) 2"]);
+    assert.equal(merged.sources["Ease (Motion)"].library, team);
+    assert.equal(merged.sources["Ease (Motion) 2"].library, project);
+    assert.equal(merged.clashes.length, 2);
+    assert.match(merged.clashes[1], /listed as "Ease \(Motion\) 2"/);
+});
+
+test('presets whose dropdown labels collide can each be selected', function() {
+    var entries = [];
+    var dropdown = {
+        clear: function() { entries = []; },
+        addEntry: function(label) { entries.push(label); },
+        insertSeparator: function() {}
+    };
+    var presets = {
+        "A / b": EASE,
+        b: Object.assign({}, SNAPPY, { folder: "A", favorite: false })
+    };
+
+    var entryNames = populatePresetDropdown(dropdown, presets, "");
+
+    assert.deepEqual(entries, ["Select a preset...", "A / b", "A / b (2)"]);
+    assert.deepEqual(entryNames, { "A / b": "A / b", "A / b (2)": "b" });
+});
@@ -0,0 +1,95 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cubicBezierToSpeed, speedToCubicBezier } from '../src/modules/conversions.js';
+import { getSpeedAxisRange } from '../src/modules/graphRenderer.js';
+import { setupSpeedGraphHandlers } from '../src/modules/mouseHandlers.js';
+import { installCavalryMock, uninstallCavalryMock } from './helpers/cavalryMock.js';
+
+var CONFIG = { width: 220, height: 220, padding: 10, handleRadius: 6 };
+var GRAPH_HEIGHT = CONFIG.height - 2 * CONFIG.padding;
+
+var EASE_IN_OUT = { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
+var BACK_OUT = { x1: 0.34, y1: 1.56, x2: 0.64, y2: 1 };
+var ANTICIPATE = { x1: 0.36, y1: -0.4, x2: 0.7, y2: 0.9 };
+
+afterEach(function() {
+    uninstallCavalryMock();
+});
+
+// Speed graph handlers on a bare canvas, editing a copy of the easing
+function createSpeedGraph(easing, getSpeedAxis) {
+    var canvas = {};
+    var state = {
+        speedDragging: false,
+        speedDragHandle: null,
+        speedEasing: cubicBezierToSpeed(easing.x1, easing.y1, easing.x2, easing.y2),
+        currentEasing: Object.assign({}, easing)
+    };
+    setupSpeedGraphHandlers({
+        canvas: canvas,
+        state: state,
+        getConfig: function() { return CONFIG; },
+        getSpeedAxis: getSpeedAxis,
+        onUpdate: null,
+        onDragEnd: null
+    });
+    return { canvas: canvas, state: state };
+}
+
+function outHandlePosition(speedEasing, axis) {
+    var startX = CONFIG.padding;
+    var midX = CONFIG.width / 2;
+    return {
+        x: startX + (speedEasing.outInfluence / 100) * (midX - startX),
+        y: CONFIG.padding + ((speedEasing.outSpeedY - axis.min) / (axis.max - axis.min)) * GRAPH_HEIGHT
+    };
+}
+
+test('the speed axis stays 0-1 for curves inside it', function() {
+    assert.deepEqual(getSpeedAxisRange(EASE_IN_OUT), { min: 0, max: 1 });
+});
+
+test('the speed axis grows to fit fast starts and anticipation', function() {
+    var fast = getSpeedAxisRange(BACK_OUT);
+    assert.equal(fast.min, 0);
+    assert.ok(fast.max > BACK_OUT.y1, "handle at " + BACK_OUT.y1 + " is inside " + fast.max);
+
+    var anticipate = getSpeedAxisRange(ANTICIPATE);
+    assert.ok(anticipate.min < ANTICIPATE.y1, "handle at " + ANTICIPATE.y1 + " is inside " + anticipate.min);
+    assert.equal(anticipate.max, 1);
+});
+
+test('a speed handle on a grown axis is picked up where it is drawn and keeps its height', function() {
+    installCavalryMock();
+    var axis = getSpeedAxisRange(BACK_OUT);
+    var graph = createSpeedGraph(BACK_OUT, function() { return axis; });
+    var handle = outHandlePosition(graph.state.speedEasing, axis);
+
+    graph.canvas.onMousePress(handle, 0);
+    assert.equal(graph.state.speedDragHandle, 'out');
+
+    graph.canvas.onMouseMove(handle, {});
+    assert.ok(Math.abs(graph.state.currentEasing.y1 - BACK_OUT.y1) < 1e-9);
+    assert.ok(Math.abs(graph.state.currentEasing.x1 - BACK_OUT.x1) < 1e-9);
+});
+
+test('speed handles drag past the top and bottom of the graph', function() {
+    installCavalryMock();
+    var axis = { min: 0, max: 1 };
+    var graph = createSpeedGraph(EASE_IN_OUT, function() { return axis; });
+    var handle = outHandlePosition(graph.state.speedEasing, axis);
+
+    graph.canvas.onMousePress(handle, 0);
+    graph.canvas.onMouseMove({ x: handle.x, y: CONFIG.height }, {});
+    assert.ok(Math.abs(graph.state.speedEasing.outSpeedY - (CONFIG.height - CONFIG.padding) / GRAPH_HEIGHT) < 1e-9);
+    assert.ok(graph.state.currentEasing.y1 > 1, "fast start above the graph, got " + graph.state.currentEasing.y1);
+
+    graph.canvas.onMouseMove({ x: handle.x, y: 0 }, {});
+    assert.ok(graph.state.currentEasing.y1 < 0, "anticipation below the graph, got " + graph.state.currentEasing.y1);
+    graph.canvas.onMouseRelease({ x: handle.x, y: 0 }, 0);
+
+    var speed = graph.state.speedEasing;
+    var back = speedToCubicBezier(speed.outInfluence, speed.inInfluence, speed.outSpeedY, speed.inSpeedY);
+    assert.deepEqual(back, graph.state.currentEasing);
+});